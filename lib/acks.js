@@ -0,0 +1,58 @@
+// acknowledgement (callback response) protocol of socket events
+// every event is acknowledged with { status, code, message, data }
+// status is "OK" or "Error", code is "OK" or one of the errorCodes
+
+const { errorCodes, AppError } = require("./errors");
+
+// create a successful acknowledgement
+function okAck(message, data = null) {
+  return { status: "OK", code: "OK", message, data };
+}
+
+// create an error acknowledgement from a thrown error
+// unexpected errors are hidden behind a generic message
+function errorAck(error) {
+  if (error instanceof AppError) {
+    return { status: "Error", code: error.code, message: error.message, data: error.data ?? null };
+  }
+
+  return { status: "Error", code: errorCodes.INTERNAL_ERROR, message: "Something went wrong!", data: null };
+}
+
+// wrap a socket event handler so that the client always gets an acknowledgement
+// the handler is called with the event arguments followed by an ack(message, data) function
+// the handler calls ack when the operation succeeds (ex: before broadcasting "tasks:change")
+// if the handler finishes without calling ack, the event is acknowledged with a generic message
+// if the handler throws, the error is logged and sent as an error acknowledgement
+function withAck(event, username, handler) {
+  return async (...args) => {
+    // the callback is always the last argument if the client asked for an acknowledgement
+    const callback = typeof args[args.length - 1] === "function" ? args.pop() : () => {};
+
+    // make sure the client is acknowledged only once
+    let isAcknowledged = false;
+    function ack(message, data) {
+      if (isAcknowledged) return;
+      isAcknowledged = true;
+      callback(okAck(message, data));
+    }
+
+    try {
+      await handler(...args, ack);
+      ack("Done!");
+    } catch (error) {
+      if (error instanceof AppError) {
+        console.warn(`"${event}" from ${username} failed: ${error.code} ${error.message}`);
+      } else {
+        console.error(`"${event}" from ${username} failed:`, error);
+      }
+
+      if (!isAcknowledged) {
+        isAcknowledged = true;
+        callback(errorAck(error));
+      }
+    }
+  };
+}
+
+module.exports = { okAck, errorAck, withAck };
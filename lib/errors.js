@@ -0,0 +1,87 @@
+// stable error codes that are sent to the client
+// clients should check the code, not the message
+const errorCodes = {
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  TASK_NOT_FOUND: "TASK_NOT_FOUND",
+  PROJECT_NOT_FOUND: "PROJECT_NOT_FOUND",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  INVALID_TIME_SPAN: "INVALID_TIME_SPAN",
+  TIME_SPAN_OVERLAP: "TIME_SPAN_OVERLAP",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  // an idempotency key is sent again with another request
+  IDEMPOTENCY_KEY_REUSED: "IDEMPOTENCY_KEY_REUSED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// an expected error that is safe to send to the client
+// code is one of the errorCodes, httpStatus is used by the REST APIs
+class AppError extends Error {
+  constructor(code, message, { httpStatus = 400, data } = {}) {
+    super(message);
+    this.name = "AppError";
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.data = data;
+  }
+}
+
+// thrown when a task is not found in db or belongs to another user
+class TaskNotFoundError extends AppError {
+  constructor() {
+    super(errorCodes.TASK_NOT_FOUND, "Task not found or access denied!", { httpStatus: 404 });
+    this.name = "TaskNotFoundError";
+  }
+}
+
+// thrown when a project is not found in db or belongs to another user
+class ProjectNotFoundError extends AppError {
+  constructor() {
+    super(errorCodes.PROJECT_NOT_FOUND, "Project not found or access denied!", { httpStatus: 404 });
+    this.name = "ProjectNotFoundError";
+  }
+}
+
+// thrown when a recurring task is not found in db or belongs to another user
+class RecurringTaskNotFoundError extends AppError {
+  constructor() {
+    super(errorCodes.NOT_FOUND, "Recurring task not found or access denied!", { httpStatus: 404 });
+    this.name = "RecurringTaskNotFoundError";
+  }
+}
+
+// thrown when a webhook is not found in db or belongs to another user
+class WebhookNotFoundError extends AppError {
+  constructor() {
+    super(errorCodes.NOT_FOUND, "Webhook not found or access denied!", { httpStatus: 404 });
+    this.name = "WebhookNotFoundError";
+  }
+}
+
+// thrown when a workspace is not found in db or the user is not a member of it
+class WorkspaceNotFoundError extends AppError {
+  constructor() {
+    super(errorCodes.NOT_FOUND, "Workspace not found or access denied!", { httpStatus: 404 });
+    this.name = "WorkspaceNotFoundError";
+  }
+}
+
+// thrown when a personal access token is not found in db, is revoked or belongs to another user
+class AccessTokenNotFoundError extends AppError {
+  constructor() {
+    super(errorCodes.NOT_FOUND, "Access token not found or access denied!", { httpStatus: 404 });
+    this.name = "AccessTokenNotFoundError";
+  }
+}
+
+module.exports = {
+  errorCodes,
+  AppError,
+  TaskNotFoundError,
+  ProjectNotFoundError,
+  RecurringTaskNotFoundError,
+  WebhookNotFoundError,
+  AccessTokenNotFoundError,
+  WorkspaceNotFoundError,
+};
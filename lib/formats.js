@@ -0,0 +1,218 @@
+// export formats of tasks and worked time spans
+// every format turns an export into chunks of text so that the export can be streamed:
+// header(context), then task(task, index, context) for every task, then footer(context)
+// context is { username, startDate, endDate, timeZone, projects, exportedAt }
+// times are written in the local time of context.timeZone, except iCalendar that has utc times
+
+const { toLocalDateString, toLocalDateTimeString } = require("./time");
+
+// ********************
+
+//  CSV, one row per worked time span
+
+// ********************
+
+// quote a CSV value if needed
+// values starting with =, +, - or @ are prefixed with ' so that spreadsheets don't run them as formulas
+function csvValue(value) {
+  let string = value === undefined || value === null ? "" : String(value);
+
+  if (/^[=+\-@]/.test(string)) string = `'${string}`;
+  if (/[",\r\n]/.test(string)) string = `"${string.replace(/"/g, '""')}"`;
+
+  return string;
+}
+
+function csvRow(values) {
+  return `${values.map(csvValue).join(",")}\r\n`;
+}
+
+const csv = {
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+
+  header() {
+    return csvRow([
+      "taskId",
+      "taskName",
+      "project",
+      "tags",
+      "workedTimeSpanId",
+      "localDate",
+      "startTime",
+      "endTime",
+      "durationInSeconds",
+      "timeZone",
+      "isManual",
+    ]);
+  },
+
+  // running workedTimeSpans have empty endTime and durationInSeconds
+  task(task, index, { timeZone, projects }) {
+    const project = projects.find((project) => project._id.toString() === task.projectId?.toString());
+
+    return (task.workedTimeSpans || [])
+      .map((workedTimeSpan) =>
+        csvRow([
+          task._id,
+          task.name,
+          project?.name,
+          (task.tags || []).join(";"),
+          workedTimeSpan._id,
+          toLocalDateString(workedTimeSpan.startTime, timeZone),
+          toLocalDateTimeString(workedTimeSpan.startTime, timeZone).replace("T", " "),
+          workedTimeSpan.endTime && toLocalDateTimeString(workedTimeSpan.endTime, timeZone).replace("T", " "),
+          workedTimeSpan.endTime && Math.round((workedTimeSpan.endTime - workedTimeSpan.startTime) / 1000),
+          timeZone,
+          Boolean(workedTimeSpan.isManual),
+        ])
+      )
+      .join("");
+  },
+
+  footer() {
+    return "";
+  },
+};
+
+// ********************
+
+//  JSON, the same format is accepted by the import
+
+// ********************
+
+const json = {
+  contentType: "application/json; charset=utf-8",
+  extension: "json",
+
+  // the tasks array is left open, every task is written as an element of it
+  header({ exportedAt, startDate, endDate, timeZone, projects }) {
+    const exportInfo = {
+      version: 1,
+      exportedAt,
+      startDate,
+      endDate,
+      timeZone,
+      projects: projects.map(({ _id, name, color, isArchived }) => ({ _id, name, color, isArchived })),
+    };
+
+    // remove the closing brace to add the tasks array
+    return `${JSON.stringify(exportInfo).slice(0, -1)},"tasks":[`;
+  },
+
+  // utc times are kept for the import, local times are added for the readers
+  task(task, index, { timeZone }) {
+    const exportedTask = {
+      _id: task._id,
+      name: task.name,
+      date: task.date,
+      localDate: toLocalDateString(task.date, timeZone),
+      projectId: task.projectId || null,
+      tags: task.tags || [],
+      estimatedDuration: task.estimatedDuration ?? null,
+      status: task.status || "open",
+      completedAt: task.completedAt || null,
+      checklistItems: task.checklistItems || [],
+      workedTimeSpans: (task.workedTimeSpans || []).map((workedTimeSpan) => ({
+        ...workedTimeSpan,
+        localStartTime: toLocalDateTimeString(workedTimeSpan.startTime, timeZone),
+        localEndTime: workedTimeSpan.endTime && toLocalDateTimeString(workedTimeSpan.endTime, timeZone),
+      })),
+    };
+
+    return `${index ? "," : ""}${JSON.stringify(exportedTask)}`;
+  },
+
+  footer() {
+    return "]}";
+  },
+};
+
+// ********************
+
+//  iCalendar (.ics), one VEVENT per completed worked time span
+
+// ********************
+
+// escape a TEXT value of iCalendar
+function icsText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// utc date-time of iCalendar like "20230711T093000Z"
+function icsUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// a content line of iCalendar, lines longer than 75 octets are folded
+function icsLine(line) {
+  let folded = "";
+  let lineLength = 0;
+
+  for (const character of line) {
+    const characterLength = Buffer.byteLength(character);
+    if (lineLength + characterLength > 75) {
+      // the continuation line starts with a space that counts as an octet
+      folded += "\r\n ";
+      lineLength = 1;
+    }
+    folded += character;
+    lineLength += characterLength;
+  }
+
+  return `${folded}\r\n`;
+}
+
+const ics = {
+  contentType: "text/calendar; charset=utf-8",
+  extension: "ics",
+
+  // the times of the events are in utc, so the calendar needs no VTIMEZONE component
+  // and the times in the repeated hour of a daylight saving time change keep their order
+  // X-WR-TIMEZONE only tells calendar apps which time zone to show the events in
+  header({ timeZone }) {
+    return [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//ZITBO//Time Tracking Export//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      "X-WR-CALNAME:ZITBO",
+      `X-WR-TIMEZONE:${timeZone}`,
+    ]
+      .map(icsLine)
+      .join("");
+  },
+
+  // running workedTimeSpans have no end yet, so they are not events
+  task(task, index, { projects, exportedAt }) {
+    const project = projects.find((project) => project._id.toString() === task.projectId?.toString());
+
+    return (task.workedTimeSpans || [])
+      .filter((workedTimeSpan) => workedTimeSpan.endTime)
+      .map((workedTimeSpan) =>
+        [
+          "BEGIN:VEVENT",
+          `UID:${workedTimeSpan._id}@zitbo`,
+          `DTSTAMP:${icsUtcDateTime(exportedAt)}`,
+          `DTSTART:${icsUtcDateTime(workedTimeSpan.startTime)}`,
+          `DTEND:${icsUtcDateTime(workedTimeSpan.endTime)}`,
+          `SUMMARY:${icsText(task.name)}`,
+          ...(task.tags?.length ? [`CATEGORIES:${task.tags.map(icsText).join(",")}`] : []),
+          ...(project ? [`DESCRIPTION:${icsText(`Project: ${project.name}`)}`] : []),
+          "END:VEVENT",
+        ]
+          .map(icsLine)
+          .join("")
+      )
+      .join("");
+  },
+
+  footer() {
+    return icsLine("END:VCALENDAR");
+  },
+};
+
+const formats = { csv, json, ics };
+
+module.exports = { formats };
@@ -0,0 +1,25 @@
+// helpers of the REST APIs
+
+const { AppError } = require("./errors");
+const { errorAck } = require("./acks");
+
+// wrap an async route handler so that thrown errors are sent as a response
+// the response body has the same shape as the error acknowledgement of socket events
+// { status: "Error", code, message, data }
+function handleRoute(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      if (error instanceof AppError) {
+        console.warn(`${req.method} ${req.originalUrl} failed: ${error.code} ${error.message}`);
+        return res.status(error.httpStatus).send(errorAck(error));
+      }
+
+      console.error(`${req.method} ${req.originalUrl} failed:`, error);
+      res.status(500).send(errorAck(error));
+    }
+  };
+}
+
+module.exports = { handleRoute };
@@ -0,0 +1,140 @@
+// idempotency keys of the REST APIs and the socket events (see services/idempotency.js)
+// REST: the key is sent with the "Idempotency-Key" header of a POST, PUT, PATCH or DELETE request
+//   a replayed response has the "Idempotent-Replayed: true" header
+// socket: the key is sent as an extra argument { idempotencyKey } after every argument of the event
+//   (missing optional arguments are sent as null), the events that only read ignore the key
+
+const { createHash } = require("crypto");
+
+const { AppError } = require("./errors");
+const { errorAck } = require("./acks");
+const { validate } = require("./validation");
+const schemas = require("./schemas");
+
+// methods of the requests that change data
+const mutatingMethods = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// hash of a request, the same key can only be used again for the same request
+function fingerprintOf(request) {
+  return createHash("sha256").update(JSON.stringify(request)).digest("hex");
+}
+
+// check if a socket event only reads data, so it can be retried without a key
+function isReadEvent(event) {
+  return event.endsWith(":read") || event === "sync:pull";
+}
+
+// express middleware that runs a request with an "Idempotency-Key" header once per key
+// must be used after verifyJWT, keys belong to the authenticated user
+// the response of the first request is remembered unless it's a server error (5xx), then the key can be used again
+function idempotentRequests(idempotencyService) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined || !mutatingMethods.has(req.method)) return next();
+
+    try {
+      validate(schemas.idempotencyKey, key, "Idempotency-Key");
+
+      const fingerprint = fingerprintOf([req.method, req.originalUrl, req.body]);
+      const { outcome, isReplayed } = await idempotencyService.run(req.decoded.username, key, fingerprint, () =>
+        new Promise((resolve) => {
+          // the first body sent is the response (res.json calls res.send again with the serialized body)
+          let body;
+          const send = res.send.bind(res);
+          res.send = (value) => {
+            if (body === undefined) body = value;
+            return send(value);
+          };
+
+          res.on("finish", () => {
+            const isRemembered = res.statusCode < 500 && body !== undefined;
+            resolve(isRemembered ? { httpStatus: res.statusCode, body } : null);
+          });
+          // the client went away before the response, the request can be retried
+          res.on("close", () => resolve(null));
+          // the request failed before a response is sent, the request can be retried (see releaseFailedRequests)
+          res.locals.releaseIdempotencyKey = () => resolve(null);
+
+          next();
+        })
+      );
+
+      if (isReplayed) {
+        res.set("Idempotent-Replayed", "true");
+        res.status(outcome.httpStatus).send(outcome.body);
+      }
+    } catch (error) {
+      // the response may already be sent if remembering its outcome failed
+      if (res.headersSent) return console.error(`${req.method} ${req.originalUrl} failed:`, error);
+
+      if (error instanceof AppError) return res.status(error.httpStatus).send(errorAck(error));
+
+      console.error(`${req.method} ${req.originalUrl} failed:`, error);
+      res.status(500).send(errorAck(error));
+    }
+  };
+}
+
+// express error middleware that releases the idempotency key of a failed request right away
+// so a retry isn't rejected as in progress while the error response is sent or if it's never sent
+// must be used after the routes
+function releaseFailedRequests(error, req, res, next) {
+  res.locals.releaseIdempotencyKey?.();
+  next(error);
+}
+
+// wrap a socket event handler so that an event with an idempotency key is applied once per key
+// numberOfArgs is the number of the event's arguments, the key is the argument after them
+// the acknowledgement of the first event (an error too) is sent again for the events with the same key
+function withIdempotency(idempotencyService, event, username, numberOfArgs, handler) {
+  return async (...args) => {
+    const ack = args.pop();
+    const key = args[numberOfArgs]?.idempotencyKey;
+    const eventArgs = args.slice(0, numberOfArgs);
+
+    if (key === undefined || isReadEvent(event)) return handler(...eventArgs, ack);
+
+    validate(schemas.idempotencyKey, key, "idempotencyKey");
+
+    // an error thrown after the handler acknowledged the event
+    let errorAfterAck = null;
+
+    const { outcome } = await idempotencyService.run(username, key, fingerprintOf([event, eventArgs]), async () => {
+      let acknowledgement = null;
+      try {
+        await handler(...eventArgs, (message, data = null) => {
+          // the client gets only the first acknowledgement (see withAck)
+          if (acknowledgement) return;
+          acknowledgement = { message, data };
+          ack(message, data);
+        });
+      } catch (error) {
+        // the client is told that the event is applied, so a retry gets the same acknowledgement
+        if (acknowledgement) {
+          errorAfterAck = error;
+          return { ack: acknowledgement };
+        }
+
+        // unexpected errors are not remembered
+        if (!(error instanceof AppError)) throw error;
+
+        const { code, message, httpStatus, data = null } = error;
+        return { error: { code, message, httpStatus, data } };
+      }
+
+      return { ack: acknowledgement || { message: "Done!", data: null } };
+    });
+
+    // the error is only logged, the acknowledgement is already sent (see withAck)
+    if (errorAfterAck) throw errorAfterAck;
+
+    if (outcome.error) {
+      const { code, message, httpStatus, data } = outcome.error;
+      throw new AppError(code, message, { httpStatus, data });
+    }
+
+    ack(outcome.ack.message, outcome.ack.data);
+  };
+}
+
+module.exports = { isReadEvent, idempotentRequests, releaseFailedRequests, withIdempotency };
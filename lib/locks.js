@@ -0,0 +1,29 @@
+// keyed lock to run async operations one after another for the same key
+// ex: timer operations of the same user coming from multiple devices at the same time
+// note: it works inside a single server process
+
+function createKeyedLock() {
+  // key => promise of the last queued operation
+  const queues = new Map();
+
+  // run fn after every operation queued before for the key
+  // returns (or throws) what fn returns (or throws)
+  async function runExclusive(key, fn) {
+    const previous = queues.get(key) || Promise.resolve();
+    // errors of the previous operation belong to its caller, not to this one
+    const current = previous.catch(() => {}).then(fn);
+    const tail = current.catch(() => {});
+
+    queues.set(key, tail);
+    // forget the key when no other operation is queued after this one
+    tail.then(() => {
+      if (queues.get(key) === tail) queues.delete(key);
+    });
+
+    return current;
+  }
+
+  return { runExclusive };
+}
+
+module.exports = { createKeyedLock };
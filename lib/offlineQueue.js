@@ -0,0 +1,71 @@
+// offline operation queue of the clients
+// a client that is offline saves its operations (socket events) in a queue and sends the queue with
+// "operations:apply" when it's back, every operation is { event, args, idempotencyKey, occurredAt }
+// the operations are applied one after another in their order, a failed operation doesn't stop the next ones
+// every operation has an idempotency key, so a queue that is sent again (ex: after a lost ack) is applied only once
+//
+// occurredAt is the time of the operation on the client's clock, it's checked against the server's clock:
+// it can't be in the future, older than the retention of the idempotency keys or before the previous operation
+
+const { AppError, errorCodes } = require("./errors");
+const { errorAck } = require("./acks");
+const { isReadEvent } = require("./idempotency");
+const schemas = require("./schemas");
+
+// an operation can be this much ahead of the server time, the clocks of the clients are never exact
+const allowedClockSkewInMs = 60 * 1000;
+
+// check the event and the time of an operation
+// previousOccurredAt is the time of the previous operation of the queue
+// throws if the operation can't be applied
+function checkOperation({ event, occurredAt }, previousOccurredAt, handlers, { now, maxAgeInMs }) {
+  if (!handlers.has(event) || isReadEvent(event) || event === "operations:apply") {
+    throw new AppError(errorCodes.VALIDATION_FAILED, `"${event}" can't be applied from the offline queue!`);
+  }
+
+  if (occurredAt > now.getTime() + allowedClockSkewInMs) {
+    throw new AppError(errorCodes.VALIDATION_FAILED, "Operation time can't be in the future, check the clock!");
+  }
+
+  // the idempotency key of an older operation may be forgotten, so it may be applied twice
+  if (occurredAt < now.getTime() - maxAgeInMs) {
+    throw new AppError(errorCodes.VALIDATION_FAILED, "Operation is too old to be applied!");
+  }
+
+  if (occurredAt < previousOccurredAt) {
+    throw new AppError(errorCodes.VALIDATION_FAILED, "Operations must be sent in the order of their times!");
+  }
+}
+
+// apply the operations of an offline queue one after another
+// handlers is a Map of event => the listener of the event that is registered on the socket (see withAck)
+// maxAgeInMs is the retention period of the idempotency keys
+// returns [{ idempotencyKey, status, code, message, data }], the acknowledgement of every operation in order
+async function applyOperations(handlers, operations, { maxAgeInMs }) {
+  const now = new Date();
+  const results = [];
+  let previousOccurredAt = 0;
+
+  for (const operation of operations) {
+    const { event, args = [], idempotencyKey } = operation;
+    const occurredAt = new Date(operation.occurredAt).getTime();
+
+    let acknowledgement;
+    try {
+      checkOperation({ event, occurredAt }, previousOccurredAt, handlers, { now, maxAgeInMs });
+      previousOccurredAt = occurredAt;
+
+      // the idempotency key goes after every argument of the event, see lib/idempotency.js
+      const eventArgs = Array.from({ length: schemas.events[event].length }, (_, index) => args[index] ?? null);
+      await handlers.get(event)(...eventArgs, { idempotencyKey }, (ack) => (acknowledgement = ack));
+    } catch (error) {
+      acknowledgement = errorAck(error);
+    }
+
+    results.push({ idempotencyKey, ...acknowledgement });
+  }
+
+  return results;
+}
+
+module.exports = { applyOperations };
@@ -0,0 +1,41 @@
+// origins of the changes of tasks, recorded in the history of the tasks (see services/tasks.js)
+// an origin is { actor, source, socketId, device } where
+//   actor: username of the user who made the change, null if the server made it
+//   source: "socket", "rest" or the server job that made the change (ex: "watchdog", "pomodoro")
+//   socketId: id of the socket that sent the event, null if the change didn't come from a socket
+//   device: name of the device sent by the client, or its user agent, null if unknown
+
+// device names are free-form, keep them short
+const maxDeviceLength = 200;
+
+function deviceName(device) {
+  return typeof device === "string" && device.trim() ? device.trim().slice(0, maxDeviceLength) : null;
+}
+
+// origin of the events of a socket
+// the client can name the device with the "device" auth option, ex: io(url, { auth: { token, device: "Work laptop" } })
+function originOfSocket(socket) {
+  return {
+    actor: socket.decoded?.username,
+    source: "socket",
+    socketId: socket.id,
+    device: deviceName(socket.handshake.auth?.device) || deviceName(socket.handshake.headers["user-agent"]),
+  };
+}
+
+// origin of a REST request, the client can name the device with the X-Device header
+function originOfRequest(req) {
+  return {
+    actor: req.decoded?.username,
+    source: "rest",
+    socketId: null,
+    device: deviceName(req.get("x-device")) || deviceName(req.get("user-agent")),
+  };
+}
+
+// origin of a change made by a server job
+function originOfServer(source) {
+  return { actor: null, source, socketId: null, device: null };
+}
+
+module.exports = { originOfSocket, originOfRequest, originOfServer };
@@ -0,0 +1,41 @@
+// crypto module to hash passwords without any third party dependency
+const crypto = require("crypto");
+// promisify to use the callback based scrypt with async/await
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// length of the derived key in bytes
+const KEY_LENGTH = 64;
+
+// hash a plain text password with a random salt
+// returns a string like "scrypt$<salt in hex>$<hash in hex>"
+// so that, the salt is stored together with the hash in the user document
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+
+  return `scrypt$${salt}$${derivedKey.toString("hex")}`;
+}
+
+// check a plain text password against a stored hash
+// returns false if the password or the stored hash is missing or malformed
+// (ex: users created before passwords were introduced)
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== "string" || typeof storedHash !== "string") return false;
+
+  const [algorithm, salt, hash] = storedHash.split("$");
+
+  if (algorithm !== "scrypt" || !salt || !hash) return false;
+
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  const hashBuffer = Buffer.from(hash, "hex");
+
+  // timingSafeEqual throws if the buffers have different length
+  if (hashBuffer.length !== derivedKey.length) return false;
+
+  // compare in constant time to not leak anything through timing
+  return crypto.timingSafeEqual(hashBuffer, derivedKey);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,653 @@
+// schemas of REST request parts and socket event arguments
+// see lib/validation.js for the schema format
+
+// events that a webhook can subscribe to
+const { webhookEventTypes } = require("./webhooks");
+// scopes that a personal access token can have
+const { accessTokenScopes } = require("./scopes");
+
+// reusable schemas
+const objectId = { type: "objectId" };
+const date = { type: "date" };
+const timeZone = { type: "timeZone" };
+const taskName = { type: "string", trim: true, minLength: 1, maxLength: 200 };
+const username = { type: "string", trim: true, minLength: 1, maxLength: 50 };
+// index of the day in the client's tasksOfDays state, -1 means no need to emit "tasks:change"
+const indexInTasksOfDays = { type: "number", integer: true, min: -1, optional: true };
+// version of the last change that a client pulled, 0 means a full sync (see pullChanges in services/tasks.js)
+const syncCursor = { type: "number", integer: true, min: 0 };
+// generated by the client (ex: a uuid) and sent again when a request is retried, see lib/idempotency.js
+const idempotencyKey = { type: "string", minLength: 8, maxLength: 100, pattern: /^[\w.:-]+$/ };
+// null (or missing) projectId means no project
+const projectId = { type: "objectId", optional: true };
+const tag = { type: "string", trim: true, minLength: 1, maxLength: 50 };
+const tags = { type: "array", items: tag, maxItems: 20 };
+const projectName = { type: "string", trim: true, minLength: 1, maxLength: 100 };
+// hex color like "#1e90ff"
+const projectColor = { type: "string", pattern: /^#[0-9a-f]{6}$/i };
+const checklistItemName = { type: "string", trim: true, minLength: 1, maxLength: 200 };
+// planned effort of a task in milliseconds (at most 1000 hours), null (or missing) means no estimate
+const estimatedDuration = { type: "number", integer: true, min: 1, max: 1000 * 60 * 60 * 1000, optional: true };
+// a task is "open" until it's completed or archived
+const taskStatus = { type: "string", enum: ["open", "completed", "archived"] };
+// date in the user's time zone like "2023-07-11"
+const localDate = { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ };
+// rule of a recurring task, see services/recurringTasks.js
+const recurrenceRule = {
+  type: "object",
+  properties: {
+    frequency: { type: "string", enum: ["daily", "weekdays", "weekly", "custom"] },
+    // 0 is Sunday, required for the custom frequency
+    weekdays: {
+      type: "array",
+      items: { type: "number", integer: true, min: 0, max: 6 },
+      minItems: 1,
+      maxItems: 7,
+      optional: true,
+    },
+    intervalInWeeks: { type: "number", integer: true, min: 1, max: 52, optional: true },
+  },
+};
+
+// lengths of the phases and number of work phases of a pomodoro session
+const pomodoroOptions = {
+  type: "object",
+  properties: {
+    workMinutes: { type: "number", integer: true, min: 1, max: 180, optional: true },
+    shortBreakMinutes: { type: "number", integer: true, min: 1, max: 60, optional: true },
+    longBreakMinutes: { type: "number", integer: true, min: 1, max: 120, optional: true },
+    cycles: { type: "number", integer: true, min: 1, max: 12, optional: true },
+  },
+};
+
+// ********************
+
+//  REST APIs
+
+// ********************
+
+const usernameParams = {
+  type: "object",
+  properties: { username },
+};
+
+const signup = {
+  type: "object",
+  properties: {
+    username: { type: "string", trim: true, minLength: 3, maxLength: 30, pattern: /^[a-zA-Z0-9_.-]+$/ },
+    email: { type: "string", trim: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    fullName: { type: "string", trim: true, minLength: 1, maxLength: 100, optional: true },
+    password: { type: "string", minLength: 8, maxLength: 128 },
+    timeZone: { ...timeZone, optional: true },
+  },
+};
+
+// export of tasks created between startDate and endDate
+// timeZone is optional, the time zone on the user's profile is used if it's not sent
+const exportQuery = {
+  type: "object",
+  properties: {
+    startDate: date,
+    endDate: date,
+    format: { type: "string", enum: ["csv", "json", "ics"] },
+    timeZone: { ...timeZone, optional: true },
+  },
+};
+
+// a JSON export (see lib/formats.js), unknown properties (ex: localStartTime) are ignored
+const importData = {
+  type: "object",
+  properties: {
+    projects: {
+      type: "array",
+      optional: true,
+      maxItems: 1000,
+      items: {
+        type: "object",
+        properties: {
+          _id: objectId,
+          name: projectName,
+          color: { ...projectColor, optional: true },
+        },
+      },
+    },
+    tasks: {
+      type: "array",
+      maxItems: 10000,
+      items: {
+        type: "object",
+        properties: {
+          name: taskName,
+          date,
+          projectId,
+          tags: { ...tags, optional: true },
+          estimatedDuration,
+          status: { ...taskStatus, optional: true },
+          completedAt: { ...date, optional: true },
+          checklistItems: {
+            type: "array",
+            optional: true,
+            maxItems: 100,
+            items: {
+              type: "object",
+              properties: {
+                _id: { ...objectId, optional: true },
+                name: checklistItemName,
+                isDone: { type: "boolean", optional: true },
+              },
+            },
+          },
+          workedTimeSpans: {
+            type: "array",
+            maxItems: 1000,
+            items: {
+              type: "object",
+              properties: {
+                startTime: date,
+                // running worked time spans have no endTime, they are not imported
+                endTime: { ...date, optional: true },
+                isManual: { type: "boolean", optional: true },
+                isAutoClosed: { type: "boolean", optional: true },
+                checklistItemId: { ...objectId, optional: true },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// every property is optional, only the sent properties are updated
+const profile = {
+  type: "object",
+  properties: {
+    fullName: { type: "string", trim: true, minLength: 1, maxLength: 100, optional: true },
+    timeZone: { ...timeZone, optional: true },
+  },
+};
+
+const login = {
+  type: "object",
+  properties: {
+    username,
+    password: { type: "string", minLength: 1, maxLength: 128 },
+  },
+};
+
+const refreshToken = {
+  type: "object",
+  properties: {
+    refreshToken: { type: "string", minLength: 1, maxLength: 200 },
+  },
+};
+
+// REST API v1 (/api/v1)
+
+const taskIdParams = {
+  type: "object",
+  properties: { taskId: objectId },
+};
+
+const workedTimeSpanParams = {
+  type: "object",
+  properties: { taskId: objectId, workedTimeSpanId: objectId },
+};
+
+const projectIdParams = {
+  type: "object",
+  properties: { projectId: objectId },
+};
+
+const recurringTaskIdParams = {
+  type: "object",
+  properties: { recurringTaskId: objectId },
+};
+
+const createTask = {
+  type: "object",
+  properties: { name: taskName, projectId, tags: { ...tags, optional: true }, estimatedDuration },
+};
+
+// every property is optional, only the sent properties are updated
+// projectId: null removes the task from its project, estimatedDuration: null removes the estimate
+const updateTask = {
+  type: "object",
+  properties: {
+    name: { ...taskName, optional: true },
+    projectId,
+    tags: { ...tags, optional: true },
+    estimatedDuration,
+    status: { ...taskStatus, optional: true },
+  },
+};
+
+// the time of the timer can be attributed to a checklist item of the task
+const startTimer = {
+  type: "object",
+  properties: { checklistItemId: { ...objectId, optional: true } },
+};
+
+const historyEntryParams = {
+  type: "object",
+  properties: { taskId: objectId, historyEntryId: objectId },
+};
+
+const checklistItemParams = {
+  type: "object",
+  properties: { taskId: objectId, checklistItemId: objectId },
+};
+
+const addChecklistItem = {
+  type: "object",
+  properties: { name: checklistItemName },
+};
+
+// every property is optional, only the sent properties are updated
+const updateChecklistItem = {
+  type: "object",
+  properties: { name: { ...checklistItemName, optional: true }, isDone: { type: "boolean", optional: true } },
+};
+
+// every checklist item of the task, once, in the new order
+const checklistItemIds = { type: "array", items: objectId, maxItems: 100 };
+
+const reorderChecklistItems = {
+  type: "object",
+  properties: { checklistItemIds },
+};
+
+const dateRangeQuery = {
+  type: "object",
+  properties: { startDate: date, endDate: date },
+};
+
+// tasks can be filtered by project and/or tag, archived tasks can be left out
+const taskFilter = {
+  type: "object",
+  properties: { projectId, tag: { ...tag, optional: true }, excludeArchived: { type: "boolean", optional: true } },
+};
+
+// query strings are strings, so excludeArchived is "true" or "false"
+const excludeArchivedQuery = { type: "string", enum: ["true", "false"], optional: true };
+
+const tasksQuery = {
+  type: "object",
+  properties: { ...dateRangeQuery.properties, ...taskFilter.properties, excludeArchived: excludeArchivedQuery },
+};
+
+const completedTimesQuery = {
+  type: "object",
+  properties: { ...dateRangeQuery.properties, excludeArchived: excludeArchivedQuery },
+};
+
+// query strings are strings, so cursor is a string of digits
+const syncQuery = {
+  type: "object",
+  properties: { cursor: { type: "string", pattern: /^\d{1,15}$/ } },
+};
+
+// minutes of a daily goal, 0 means no goal
+const goalMinutes = { type: "number", integer: true, min: 0, max: 24 * 60 };
+
+// daily goal in minutes, minutesByWeekday (0 is Sunday) overrides minutes for a weekday, null means minutes
+const dailyGoal = {
+  type: "object",
+  properties: {
+    minutes: goalMinutes,
+    minutesByWeekday: {
+      type: "array",
+      items: { ...goalMinutes, optional: true },
+      minItems: 7,
+      maxItems: 7,
+      optional: true,
+    },
+  },
+};
+
+// query strings are strings, so numberOfDays is a string of digits
+const goalProgressQuery = {
+  type: "object",
+  properties: {
+    startDate: date,
+    numberOfDays: { type: "string", pattern: /^\d{1,3}$/ },
+    timeZone: { ...timeZone, optional: true },
+  },
+};
+
+// report of the local dates between startDate and endDate
+// timeZone is optional, the time zone on the user's profile is used if it's not sent
+const reportQuery = {
+  type: "object",
+  properties: { startDate: date, endDate: date, timeZone: { ...timeZone, optional: true } },
+};
+
+const createProject = {
+  type: "object",
+  properties: { name: projectName, color: { ...projectColor, optional: true } },
+};
+
+// every property is optional, only the sent properties are updated
+const updateProject = {
+  type: "object",
+  properties: {
+    name: { ...projectName, optional: true },
+    color: { ...projectColor, optional: true },
+    isArchived: { type: "boolean", optional: true },
+  },
+};
+
+// startLocalDate defaults to today, endLocalDate is the last date that can have a task
+const createRecurringTask = {
+  type: "object",
+  properties: {
+    name: taskName,
+    projectId,
+    tags: { ...tags, optional: true },
+    rule: recurrenceRule,
+    startLocalDate: { ...localDate, optional: true },
+    endLocalDate: { ...localDate, optional: true },
+  },
+};
+
+// every property is optional, only the sent properties are updated
+// projectId: null removes the project, endLocalDate: null removes the end
+const updateRecurringTask = {
+  type: "object",
+  properties: {
+    name: { ...taskName, optional: true },
+    projectId,
+    tags: { ...tags, optional: true },
+    rule: { ...recurrenceRule, optional: true },
+    endLocalDate: { ...localDate, optional: true },
+  },
+};
+
+// query strings are strings, so includeArchived is "true" or "false"
+const projectsQuery = {
+  type: "object",
+  properties: { includeArchived: { type: "string", enum: ["true", "false"], optional: true } },
+};
+
+// every setting is optional, only the sent settings are updated
+const settings = {
+  type: "object",
+  properties: {
+    timerConflict: { type: "string", enum: ["autoStop", "reject"], optional: true },
+    // every pomodoro setting is required, the pomodoro settings are replaced together
+    pomodoro: {
+      type: "object",
+      properties: Object.fromEntries(
+        Object.entries(pomodoroOptions.properties).map(([key, schema]) => [key, { ...schema, optional: false }])
+      ),
+      optional: true,
+    },
+  },
+};
+
+// start a pomodoro session on a task, the options override the user's pomodoro settings
+const startPomodoro = {
+  type: "object",
+  properties: { taskId: objectId, ...pomodoroOptions.properties },
+};
+
+// startTime and endTime of a worked time span added by hand
+const addWorkedTimeSpan = {
+  type: "object",
+  properties: { startTime: date, endTime: date },
+};
+
+// startTime and/or endTime of an existing worked time span
+const editWorkedTimeSpan = {
+  type: "object",
+  properties: { startTime: { ...date, optional: true }, endTime: { ...date, optional: true } },
+};
+
+const stopTimer = {
+  type: "object",
+  properties: { endTime: { ...date, optional: true } },
+};
+
+// a personal access token, expiresAt is optional, the token doesn't expire without it
+const createAccessToken = {
+  type: "object",
+  properties: {
+    name: { type: "string", trim: true, minLength: 1, maxLength: 100 },
+    scopes: { type: "array", items: { type: "string", enum: accessTokenScopes }, minItems: 1, maxItems: 4 },
+    expiresAt: { ...date, optional: true },
+  },
+};
+
+const accessTokenIdParams = {
+  type: "object",
+  properties: { tokenId: objectId },
+};
+
+const workspaceName = { type: "string", trim: true, minLength: 1, maxLength: 100 };
+const workspaceRole = { type: "string", enum: ["admin", "member"] };
+
+const workspaceIdParams = {
+  type: "object",
+  properties: { workspaceId: objectId },
+};
+
+const workspaceMemberParams = {
+  type: "object",
+  properties: { workspaceId: objectId, username },
+};
+
+const workspaceTaskParams = {
+  type: "object",
+  properties: { workspaceId: objectId, taskId: objectId },
+};
+
+const createWorkspace = {
+  type: "object",
+  properties: { name: workspaceName },
+};
+
+// every property is optional, only the sent properties are updated
+const updateWorkspace = {
+  type: "object",
+  properties: { name: { ...workspaceName, optional: true } },
+};
+
+// role is "member" if it's not sent
+const inviteMember = {
+  type: "object",
+  properties: { username, role: { ...workspaceRole, optional: true } },
+};
+
+const updateMember = {
+  type: "object",
+  properties: { role: workspaceRole },
+};
+
+const assignTask = {
+  type: "object",
+  properties: { assignee: username },
+};
+
+const webhookUrl = { type: "string", trim: true, maxLength: 2000, pattern: /^https?:\/\/\S+$/i };
+const webhookEvents = { type: "array", items: { type: "string", enum: webhookEventTypes }, minItems: 1, maxItems: 5 };
+
+const webhookIdParams = {
+  type: "object",
+  properties: { webhookId: objectId },
+};
+
+const createWebhook = {
+  type: "object",
+  properties: { url: webhookUrl, events: webhookEvents },
+};
+
+// every property is optional, only the sent properties are updated
+const updateWebhook = {
+  type: "object",
+  properties: {
+    url: { ...webhookUrl, optional: true },
+    events: { ...webhookEvents, optional: true },
+    isEnabled: { type: "boolean", optional: true },
+  },
+};
+
+// ********************
+
+//  socket.io events, an array of schemas for the arguments of every event
+
+// ********************
+
+// an operation of the offline queue of a client, see lib/offlineQueue.js
+// args are checked with the schemas of the event when the operation is applied
+const offlineOperation = {
+  type: "object",
+  properties: {
+    event: { type: "string", minLength: 1, maxLength: 100 },
+    args: { type: "array", items: { type: "any", optional: true }, maxItems: 10, optional: true },
+    idempotencyKey,
+    occurredAt: date,
+  },
+};
+
+const events = {
+  // activeTaskId can be empty string or undefined when there is no active task
+  "roomState:update": [{ type: "string", pattern: /^([a-f\d]{24})?$/i, optional: true }],
+  "roomState:read": [],
+  "tasks:create": [createTask],
+  "tasks:read": [date, date, { ...taskFilter, optional: true }],
+  "tasks:delete": [objectId, { type: "boolean", optional: true }, indexInTasksOfDays],
+  "tasks:restore": [objectId, indexInTasksOfDays],
+  "taskStatus:update": [objectId, taskStatus, indexInTasksOfDays],
+  "taskHistory:read": [objectId],
+  "sync:pull": [syncCursor],
+  // operations of the offline queue, applied in order
+  "operations:apply": [{ type: "array", items: offlineOperation, minItems: 1, maxItems: 100 }],
+  "workedTimeSpans:restore": [objectId, objectId, indexInTasksOfDays],
+  "taskName:update": [objectId, taskName, indexInTasksOfDays],
+  "taskProject:update": [objectId, projectId, indexInTasksOfDays],
+  "taskTags:update": [objectId, tags, indexInTasksOfDays],
+  "taskEstimatedDuration:update": [objectId, estimatedDuration, indexInTasksOfDays],
+  "projects:create": [createProject],
+  "projects:read": [{ type: "boolean", optional: true }],
+  "projects:update": [objectId, updateProject],
+  "projects:delete": [objectId],
+  "recurringTasks:create": [createRecurringTask],
+  "recurringTasks:read": [],
+  "recurringTasks:update": [objectId, updateRecurringTask],
+  "recurringTasks:end": [objectId],
+  "recurringTasks:delete": [objectId],
+  "checklistItem:add": [objectId, checklistItemName, indexInTasksOfDays],
+  "checklistItem:rename": [objectId, objectId, checklistItemName, indexInTasksOfDays],
+  "checklistItem:toggle": [objectId, objectId, indexInTasksOfDays],
+  "checklistItem:delete": [objectId, objectId, indexInTasksOfDays],
+  "checklistItems:reorder": [objectId, checklistItemIds, indexInTasksOfDays],
+  // the third argument is the checklist item that the time is attributed to
+  "workedTimeSpan:start": [objectId, indexInTasksOfDays, { ...objectId, optional: true }],
+  "workedTimeSpan:end": [
+    objectId,
+    objectId,
+    { ...date, optional: true },
+    { type: "boolean", optional: true },
+    indexInTasksOfDays,
+  ],
+  "workedTimeSpan:continue": [date],
+  "pomodoro:start": [objectId, { ...pomodoroOptions, optional: true }, indexInTasksOfDays],
+  "pomodoro:stop": [indexInTasksOfDays],
+  "pomodoro:read": [],
+  "workedTimeSpan:add": [objectId, addWorkedTimeSpan, indexInTasksOfDays],
+  "workedTimeSpan:update": [objectId, objectId, editWorkedTimeSpan, indexInTasksOfDays],
+  "workedTimeSpan:delete": [
+    objectId,
+    { type: "array", items: objectId, minItems: 1, maxItems: 1000 },
+    indexInTasksOfDays,
+  ],
+  "settings:read": [],
+  "settings:update": [settings],
+  "totalCompletedTimes:read": [
+    date,
+    date,
+    { type: "number", integer: true, min: 1, max: 366 },
+    { ...timeZone, optional: true },
+    { type: "boolean", optional: true },
+  ],
+  "completedTimesByProjectAndTag:read": [date, date, { type: "boolean", optional: true }],
+  "existingDates:read": [{ ...timeZone, optional: true }],
+  "report:read": [date, date, { ...timeZone, optional: true }],
+  "dailyGoal:read": [],
+  "dailyGoal:update": [dailyGoal],
+  "goalProgress:read": [date, { type: "number", integer: true, min: 1, max: 366 }, { ...timeZone, optional: true }],
+  "webhooks:create": [createWebhook],
+  "webhooks:read": [],
+  "webhooks:update": [objectId, updateWebhook],
+  "webhooks:delete": [objectId],
+  "webhooks:test": [objectId],
+  "webhookDeliveries:read": [objectId],
+  "workspaces:create": [createWorkspace],
+  "workspaces:read": [],
+  "workspaces:update": [objectId, updateWorkspace],
+  "workspaces:delete": [objectId],
+  "workspaceInvitations:read": [],
+  "workspaceInvitations:accept": [objectId],
+  "workspaceInvitations:decline": [objectId],
+  "workspaceMembers:invite": [objectId, inviteMember],
+  "workspaceMembers:update": [objectId, username, updateMember],
+  "workspaceMembers:remove": [objectId, username],
+  // task, workspace and the member that the task is assigned to
+  "tasks:assign": [objectId, objectId, username, indexInTasksOfDays],
+  "workspaceReport:read": [objectId, date, date],
+  "workspacePresence:read": [objectId],
+};
+
+module.exports = {
+  usernameParams,
+  signup,
+  profile,
+  exportQuery,
+  importData,
+  login,
+  refreshToken,
+  createAccessToken,
+  accessTokenIdParams,
+  taskIdParams,
+  workedTimeSpanParams,
+  projectIdParams,
+  recurringTaskIdParams,
+  createTask,
+  updateTask,
+  startTimer,
+  checklistItemParams,
+  historyEntryParams,
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklistItems,
+  dateRangeQuery,
+  tasksQuery,
+  completedTimesQuery,
+  syncQuery,
+  idempotencyKey,
+  reportQuery,
+  dailyGoal,
+  goalProgressQuery,
+  createProject,
+  updateProject,
+  projectsQuery,
+  createRecurringTask,
+  updateRecurringTask,
+  stopTimer,
+  addWorkedTimeSpan,
+  editWorkedTimeSpan,
+  settings,
+  startPomodoro,
+  webhookIdParams,
+  createWebhook,
+  workspaceIdParams,
+  workspaceMemberParams,
+  workspaceTaskParams,
+  createWorkspace,
+  updateWorkspace,
+  inviteMember,
+  updateMember,
+  assignTask,
+  updateWebhook,
+  events,
+};
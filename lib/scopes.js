@@ -0,0 +1,116 @@
+// scopes of personal access tokens
+// a personal access token can only use the routes and the socket events of its scopes:
+//   tasks:read: read and sync tasks, read projects, recurring tasks, the history of tasks,
+//     workspaces and their presence
+//   tasks:write: create, change, assign and delete tasks, change projects and recurring tasks,
+//     add and edit past worked time spans
+//   timer: start and stop timers and pomodoro sessions, read and set the active task
+//   reports: read the stats, the reports (of workspaces too) and the daily goal progress
+// the access tokens of sessions (after a login) can use everything
+// the routes and the events without a scope (ex: settings, webhooks, access tokens, workspace members) need a session
+
+const { AppError, errorCodes } = require("./errors");
+const { errorAck } = require("./acks");
+
+const accessTokenScopes = ["tasks:read", "tasks:write", "timer", "reports"];
+
+// scope of every socket event that a personal access token can send
+const eventScopes = {
+  "roomState:update": "timer",
+  "roomState:read": "timer",
+  "tasks:create": "tasks:write",
+  "tasks:read": "tasks:read",
+  "tasks:delete": "tasks:write",
+  "tasks:restore": "tasks:write",
+  "taskStatus:update": "tasks:write",
+  "taskHistory:read": "tasks:read",
+  "sync:pull": "tasks:read",
+  "workedTimeSpans:restore": "tasks:write",
+  "taskName:update": "tasks:write",
+  "taskProject:update": "tasks:write",
+  "taskTags:update": "tasks:write",
+  "taskEstimatedDuration:update": "tasks:write",
+  "projects:create": "tasks:write",
+  "projects:read": "tasks:read",
+  "projects:update": "tasks:write",
+  "projects:delete": "tasks:write",
+  "recurringTasks:create": "tasks:write",
+  "recurringTasks:read": "tasks:read",
+  "recurringTasks:update": "tasks:write",
+  "recurringTasks:end": "tasks:write",
+  "recurringTasks:delete": "tasks:write",
+  "checklistItem:add": "tasks:write",
+  "checklistItem:rename": "tasks:write",
+  "checklistItem:toggle": "tasks:write",
+  "checklistItem:delete": "tasks:write",
+  "checklistItems:reorder": "tasks:write",
+  "workedTimeSpan:start": "timer",
+  "workedTimeSpan:end": "timer",
+  "workedTimeSpan:continue": "timer",
+  "pomodoro:start": "timer",
+  "pomodoro:stop": "timer",
+  "pomodoro:read": "timer",
+  "workedTimeSpan:add": "tasks:write",
+  "workedTimeSpan:update": "tasks:write",
+  "workedTimeSpan:delete": "tasks:write",
+  "totalCompletedTimes:read": "reports",
+  "completedTimesByProjectAndTag:read": "reports",
+  "existingDates:read": "reports",
+  "report:read": "reports",
+  "dailyGoal:read": "reports",
+  "goalProgress:read": "reports",
+  "workspaces:read": "tasks:read",
+  "tasks:assign": "tasks:write",
+  "workspaceReport:read": "reports",
+  "workspacePresence:read": "tasks:read",
+};
+
+// check if the decoded payload of a token allows a scope
+// decoded.scopes is only set for personal access tokens, a missing scope means that a session is needed
+function hasScope(decoded, scope) {
+  if (!decoded.scopes) return true;
+
+  return Boolean(scope) && decoded.scopes.includes(scope);
+}
+
+// error of a personal access token without the needed scope
+function missingScopeError(scope) {
+  return new AppError(
+    errorCodes.FORBIDDEN,
+    scope
+      ? `The access token doesn't have the "${scope}" scope!`
+      : "This operation needs a login session, access tokens can't be used!",
+    { httpStatus: 403 }
+  );
+}
+
+// express middleware that lets the request go on only if its token has the scope
+// scope null means that a session is needed
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.decoded, scope)) return next();
+
+    res.status(403).send(errorAck(missingScopeError(scope)));
+  };
+}
+
+// routes that can't be used with a personal access token
+const requireSession = requireScope(null);
+
+// events that every token can send, because the events inside them are checked one by one
+const unscopedEvents = new Set(["operations:apply"]);
+
+// wrap a socket event handler so that it's called only if the socket's token has the scope of the event
+function withScope(decoded, event, handler) {
+  if (unscopedEvents.has(event)) return handler;
+
+  const scope = eventScopes[event];
+
+  return async (...args) => {
+    if (!hasScope(decoded, scope)) throw missingScopeError(scope);
+
+    return handler(...args);
+  };
+}
+
+module.exports = { accessTokenScopes, eventScopes, hasScope, requireScope, requireSession, withScope };
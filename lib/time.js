@@ -0,0 +1,171 @@
+// time zone aware date helpers
+// a local date is a date string like "2023-07-11" in a time zone
+// days are not always 24 hours long (daylight saving time), so local dates are never
+// calculated by adding 24 * 60 * 60 * 1000 milliseconds to a date
+
+// formatters are expensive to create, so they are cached by time zone
+const localDateFormatters = new Map();
+const localTimeFormatters = new Map();
+
+// convert a date to user's local timezone's date string like "2023-07-11"
+// same as $dateToString with "%Y-%m-%d" format
+function toLocalDateString(date, timeZone) {
+  if (!localDateFormatters.has(timeZone)) {
+    // "en-CA" locale formats dates as "YYYY-MM-DD"
+    localDateFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+    );
+  }
+
+  return localDateFormatters.get(timeZone).format(date);
+}
+
+// get the year, month, day, hour, minute and second of a date in a time zone as numbers
+function localTimeParts(date, timeZone) {
+  if (!localTimeFormatters.has(timeZone)) {
+    localTimeFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+
+  const parts = {};
+  for (const { type, value } of localTimeFormatters.get(timeZone).formatToParts(date)) parts[type] = Number(value);
+
+  return parts;
+}
+
+// convert a date to the local date and time of a time zone like "2023-07-11T09:30:00" (without offset)
+function toLocalDateTimeString(date, timeZone) {
+  const { year, month, day, hour, minute, second } = localTimeParts(date, timeZone);
+  const pad = (number) => String(number).padStart(2, "0");
+
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+// get the difference between the local time of a time zone and utc at a date in milliseconds
+// ex: 6 hours for "Asia/Dhaka", -4 or -5 hours for "America/New_York" depending on daylight saving time
+function timeZoneOffsetInMs(date, timeZone) {
+  const parts = localTimeParts(date, timeZone);
+
+  // the local time read as if it was utc
+  const localTimeAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  // milliseconds are not formatted, so they are removed from the date too
+  return localTimeAsUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// add (or subtract) calendar days to a local date, ex: ("2023-03-31", 1) => "2023-04-01"
+function addDaysToLocalDate(localDate, days) {
+  const [year, month, day] = localDate.split("-").map(Number);
+
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// get the day of the week of a local date, 0 is Sunday like Date.prototype.getDay
+function weekdayOfLocalDate(localDate) {
+  return new Date(`${localDate}T00:00:00.000Z`).getUTCDay();
+}
+
+// get the ISO week (weeks start on Monday) of a local date
+// returns { week, weekStartLocalDate } ex: ("2023-11-05") => { week: "2023-W44", weekStartLocalDate: "2023-10-30" }
+function isoWeekOfLocalDate(localDate) {
+  // Monday is 1 and Sunday is 7 in ISO weeks
+  const isoWeekday = weekdayOfLocalDate(localDate) || 7;
+  // the ISO week belongs to the year of its Thursday
+  const thursday = new Date(`${addDaysToLocalDate(localDate, 4 - isoWeekday)}T00:00:00.000Z`);
+  const firstDayOfYear = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const weekNumber = Math.floor((thursday - firstDayOfYear) / (24 * 60 * 60 * 1000) / 7) + 1;
+
+  return {
+    week: `${thursday.getUTCFullYear()}-W${String(weekNumber).padStart(2, "0")}`,
+    weekStartLocalDate: addDaysToLocalDate(localDate, 1 - isoWeekday),
+  };
+}
+
+// get the first moment of a local date in a time zone (the local midnight)
+function startOfLocalDate(localDate, timeZone) {
+  const [year, month, day] = localDate.split("-").map(Number);
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+
+  // the offset at the local midnight is not known before knowing the local midnight
+  // so the offset at utc midnight is used as a guess, then the guess is corrected
+  const guess = midnightAsUtc - timeZoneOffsetInMs(new Date(midnightAsUtc), timeZone);
+  const start = midnightAsUtc - timeZoneOffsetInMs(new Date(guess), timeZone);
+
+  // if clocks jump forward at midnight (ex: "America/Santiago"), midnight doesn't exist
+  // and the corrected time falls in the previous day, then the day starts when clocks jump
+  if (toLocalDateString(new Date(start), timeZone) !== localDate) return new Date(guess);
+
+  return new Date(start);
+}
+
+// get the local dates of numberOfDays days starting from the local date of startDate
+// ex: ("2023-03-25T18:00:00.000Z", 3, "Asia/Dhaka") => ["2023-03-26", "2023-03-27", "2023-03-28"]
+function localDatesFrom(startDate, numberOfDays, timeZone) {
+  const firstLocalDate = toLocalDateString(startDate, timeZone);
+
+  return Array.from({ length: numberOfDays }, (_, index) => addDaysToLocalDate(firstLocalDate, index));
+}
+
+// split the time between startTime and endTime at local midnights
+// returns [{ localDate, duration }] where duration is in milliseconds
+// ex: 23:00 to 01:00 => [{ localDate: "2023-07-11", duration: 1 hour }, { localDate: "2023-07-12", duration: 1 hour }]
+function splitAtLocalMidnights(startTime, endTime, timeZone) {
+  const parts = [];
+
+  let time = startTime;
+  while (time < endTime) {
+    const localDate = toLocalDateString(time, timeZone);
+    const nextDayStart = startOfLocalDate(addDaysToLocalDate(localDate, 1), timeZone);
+    const partEndTime = nextDayStart < endTime ? nextDayStart : endTime;
+
+    parts.push({ localDate, duration: partEndTime - time });
+    time = partEndTime;
+  }
+
+  return parts;
+}
+
+// split the time between startTime and endTime at local hour boundaries
+// returns [{ localDate, hour, duration }] where hour is the local hour (0 to 23) and duration is in milliseconds
+// a day with a daylight saving time change has 23 or 25 local hours, and an hour can appear twice
+function splitAtLocalHours(startTime, endTime, timeZone) {
+  const parts = [];
+
+  let time = startTime;
+  while (time < endTime) {
+    const { hour, minute, second } = localTimeParts(time, timeZone);
+    // local hours start when the local minute and second are 0 (also in time zones like "Asia/Kolkata")
+    const nextHourStart = new Date(time.getTime() - time.getUTCMilliseconds() + ((60 - minute) * 60 - second) * 1000);
+    const partEndTime = nextHourStart < endTime ? nextHourStart : endTime;
+
+    parts.push({ localDate: toLocalDateString(time, timeZone), hour, duration: partEndTime - time });
+    time = partEndTime;
+  }
+
+  return parts;
+}
+
+module.exports = {
+  toLocalDateString,
+  toLocalDateTimeString,
+  timeZoneOffsetInMs,
+  addDaysToLocalDate,
+  weekdayOfLocalDate,
+  isoWeekOfLocalDate,
+  startOfLocalDate,
+  localDatesFrom,
+  splitAtLocalMidnights,
+  splitAtLocalHours,
+};
@@ -0,0 +1,94 @@
+// crypto module to generate and hash refresh tokens
+const crypto = require("crypto");
+// jsonwebtoken package for access token implementation
+const jwt = require("jsonwebtoken");
+
+// access tokens are short lived, refresh tokens are used to get a new one
+const accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+// number of days a refresh token (and so the session) stays valid without being used
+const refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// sign an access token for a user's session
+// sessionId is added to the payload so that we can check the session is not revoked
+function signAccessToken(username, sessionId) {
+  return jwt.sign({ username, sid: sessionId }, process.env.ACCESS_TOKEN_SECRET, {
+    expiresIn: accessTokenExpiresIn,
+  });
+}
+
+// hash a refresh token secret, only the hash is stored in db
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+// create a new refresh token for a session
+// the token looks like "<sessionId>.<random secret>"
+// returns the token to send to the client and the hash to store in db
+function createRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    refreshTokenHash: hashToken(secret),
+  };
+}
+
+// split a refresh token to the sessionId and the secret
+// returns null if the token is malformed
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string") return null;
+
+  const [sessionId, secret] = refreshToken.split(".");
+
+  if (!sessionId || !secret) return null;
+
+  return { sessionId, secret };
+}
+
+// get the date when a refresh token created now expires
+function refreshTokenExpiryDate() {
+  return new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+}
+
+// personal access tokens look like "zpat_<tokenId>.<random secret>"
+// the prefix tells them apart from the access tokens (JWTs) of sessions
+const personalAccessTokenPrefix = "zpat_";
+
+// create a new personal access token
+// returns the token to send to the client once and the hash to store in db
+function createPersonalAccessToken(tokenId) {
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  return {
+    token: `${personalAccessTokenPrefix}${tokenId}.${secret}`,
+    tokenHash: hashToken(secret),
+  };
+}
+
+// check if a bearer token is a personal access token, not the access token of a session
+function isPersonalAccessToken(token) {
+  return typeof token === "string" && token.startsWith(personalAccessTokenPrefix);
+}
+
+// split a personal access token to the tokenId and the secret
+// returns null if the token is malformed
+function parsePersonalAccessToken(token) {
+  if (!isPersonalAccessToken(token)) return null;
+
+  const [tokenId, secret] = token.slice(personalAccessTokenPrefix.length).split(".");
+
+  if (!tokenId || !secret) return null;
+
+  return { tokenId, secret };
+}
+
+module.exports = {
+  signAccessToken,
+  hashToken,
+  createRefreshToken,
+  parseRefreshToken,
+  refreshTokenExpiryDate,
+  createPersonalAccessToken,
+  isPersonalAccessToken,
+  parsePersonalAccessToken,
+};
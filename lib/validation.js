@@ -0,0 +1,201 @@
+// declarative validation of REST request parts and socket event arguments
+// a schema is a plain object that describes the expected value, ex:
+// { type: "string", minLength: 1, maxLength: 200, trim: true, optional: true }
+// supported types: string, number, boolean, date, objectId, timeZone, array, object
+// and any (every value, ex: the arguments of an event that are checked later with the event's schemas)
+// object schemas whitelist their properties, unknown properties are removed
+
+// ObjectId is needed to check 24 hex character ids
+const { ObjectId } = require("mongodb");
+
+// AppError and errorCodes to send validation errors like other expected errors
+const { AppError, errorCodes } = require("./errors");
+
+// error thrown when a value doesn't match its schema
+// errors holds every problem found as { path, message }
+class ValidationError extends AppError {
+  constructor(errors) {
+    super(errorCodes.VALIDATION_FAILED, "Invalid payload", { data: { errors } });
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+// check that a time zone name is known by the runtime (ex: "Asia/Dhaka")
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// validate a value against a schema
+// returns the sanitized value (trimmed strings, whitelisted objects)
+// pushes every problem found to the errors array
+function check(schema, value, path, errors) {
+  // missing values are allowed only for optional schemas
+  if (value === undefined || value === null) {
+    if (!schema.optional) errors.push({ path, message: "is required" });
+    return value;
+  }
+
+  switch (schema.type) {
+    case "string": {
+      if (typeof value !== "string") {
+        errors.push({ path, message: "must be a string" });
+        return value;
+      }
+      const string = schema.trim ? value.trim() : value;
+      if (schema.minLength !== undefined && string.length < schema.minLength) {
+        errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+      }
+      if (schema.maxLength !== undefined && string.length > schema.maxLength) {
+        errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+      }
+      if (schema.pattern && !schema.pattern.test(string)) {
+        errors.push({ path, message: "has an invalid format" });
+      }
+      if (schema.enum && !schema.enum.includes(string)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(", ")}` });
+      }
+      return string;
+    }
+
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push({ path, message: "must be a number" });
+        return value;
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        errors.push({ path, message: "must be an integer" });
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        errors.push({ path, message: `must be greater than or equal to ${schema.min}` });
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        errors.push({ path, message: `must be less than or equal to ${schema.max}` });
+      }
+      return value;
+    }
+
+    case "boolean": {
+      if (typeof value !== "boolean") {
+        errors.push({ path, message: "must be a boolean" });
+      }
+      return value;
+    }
+
+    // a date string or a timestamp in milliseconds that can be converted to a valid date
+    case "date": {
+      if (
+        (typeof value !== "string" && typeof value !== "number" && !(value instanceof Date)) ||
+        isNaN(new Date(value).getTime())
+      ) {
+        errors.push({ path, message: "must be a valid date" });
+      }
+      return value;
+    }
+
+    // a 24 hex character string that can be converted to an ObjectId
+    case "objectId": {
+      if (typeof value !== "string" || !ObjectId.isValid(value) || value.length !== 24) {
+        errors.push({ path, message: "must be a valid id" });
+      }
+      return value;
+    }
+
+    case "timeZone": {
+      if (typeof value !== "string" || !isValidTimeZone(value)) {
+        errors.push({ path, message: "must be a valid time zone" });
+      }
+      return value;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        errors.push({ path, message: "must be an array" });
+        return value;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must contain at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+      }
+      return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        errors.push({ path, message: "must be an object" });
+        return value;
+      }
+      // only the properties declared in the schema are kept
+      const object = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        const propertyValue = check(propertySchema, value[key], path ? `${path}.${key}` : key, errors);
+        if (propertyValue !== undefined) object[key] = propertyValue;
+      }
+      return object;
+    }
+
+    case "any":
+      return value;
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+}
+
+// validate a value against a schema
+// returns the sanitized value or throws ValidationError
+function validate(schema, value, path = "") {
+  const errors = [];
+  const sanitizedValue = check(schema, value, path, errors);
+
+  if (errors.length) throw new ValidationError(errors);
+
+  return sanitizedValue;
+}
+
+// express middleware factory that validates req.body, req.params and req.query
+// ex: validateRequest({ body: schemas.login })
+// sends 400 with the list of errors if the request is invalid
+function validateRequest(schemasOfParts) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const [part, schema] of Object.entries(schemasOfParts)) {
+      req[part] = check(schema, req[part] ?? {}, part, errors);
+    }
+
+    if (errors.length) {
+      return res.status(400).send({ message: "Invalid request", errors });
+    }
+
+    next();
+  };
+}
+
+// socket event handler factory that validates the arguments of an event
+// argSchemas is an array of schemas, one for each argument
+// the last argument is always the ack function (see lib/acks.js), it is not validated
+// the handler is called with the sanitized arguments followed by the ack function
+// so ack is always in its expected position even if the client sent fewer arguments
+// throws ValidationError if arguments are invalid
+function validateEvent(argSchemas, handler) {
+  return (...args) => {
+    const ack = args.pop();
+
+    const errors = [];
+    const sanitizedArgs = argSchemas.map((schema, index) => check(schema, args[index], `args[${index}]`, errors));
+
+    if (errors.length) throw new ValidationError(errors);
+
+    return handler(...sanitizedArgs, ack);
+  };
+}
+
+module.exports = { ValidationError, validate, validateRequest, validateEvent, isValidTimeZone };
@@ -0,0 +1,160 @@
+// signing of webhook deliveries
+// every delivery is a POST with a JSON body and these headers:
+//   X-Zitbo-Event: type of the event (ex: "task.created")
+//   X-Zitbo-Delivery: _id of the delivery, the same for every attempt of a delivery
+//   X-Zitbo-Timestamp: unix time (seconds) of the attempt
+//   X-Zitbo-Signature: "sha256=" + hex HMAC-SHA256 of `${timestamp}.${body}` with the secret of the webhook
+// receivers should compute the signature with the secret and compare it in constant time,
+// and reject old timestamps to avoid replays
+
+// crypto module to sign the deliveries and generate the secrets
+const crypto = require("crypto");
+// modules to send the deliveries only to the public addresses
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+
+// events that a webhook can subscribe to
+const webhookEventTypes = [
+  "task.created",
+  "task.renamed",
+  "task.deleted",
+  "workedTimeSpan.started",
+  "workedTimeSpan.ended",
+];
+
+// generate a new secret of a webhook
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// sign the body of a delivery that is sent at timestamp (seconds)
+function signWebhookBody(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// headers of an attempt of a delivery
+function webhookHeaders({ secret, type, deliveryId, body, attemptedAt }) {
+  const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+
+  return {
+    "Content-Type": "application/json",
+    "User-Agent": "zitbo-webhooks",
+    "X-Zitbo-Event": type,
+    "X-Zitbo-Delivery": deliveryId.toString(),
+    "X-Zitbo-Timestamp": String(timestamp),
+    "X-Zitbo-Signature": signWebhookBody(secret, timestamp, body),
+  };
+}
+
+// addresses that webhooks can't call: the server itself and the private networks it can reach
+// (loopback, private, link-local including the cloud metadata address, shared, multicast and reserved ranges)
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  // the unspecified and loopback addresses, and the deprecated ipv4-compatible addresses (ex: ::127.0.0.1)
+  ["::", 96],
+  // nat64 addresses may hide a blocked ipv4 address (ipv4-mapped addresses are checked as ipv4 addresses)
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+// host of a url without the brackets of an ipv6 address
+function hostnameOf(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+// check if an ip address can be called by a webhook
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  return !blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// dns.lookup for the requests of the deliveries, fails if the host has an address that is not public
+// it's used when the request connects, so a host can't resolve to another address after it's checked
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.every((resolved) => isPublicAddress(resolved.address))) {
+      return callback(new Error(`${hostname} is not a public address!`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+// check that the host of a url has only public addresses
+// returns an error message if it doesn't, null otherwise
+async function checkPublicUrl(url) {
+  const hostname = hostnameOf(url);
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return "Url's host is not found!";
+  }
+
+  return addresses.every(({ address }) => isPublicAddress(address)) ? null : "Url must be a public address!";
+}
+
+// send a delivery to the url of a webhook and return the status code of the response
+// the response body is not read, redirects are not followed and only public addresses are called
+function postDelivery(url, { headers, body, timeoutInMs }) {
+  return new Promise((resolve, reject) => {
+    const hostname = hostnameOf(url);
+    // an ip address is connected without a lookup
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      return reject(new Error(`${hostname} is not a public address!`));
+    }
+
+    const { request } = url.startsWith("https:") ? https : http;
+    const req = request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: lookupPublicAddress,
+      signal: AbortSignal.timeout(timeoutInMs),
+    });
+
+    req.on("response", (res) => {
+      // the connection is closed without reading the body
+      res.destroy();
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+
+    req.end(body);
+  });
+}
+
+module.exports = {
+  webhookEventTypes,
+  generateWebhookSecret,
+  signWebhookBody,
+  webhookHeaders,
+  checkPublicUrl,
+  postDelivery,
+};
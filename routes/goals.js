@@ -0,0 +1,62 @@
+// REST API v1 for daily goals
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireScope, requireSession } = require("../lib/scopes");
+
+function createGoalsRouter({ goalsService, io }) {
+  const router = express.Router();
+
+  // get the daily goal of the user
+  router.get(
+    "/goals/daily",
+    requireScope("reports"),
+    handleRoute(async (req, res) => {
+      res.send(await goalsService.readDailyGoal(req.decoded.username));
+    })
+  );
+
+  // set the daily goal of the user
+  router.put(
+    "/goals/daily",
+    requireSession,
+    validateRequest({ body: schemas.dailyGoal }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const dailyGoal = await goalsService.updateDailyGoal(username, req.body);
+
+      res.send(dailyGoal);
+      // every device of the user gets the updated daily goal
+      io.to(username).emit("dailyGoal:change", dailyGoal);
+    })
+  );
+
+  // get the progress of numberOfDays local dates starting from the local date of startDate and the streaks
+  // ex: GET /api/v1/goals/progress?startDate=2023-08-01T00:00:00.000Z&numberOfDays=7
+  router.get(
+    "/goals/progress",
+    requireScope("reports"),
+    validateRequest({ query: schemas.goalProgressQuery }),
+    handleRoute(async (req, res) => {
+      const { startDate, numberOfDays, timeZone } = req.query;
+
+      const progress = await goalsService.readGoalProgress(
+        req.decoded.username,
+        new Date(startDate),
+        Number(numberOfDays),
+        timeZone
+      );
+
+      res.send(progress);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createGoalsRouter };
@@ -0,0 +1,66 @@
+// REST API v1 for pomodoro sessions
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+//
+// the pomodoro service emits "pomodoro:phase" to the user's room at every phase change
+// starting and stopping a session starts and stops a timer, so "tasks:change" is broadcast too
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireScope } = require("../lib/scopes");
+const { originOfRequest } = require("../lib/origins");
+
+function createPomodoroRouter({ pomodoroService, tasksService }) {
+  const router = express.Router();
+
+  // get the running pomodoro session of the user, null if no session is running
+  router.get(
+    "/pomodoro",
+    requireScope("timer"),
+    handleRoute(async (req, res) => {
+      res.send({ pomodoro: await pomodoroService.readPomodoro(req.decoded.username) });
+    })
+  );
+
+  // start a pomodoro session on a task
+  // ex: POST /api/v1/pomodoro { "taskId": "...", "workMinutes": 50, "shortBreakMinutes": 10 }
+  router.post(
+    "/pomodoro",
+    requireScope("timer"),
+    validateRequest({ body: schemas.startPomodoro }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId, ...options } = req.body;
+
+      const { pomodoro, stoppedWorkedTimeSpans } = await pomodoroService.startPomodoro(
+        username,
+        taskId,
+        options,
+        originOfRequest(req)
+      );
+
+      res.status(201).send({ pomodoro, stoppedWorkedTimeSpans });
+      tasksService.notifyTasksChange(username, 0, taskId);
+    })
+  );
+
+  // stop the running pomodoro session of the user
+  router.delete(
+    "/pomodoro",
+    requireScope("timer"),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const { isTimerStopped } = await pomodoroService.stopPomodoro(username, originOfRequest(req));
+
+      res.send({ status: "OK", message: "Successfully stopped the pomodoro session!" });
+      if (isTimerStopped) tasksService.notifyTasksChange(username, 0, "");
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createPomodoroRouter };
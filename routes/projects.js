@@ -0,0 +1,81 @@
+// REST API v1 for projects
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+//
+// every mutation broadcasts "projects:change" to the user's room so that open clients stay in sync
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireScope } = require("../lib/scopes");
+
+function createProjectsRouter({ projectsService, tasksService }) {
+  const router = express.Router();
+
+  // create a new project
+  router.post(
+    "/projects",
+    requireScope("tasks:write"),
+    validateRequest({ body: schemas.createProject }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const project = await projectsService.createProject(username, req.body);
+
+      res.status(201).send(project);
+      projectsService.notifyProjectsChange(username);
+    })
+  );
+
+  // get the projects of the user
+  // ex: GET /api/v1/projects?includeArchived=true
+  router.get(
+    "/projects",
+    requireScope("tasks:read"),
+    validateRequest({ query: schemas.projectsQuery }),
+    handleRoute(async (req, res) => {
+      const includeArchived = req.query.includeArchived === "true";
+
+      const projects = await projectsService.readProjects(req.decoded.username, includeArchived);
+
+      res.send({ projects });
+    })
+  );
+
+  // rename, recolor, archive or unarchive a project
+  router.patch(
+    "/projects/:projectId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.projectIdParams, body: schemas.updateProject }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const { project, isModified } = await projectsService.updateProject(username, req.params.projectId, req.body);
+
+      res.send(project);
+      if (isModified) projectsService.notifyProjectsChange(username);
+    })
+  );
+
+  // delete a project, its tasks are kept without a project
+  router.delete(
+    "/projects/:projectId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.projectIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      await projectsService.deleteProject(username, req.params.projectId);
+
+      res.send({ status: "OK", message: "Successfully deleted the project!" });
+      projectsService.notifyProjectsChange(username);
+      // tasks of the project are changed too
+      tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createProjectsRouter };
@@ -0,0 +1,98 @@
+// REST API v1 for recurring tasks
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+//
+// every mutation broadcasts "recurringTasks:change" to the user's room so that open clients stay in sync
+// the tasks that are already created are never changed, so "tasks:change" is not emitted
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireScope } = require("../lib/scopes");
+
+function createRecurringTasksRouter({ recurringTasksService }) {
+  const router = express.Router();
+
+  // create a new recurring task
+  router.post(
+    "/recurring-tasks",
+    requireScope("tasks:write"),
+    validateRequest({ body: schemas.createRecurringTask }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const recurringTask = await recurringTasksService.createRecurringTask(username, req.body);
+
+      res.status(201).send(recurringTask);
+      recurringTasksService.notifyRecurringTasksChange(username);
+    })
+  );
+
+  // get the recurring tasks of the user
+  router.get(
+    "/recurring-tasks",
+    requireScope("tasks:read"),
+    handleRoute(async (req, res) => {
+      const recurringTasks = await recurringTasksService.readRecurringTasks(req.decoded.username);
+
+      res.send({ recurringTasks });
+    })
+  );
+
+  // change the name, project, tags, rule or end date of a recurring task
+  router.patch(
+    "/recurring-tasks/:recurringTaskId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.recurringTaskIdParams, body: schemas.updateRecurringTask }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const { recurringTask, isModified } = await recurringTasksService.updateRecurringTask(
+        username,
+        req.params.recurringTaskId,
+        req.body
+      );
+
+      res.send(recurringTask);
+      if (isModified) recurringTasksService.notifyRecurringTasksChange(username);
+    })
+  );
+
+  // end a recurring task now, the tasks that are already created are kept
+  router.post(
+    "/recurring-tasks/:recurringTaskId/end",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.recurringTaskIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const { recurringTask, isModified } = await recurringTasksService.endRecurringTask(
+        username,
+        req.params.recurringTaskId
+      );
+
+      res.send(recurringTask);
+      if (isModified) recurringTasksService.notifyRecurringTasksChange(username);
+    })
+  );
+
+  // delete a recurring task, the tasks that are already created are kept
+  router.delete(
+    "/recurring-tasks/:recurringTaskId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.recurringTaskIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      await recurringTasksService.deleteRecurringTask(username, req.params.recurringTaskId);
+
+      res.send({ status: "OK", message: "Successfully deleted the recurring task!" });
+      recurringTasksService.notifyRecurringTasksChange(username);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createRecurringTasksRouter };
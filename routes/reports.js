@@ -0,0 +1,36 @@
+// REST API v1 for reports
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireScope } = require("../lib/scopes");
+
+function createReportsRouter({ reportsService }) {
+  const router = express.Router();
+
+  // get the report of the completed time between the local dates of startDate and endDate
+  // ex: GET /api/v1/reports?startDate=2023-08-01T00:00:00.000Z&endDate=2023-08-31T23:59:59.999Z&timeZone=Asia/Dhaka
+  router.get(
+    "/reports",
+    requireScope("reports"),
+    validateRequest({ query: schemas.reportQuery }),
+    handleRoute(async (req, res) => {
+      const { startDate, endDate, timeZone } = req.query;
+
+      const report = await reportsService.readReport(req.decoded.username, {
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        timeZone,
+      });
+
+      res.send(report);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createReportsRouter };
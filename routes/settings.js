@@ -0,0 +1,42 @@
+// REST API v1 for user settings
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireSession } = require("../lib/scopes");
+
+function createSettingsRouter({ settingsService, io }) {
+  const router = express.Router();
+
+  // get the settings of the user
+  router.get(
+    "/settings",
+    requireSession,
+    handleRoute(async (req, res) => {
+      res.send(await settingsService.readSettings(req.decoded.username));
+    })
+  );
+
+  // update some settings of the user
+  router.patch(
+    "/settings",
+    requireSession,
+    validateRequest({ body: schemas.settings }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const updatedSettings = await settingsService.updateSettings(username, req.body);
+
+      res.send(updatedSettings);
+      // every device of the user gets the updated settings
+      io.to(username).emit("settings:change", updatedSettings);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createSettingsRouter };
@@ -0,0 +1,402 @@
+// REST API v1 for tasks and worked time spans
+// same operations as the socket events, for scripts, CLI tools and integrations
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+//
+// every mutation broadcasts "tasks:change" to the user's room so that open clients stay in sync
+// and every changed task is sent to the user's room with its version as "sync:change" (see pullChanges)
+// REST clients don't have a tasksOfDays state, so indexInTasksOfDays is always 0 (current date's tasks)
+// the changes of tasks are recorded in the history of the tasks with the origin of the request (see lib/origins.js)
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const { AppError, errorCodes } = require("../lib/errors");
+const { originOfRequest } = require("../lib/origins");
+const schemas = require("../lib/schemas");
+const { requireScope } = require("../lib/scopes");
+
+function createTasksRouter({ tasksService, recurringTasksService }) {
+  const router = express.Router();
+
+  // create a new task, optionally in a project, with tags and with an estimatedDuration
+  router.post(
+    "/tasks",
+    requireScope("tasks:write"),
+    validateRequest({ body: schemas.createTask }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const task = await tasksService.createTask(username, req.body, originOfRequest(req));
+
+      res.status(201).send(task);
+      tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // get the tasks created between startDate and endDate, deleted tasks are left out
+  // projectId, tag and excludeArchived are optional filters
+  // ex: GET /api/v1/tasks?startDate=2023-08-01T00:00:00.000Z&endDate=2023-08-01T23:59:59.999Z&tag=urgent
+  router.get(
+    "/tasks",
+    requireScope("tasks:read"),
+    validateRequest({ query: schemas.tasksQuery }),
+    handleRoute(async (req, res) => {
+      const { startDate, endDate, projectId, tag } = req.query;
+      const excludeArchived = req.query.excludeArchived === "true";
+
+      // the tasks of the recurring tasks are created until today before reading
+      await recurringTasksService.createDueOccurrences(req.decoded.username);
+
+      const tasks = await tasksService.readTasks(req.decoded.username, new Date(startDate), new Date(endDate), {
+        projectId,
+        tag,
+        excludeArchived,
+      });
+
+      res.send({ tasks });
+    })
+  );
+
+  // get the changes of the tasks since a cursor (the version of the last pulled change), cursor=0 is a full sync
+  // the response has the cursor of the next pull, pull again right away if hasMore is true
+  // ex: GET /api/v1/sync?cursor=1024
+  router.get(
+    "/sync",
+    requireScope("tasks:read"),
+    validateRequest({ query: schemas.syncQuery }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      // the tasks of the recurring tasks are created until today before pulling
+      await recurringTasksService.createDueOccurrences(username);
+
+      res.send(await tasksService.pullChanges(username, Number(req.query.cursor)));
+    })
+  );
+
+  // rename a task, move it to another project, replace its tags, change its estimatedDuration and/or its status
+  router.patch(
+    "/tasks/:taskId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.taskIdParams, body: schemas.updateTask }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId } = req.params;
+      const { name, projectId, tags, estimatedDuration, status } = req.body;
+      const origin = originOfRequest(req);
+
+      if ([name, projectId, tags, estimatedDuration, status].every((property) => property === undefined)) {
+        throw new AppError(
+          errorCodes.VALIDATION_FAILED,
+          "Name, projectId, tags, estimatedDuration or status is required!"
+        );
+      }
+
+      // every sent property is updated, the task is modified if any of them changed
+      const modifications = [];
+      if (name !== undefined) modifications.push(await tasksService.renameTask(username, taskId, name, origin));
+      if (projectId !== undefined) {
+        modifications.push(await tasksService.setTaskProject(username, taskId, projectId, origin));
+      }
+      if (tags !== undefined) modifications.push(await tasksService.setTaskTags(username, taskId, tags, origin));
+      if (estimatedDuration !== undefined) {
+        modifications.push(await tasksService.setTaskEstimatedDuration(username, taskId, estimatedDuration, origin));
+      }
+      if (status !== undefined) {
+        modifications.push(await tasksService.setTaskStatus(username, taskId, status, origin));
+      }
+      const isModified = modifications.includes(true);
+
+      res.send({ status: "OK", message: isModified ? "Successfully updated the task!" : "Task is unchanged!" });
+      if (isModified) tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // delete a task, it can be restored until undoUntil
+  router.delete(
+    "/tasks/:taskId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.taskIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const { undoUntil } = await tasksService.deleteTask(username, req.params.taskId, originOfRequest(req));
+
+      res.send({ status: "OK", message: "Successfully deleted the task!", undoUntil });
+      tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // restore a deleted task within the undo window
+  router.post(
+    "/tasks/:taskId/restore",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.taskIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const task = await tasksService.restoreTask(username, req.params.taskId, originOfRequest(req));
+
+      res.send(task);
+      tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // add a checklist item to the end of a task's checklist
+  router.post(
+    "/tasks/:taskId/checklist-items",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.taskIdParams, body: schemas.addChecklistItem }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const checklistItem = await tasksService.addChecklistItem(
+        username,
+        req.params.taskId,
+        req.body.name,
+        originOfRequest(req)
+      );
+
+      res.status(201).send(checklistItem);
+      tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // put the checklist items of a task in a new order, every checklist item must be sent once
+  // registered before the routes with :checklistItemId
+  router.put(
+    "/tasks/:taskId/checklist-items/order",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.taskIdParams, body: schemas.reorderChecklistItems }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const isModified = await tasksService.reorderChecklistItems(
+        username,
+        req.params.taskId,
+        req.body.checklistItemIds,
+        originOfRequest(req)
+      );
+
+      res.send({
+        status: "OK",
+        message: isModified ? "Successfully reordered the checklist items!" : "Checklist order is unchanged!",
+      });
+      if (isModified) tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // rename a checklist item and/or mark it done or not done
+  router.patch(
+    "/tasks/:taskId/checklist-items/:checklistItemId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.checklistItemParams, body: schemas.updateChecklistItem }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId, checklistItemId } = req.params;
+
+      const isModified = await tasksService.updateChecklistItem(
+        username,
+        taskId,
+        checklistItemId,
+        req.body,
+        originOfRequest(req)
+      );
+
+      res.send({
+        status: "OK",
+        message: isModified ? "Successfully updated the checklist item!" : "Checklist item is unchanged!",
+      });
+      if (isModified) tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // delete a checklist item of a task
+  router.delete(
+    "/tasks/:taskId/checklist-items/:checklistItemId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.checklistItemParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId, checklistItemId } = req.params;
+
+      await tasksService.deleteChecklistItem(username, taskId, checklistItemId, originOfRequest(req));
+
+      res.send({ status: "OK", message: "Successfully deleted the checklist item!" });
+      tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // start the timer of a task (a new workedTimeSpan)
+  router.post(
+    "/tasks/:taskId/timer/start",
+    requireScope("timer"),
+    validateRequest({ params: schemas.taskIdParams, body: schemas.startTimer }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId } = req.params;
+
+      // running timer of another task may be stopped (see timerConflict setting)
+      // the time is attributed to a checklist item of the task if checklistItemId is sent
+      const { workedTimeSpan, stoppedWorkedTimeSpans } = await tasksService.startWorkedTimeSpan(
+        username,
+        taskId,
+        req.body,
+        originOfRequest(req)
+      );
+
+      res.status(201).send({ workedTimeSpan, stoppedWorkedTimeSpans });
+      // the started task is the active task of the room
+      tasksService.notifyTasksChange(username, 0, taskId);
+    })
+  );
+
+  // stop the running timer of a task (adds endTime to the running workedTimeSpan)
+  router.post(
+    "/tasks/:taskId/timer/stop",
+    requireScope("timer"),
+    validateRequest({ params: schemas.taskIdParams, body: schemas.stopTimer }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const { isEnded, activeTaskId } = await tasksService.stopTimer(
+        username,
+        req.params.taskId,
+        req.body.endTime,
+        originOfRequest(req)
+      );
+
+      res.send({ status: "OK", message: isEnded ? "Work done!" : "The timer is already stopped!" });
+      tasksService.notifyTasksChange(username, 0, activeTaskId);
+    })
+  );
+
+  // add a past workedTimeSpan to a task with explicit startTime and endTime
+  router.post(
+    "/tasks/:taskId/worked-time-spans",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.taskIdParams, body: schemas.addWorkedTimeSpan }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const workedTimeSpan = await tasksService.addWorkedTimeSpan(
+        username,
+        req.params.taskId,
+        req.body,
+        originOfRequest(req)
+      );
+
+      res.status(201).send({ workedTimeSpan });
+      tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // edit the startTime and/or endTime of a workedTimeSpan
+  router.patch(
+    "/tasks/:taskId/worked-time-spans/:workedTimeSpanId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.workedTimeSpanParams, body: schemas.editWorkedTimeSpan }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId, workedTimeSpanId } = req.params;
+
+      const { workedTimeSpan, isTimerStopped } = await tasksService.editWorkedTimeSpan(
+        username,
+        taskId,
+        workedTimeSpanId,
+        req.body,
+        originOfRequest(req)
+      );
+
+      res.send({ workedTimeSpan });
+      // if the edit stopped a running timer, there is no active task
+      if (isTimerStopped) tasksService.notifyTasksChange(username, 0, "");
+      else tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // delete a workedTimeSpan of a task
+  router.delete(
+    "/tasks/:taskId/worked-time-spans/:workedTimeSpanId",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.workedTimeSpanParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId, workedTimeSpanId } = req.params;
+
+      const { isModified, isTimerStopped } = await tasksService.deleteWorkedTimeSpans(
+        username,
+        taskId,
+        [workedTimeSpanId],
+        originOfRequest(req)
+      );
+
+      if (!isModified) {
+        throw new AppError(errorCodes.NOT_FOUND, "Worked time span not found!", { httpStatus: 404 });
+      }
+
+      res.send({ status: "OK", message: "Successfully deleted the worked time span!" });
+      // if the running workedTimeSpan is deleted, there is no active task
+      if (isTimerStopped) tasksService.notifyTasksChange(username, 0, "");
+      else tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // get the history of a task, oldest change first
+  router.get(
+    "/tasks/:taskId/history",
+    requireScope("tasks:read"),
+    validateRequest({ params: schemas.taskIdParams }),
+    handleRoute(async (req, res) => {
+      const taskHistory = await tasksService.readTaskHistory(req.decoded.username, req.params.taskId);
+
+      res.send({ taskHistory });
+    })
+  );
+
+  // set the workedTimeSpans of a task back to how they were before a change in the history of the task
+  router.post(
+    "/tasks/:taskId/history/:historyEntryId/restore-worked-time-spans",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.historyEntryParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { taskId, historyEntryId } = req.params;
+
+      const { workedTimeSpans, isModified } = await tasksService.restoreWorkedTimeSpans(
+        username,
+        taskId,
+        historyEntryId,
+        originOfRequest(req)
+      );
+
+      res.send({ workedTimeSpans });
+      if (isModified) tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // get the total completed time of the tasks created between startDate and endDate
+  // broken down per project and per tag, the archived tasks are left out with excludeArchived=true
+  router.get(
+    "/completed-times/by-project-and-tag",
+    requireScope("reports"),
+    validateRequest({ query: schemas.completedTimesQuery }),
+    handleRoute(async (req, res) => {
+      const { startDate, endDate } = req.query;
+
+      const completedTimes = await tasksService.readCompletedTimesByProjectAndTag(
+        req.decoded.username,
+        new Date(startDate),
+        new Date(endDate),
+        { excludeArchived: req.query.excludeArchived === "true" }
+      );
+
+      res.send(completedTimes);
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createTasksRouter };
@@ -0,0 +1,98 @@
+// REST API v1 for outgoing webhooks
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+//
+// every mutation broadcasts "webhooks:change" to the user's room so that open clients stay in sync
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireSession } = require("../lib/scopes");
+
+function createWebhooksRouter({ webhooksService }) {
+  const router = express.Router();
+
+  // register a webhook, the response has the secret of the webhook that is not sent again
+  // ex: POST /api/v1/webhooks { "url": "https://example.com/hooks/zitbo", "events": ["task.created"] }
+  router.post(
+    "/webhooks",
+    requireSession,
+    validateRequest({ body: schemas.createWebhook }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const webhook = await webhooksService.createWebhook(username, req.body);
+
+      res.status(201).send(webhook);
+      webhooksService.notifyWebhooksChange(username);
+    })
+  );
+
+  // get the webhooks of the user
+  router.get(
+    "/webhooks",
+    requireSession,
+    handleRoute(async (req, res) => {
+      res.send({ webhooks: await webhooksService.readWebhooks(req.decoded.username) });
+    })
+  );
+
+  // change the url or the events of a webhook, or disable and enable it
+  router.patch(
+    "/webhooks/:webhookId",
+    requireSession,
+    validateRequest({ params: schemas.webhookIdParams, body: schemas.updateWebhook }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const { webhook, isModified } = await webhooksService.updateWebhook(username, req.params.webhookId, req.body);
+
+      res.send(webhook);
+      if (isModified) webhooksService.notifyWebhooksChange(username);
+    })
+  );
+
+  // delete a webhook with its deliveries
+  router.delete(
+    "/webhooks/:webhookId",
+    requireSession,
+    validateRequest({ params: schemas.webhookIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      await webhooksService.deleteWebhook(username, req.params.webhookId);
+
+      res.send({ status: "OK", message: "Successfully deleted the webhook!" });
+      webhooksService.notifyWebhooksChange(username);
+    })
+  );
+
+  // get the latest deliveries of a webhook with every attempt, newest first
+  router.get(
+    "/webhooks/:webhookId/deliveries",
+    requireSession,
+    validateRequest({ params: schemas.webhookIdParams }),
+    handleRoute(async (req, res) => {
+      const deliveries = await webhooksService.readDeliveries(req.decoded.username, req.params.webhookId);
+
+      res.send({ deliveries });
+    })
+  );
+
+  // send a "webhook.test" delivery to a webhook, the response has the delivery with its attempt
+  router.post(
+    "/webhooks/:webhookId/test",
+    requireSession,
+    validateRequest({ params: schemas.webhookIdParams }),
+    handleRoute(async (req, res) => {
+      const delivery = await webhooksService.sendTestDelivery(req.decoded.username, req.params.webhookId);
+
+      res.send({ delivery });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createWebhooksRouter };
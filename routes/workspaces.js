@@ -0,0 +1,228 @@
+// REST API v1 for shared team workspaces
+// mounted on /api/v1 behind verifyJWT, so req.decoded.username is the authenticated user
+//
+// every change of a workspace or its members broadcasts "workspaces:change" to the rooms of the affected users
+// assigning a task broadcasts "tasks:change" to the rooms of the user and the assignee
+
+const express = require("express");
+
+const { validateRequest } = require("../lib/validation");
+const { handleRoute } = require("../lib/http");
+const schemas = require("../lib/schemas");
+const { requireScope, requireSession } = require("../lib/scopes");
+const { originOfRequest } = require("../lib/origins");
+
+function createWorkspacesRouter({ workspacesService, tasksService }) {
+  const router = express.Router();
+
+  // create a workspace, the user is its first admin
+  router.post(
+    "/workspaces",
+    requireSession,
+    validateRequest({ body: schemas.createWorkspace }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const workspace = await workspacesService.createWorkspace(username, req.body);
+
+      res.status(201).send(workspace);
+      workspacesService.notifyWorkspacesChange(username);
+    })
+  );
+
+  // get the workspaces that the user is a member of
+  router.get(
+    "/workspaces",
+    requireScope("tasks:read"),
+    handleRoute(async (req, res) => {
+      res.send({ workspaces: await workspacesService.readWorkspaces(req.decoded.username) });
+    })
+  );
+
+  // rename a workspace, admins only
+  router.patch(
+    "/workspaces/:workspaceId",
+    requireSession,
+    validateRequest({ params: schemas.workspaceIdParams, body: schemas.updateWorkspace }),
+    handleRoute(async (req, res) => {
+      const { workspace, isModified } = await workspacesService.updateWorkspace(
+        req.decoded.username,
+        req.params.workspaceId,
+        req.body
+      );
+
+      res.send(workspace);
+      if (isModified) workspacesService.notifyWorkspacesChange(...workspace.members.map(({ username }) => username));
+    })
+  );
+
+  // delete a workspace, admins only, its tasks are kept by their doers without the workspace
+  router.delete(
+    "/workspaces/:workspaceId",
+    requireSession,
+    validateRequest({ params: schemas.workspaceIdParams }),
+    handleRoute(async (req, res) => {
+      const usernames = await workspacesService.deleteWorkspace(req.decoded.username, req.params.workspaceId);
+
+      res.send({ status: "OK", message: "Successfully deleted the workspace!" });
+      workspacesService.notifyWorkspacesChange(...usernames);
+      // the tasks of the workspace may be in any day, the current date's tasks are read again
+      for (const username of usernames) tasksService.notifyTasksChange(username, 0);
+    })
+  );
+
+  // invite a user to a workspace, admins only
+  // ex: POST /api/v1/workspaces/:workspaceId/invitations { "username": "bob", "role": "member" }
+  router.post(
+    "/workspaces/:workspaceId/invitations",
+    requireSession,
+    validateRequest({ params: schemas.workspaceIdParams, body: schemas.inviteMember }),
+    handleRoute(async (req, res) => {
+      const invitation = await workspacesService.inviteMember(
+        req.decoded.username,
+        req.params.workspaceId,
+        req.body
+      );
+
+      res.status(201).send(invitation);
+      workspacesService.notifyWorkspacesChange(invitation.username);
+    })
+  );
+
+  // change the role of a member, admins only
+  router.patch(
+    "/workspaces/:workspaceId/members/:username",
+    requireSession,
+    validateRequest({ params: schemas.workspaceMemberParams, body: schemas.updateMember }),
+    handleRoute(async (req, res) => {
+      const { workspaceId, username: memberUsername } = req.params;
+
+      const { member, isModified } = await workspacesService.updateMember(
+        req.decoded.username,
+        workspaceId,
+        memberUsername,
+        req.body
+      );
+
+      res.send(member);
+      if (isModified) workspacesService.notifyWorkspacesChange(memberUsername);
+    })
+  );
+
+  // remove a member or cancel an invitation (admins only), or leave a workspace (the user's own username)
+  router.delete(
+    "/workspaces/:workspaceId/members/:username",
+    requireSession,
+    validateRequest({ params: schemas.workspaceMemberParams }),
+    handleRoute(async (req, res) => {
+      const { workspaceId, username: memberUsername } = req.params;
+
+      await workspacesService.removeMember(req.decoded.username, workspaceId, memberUsername);
+
+      res.send({ status: "OK", message: "Successfully removed the member!" });
+      workspacesService.notifyWorkspacesChange(memberUsername);
+    })
+  );
+
+  // get the pending invitations of the user
+  router.get(
+    "/workspace-invitations",
+    requireSession,
+    handleRoute(async (req, res) => {
+      res.send({ invitations: await workspacesService.readInvitations(req.decoded.username) });
+    })
+  );
+
+  // join a workspace that the user is invited to
+  router.post(
+    "/workspace-invitations/:workspaceId/accept",
+    requireSession,
+    validateRequest({ params: schemas.workspaceIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      const workspace = await workspacesService.acceptInvitation(username, req.params.workspaceId);
+
+      res.send(workspace);
+      workspacesService.notifyWorkspacesChange(...workspace.members.map((member) => member.username));
+    })
+  );
+
+  // decline an invitation to a workspace
+  router.delete(
+    "/workspace-invitations/:workspaceId",
+    requireSession,
+    validateRequest({ params: schemas.workspaceIdParams }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+
+      await workspacesService.declineInvitation(username, req.params.workspaceId);
+
+      res.send({ status: "OK", message: "Successfully declined the invitation!" });
+      workspacesService.notifyWorkspacesChange(username);
+    })
+  );
+
+  // assign a task of the user to a member of the workspace (the user too)
+  // ex: POST /api/v1/workspaces/:workspaceId/tasks/:taskId/assign { "assignee": "bob" }
+  router.post(
+    "/workspaces/:workspaceId/tasks/:taskId/assign",
+    requireScope("tasks:write"),
+    validateRequest({ params: schemas.workspaceTaskParams, body: schemas.assignTask }),
+    handleRoute(async (req, res) => {
+      const { username } = req.decoded;
+      const { workspaceId, taskId } = req.params;
+      const { assignee } = req.body;
+
+      const { task, isModified } = await workspacesService.assignTask(
+        username,
+        workspaceId,
+        taskId,
+        assignee,
+        originOfRequest(req)
+      );
+
+      res.send(task);
+      if (!isModified) return;
+
+      tasksService.notifyTasksChange(username, 0);
+      if (assignee !== username) tasksService.notifyTasksChange(assignee, 0);
+    })
+  );
+
+  // get the time tracked on the tasks of a workspace per member and per task
+  // ex: GET /api/v1/workspaces/:workspaceId/report?startDate=2023-08-01T00:00:00.000Z&endDate=2023-08-31T23:59:59.999Z
+  router.get(
+    "/workspaces/:workspaceId/report",
+    requireScope("reports"),
+    validateRequest({ params: schemas.workspaceIdParams, query: schemas.dateRangeQuery }),
+    handleRoute(async (req, res) => {
+      const { startDate, endDate } = req.query;
+
+      const report = await workspacesService.readReport(
+        req.decoded.username,
+        req.params.workspaceId,
+        new Date(startDate),
+        new Date(endDate)
+      );
+
+      res.send(report);
+    })
+  );
+
+  // get who is online in a workspace and which task every member is timing
+  router.get(
+    "/workspaces/:workspaceId/presence",
+    requireScope("tasks:read"),
+    validateRequest({ params: schemas.workspaceIdParams }),
+    handleRoute(async (req, res) => {
+      const presence = await workspacesService.readPresence(req.decoded.username, req.params.workspaceId);
+
+      res.send({ presence });
+    })
+  );
+
+  return router;
+}
+
+module.exports = { createWorkspacesRouter };
@@ -0,0 +1,93 @@
+// personal access tokens of users for integrations and CLI use
+// a token has a name, scopes (see lib/scopes.js), an optional expiry and the last time it's used
+// the token is sent to the user only when it's created, only the hash of its secret is stored
+// a token is sent like the access token of a session: "Authorization: Bearer <token>" or the socket auth token
+
+// ObjectId to create the _ids of tokens before the token is built
+const { ObjectId } = require("mongodb");
+// expected errors with stable error codes
+const { AppError, errorCodes, AccessTokenNotFoundError } = require("../lib/errors");
+// hashing and parsing of the tokens
+const { hashToken, createPersonalAccessToken, parsePersonalAccessToken } = require("../lib/tokens");
+
+// a user can have at most this many tokens that are not revoked
+const maxNumberOfAccessTokens = 50;
+
+// lastUsedAt is saved at most once in this period, not on every request
+const lastUsedAtPrecisionInMs = 60 * 1000;
+
+function createAccessTokensService({ storage }) {
+  const { accessTokens } = storage;
+
+  // the token as it is sent to the clients, the hash of the secret is never sent
+  function publicAccessToken({ owner, tokenHash, ...accessToken }) {
+    return accessToken;
+  }
+
+  // create a token for the user
+  // expiresAt is optional, the token doesn't expire without it
+  // returns { accessToken, token } where token is the secret bearer token that is not sent again
+  async function createAccessToken(username, { name, scopes, expiresAt }) {
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new AppError(errorCodes.VALIDATION_FAILED, "Expiry date must be in the future!");
+    }
+
+    if ((await accessTokens.findByOwner(username)).length >= maxNumberOfAccessTokens) {
+      throw new AppError(
+        errorCodes.CONFLICT,
+        `A user can have at most ${maxNumberOfAccessTokens} access tokens, revoke the unused ones!`,
+        { httpStatus: 409 }
+      );
+    }
+
+    const _id = new ObjectId();
+    const { token, tokenHash } = createPersonalAccessToken(_id.toString());
+
+    const accessToken = {
+      _id,
+      owner: username,
+      name,
+      scopes: [...new Set(scopes)],
+      tokenHash,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      lastUsedAt: null,
+      createdAt: new Date(),
+    };
+
+    await accessTokens.create(accessToken);
+
+    return { accessToken: publicAccessToken(accessToken), token };
+  }
+
+  // get the tokens of the user that are not revoked, expired ones included, oldest first
+  async function readAccessTokens(username) {
+    return (await accessTokens.findByOwner(username)).map(publicAccessToken);
+  }
+
+  // revoke a token of the user, the token can't be used anymore
+  async function revokeAccessToken(username, _id) {
+    const isRevoked = await accessTokens.revokeOwn(_id, username);
+    if (!isRevoked) throw new AccessTokenNotFoundError();
+  }
+
+  // check a bearer token that looks like a personal access token
+  // returns the decoded payload { username, tokenId, scopes } like the decoded JWT of a session,
+  // or null if the token is malformed, unknown, revoked or expired
+  async function verifyAccessToken(token) {
+    const parsedToken = parsePersonalAccessToken(token);
+    const accessToken = parsedToken && (await accessTokens.findActive(parsedToken.tokenId));
+
+    if (!accessToken || accessToken.tokenHash !== hashToken(parsedToken.secret)) return null;
+
+    const now = new Date();
+    if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt >= lastUsedAtPrecisionInMs) {
+      await accessTokens.touch(accessToken._id, now);
+    }
+
+    return { username: accessToken.owner, tokenId: accessToken._id.toString(), scopes: accessToken.scopes };
+  }
+
+  return { createAccessToken, readAccessTokens, revokeAccessToken, verifyAccessToken };
+}
+
+module.exports = { createAccessTokensService };
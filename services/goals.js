@@ -0,0 +1,201 @@
+// daily time goals of users
+// a user can set a daily goal in minutes (ex: 360 for 6 hours), optionally different for every weekday
+// stored in the dailyGoal property of the user document:
+// { minutes, minutesByWeekday } where minutesByWeekday[weekday] (0 is Sunday) overrides minutes, null means minutes
+// a goal of 0 minutes means no goal for the day, it neither extends nor breaks a streak
+//
+// while a timer runs, the server follows the user's progress of the day
+// and emits "goal:reached" to the user's room when the running timer pushes the day past the goal
+
+// expected errors with stable error codes
+const { AppError, errorCodes } = require("../lib/errors");
+// time zone aware local dates
+const { addDaysToLocalDate, startOfLocalDate, toLocalDateString, weekdayOfLocalDate } = require("../lib/time");
+
+// daily goal of the users who haven't set a goal
+const defaultDailyGoal = { minutes: 0, minutesByWeekday: [null, null, null, null, null, null, null] };
+
+// progress and streaks can be read for at most this many days
+const maxNumberOfDaysOfGoalProgress = 366;
+
+// get the goal of a local date in milliseconds
+function goalOfLocalDate(dailyGoal, localDate) {
+  const minutes = dailyGoal.minutesByWeekday?.[weekdayOfLocalDate(localDate)] ?? dailyGoal.minutes;
+
+  return minutes * 60 * 1000;
+}
+
+function createGoalsService({ storage, io, usersService, tasksService }) {
+  const { users, tasks } = storage;
+
+  // username => { timeout, localDate } of the scheduled goal check of a running timer
+  const scheduledChecks = new Map();
+
+  // get the daily goal of a user with default values for the missing ones
+  async function readDailyGoal(username) {
+    const user = await users.findByUsername(username);
+
+    return { ...defaultDailyGoal, ...user?.dailyGoal };
+  }
+
+  // set the daily goal of a user, returns the daily goal after the update
+  async function updateDailyGoal(username, dailyGoal) {
+    await users.updateProfile(username, { dailyGoal: { ...defaultDailyGoal, ...dailyGoal } });
+
+    // the running timer may reach the new goal at another time
+    await followRunningTimer(username);
+
+    return readDailyGoal(username);
+  }
+
+  // get the progress of every local date of numberOfDays days starting from the local date of startDate
+  // uses the same completed times as "totalCompletedTimes:read"
+  // timeZone defaults to the time zone on the user's profile, times are in milliseconds
+  // returns {
+  //   dailyGoal,
+  //   days: [{ localDate, completedTime, goal, isReached }],
+  //   streak: { current, longest } (numbers of days, counted in the last 366 days until today),
+  // }
+  async function readGoalProgress(username, startDate, numberOfDays, timeZone) {
+    if (!Number.isInteger(numberOfDays) || numberOfDays < 1 || numberOfDays > maxNumberOfDaysOfGoalProgress) {
+      throw new AppError(
+        errorCodes.VALIDATION_FAILED,
+        `Number of days must be between 1 and ${maxNumberOfDaysOfGoalProgress}!`
+      );
+    }
+
+    timeZone = await usersService.readTimeZone(username, timeZone);
+    const dailyGoal = await readDailyGoal(username);
+
+    const [{ allDatesCompletedTimes }] = await tasksService.readTotalCompletedTimes(
+      username,
+      startDate,
+      numberOfDays,
+      timeZone
+    );
+
+    return {
+      dailyGoal,
+      days: progressOfDays(dailyGoal, allDatesCompletedTimes),
+      streak: await readStreak(username, dailyGoal, timeZone),
+    };
+  }
+
+  // add the goal of every day and whether the goal is reached
+  function progressOfDays(dailyGoal, allDatesCompletedTimes) {
+    return allDatesCompletedTimes.map(({ localDate, completedTime }) => {
+      const goal = goalOfLocalDate(dailyGoal, localDate);
+
+      return { localDate, completedTime, goal, isReached: goal > 0 && completedTime >= goal };
+    });
+  }
+
+  // count the streaks of days whose goals are reached in the last 366 days until today (in the user's time zone)
+  // days without a goal are skipped
+  // today doesn't break the current streak before the day is over
+  async function readStreak(username, dailyGoal, timeZone) {
+    const today = toLocalDateString(new Date(), timeZone);
+    const firstLocalDate = addDaysToLocalDate(today, 1 - maxNumberOfDaysOfGoalProgress);
+
+    const [{ allDatesCompletedTimes }] = await tasksService.readTotalCompletedTimes(
+      username,
+      startOfLocalDate(firstLocalDate, timeZone),
+      maxNumberOfDaysOfGoalProgress,
+      timeZone
+    );
+
+    let current = 0;
+    let longest = 0;
+    for (const { localDate, goal, isReached } of progressOfDays(dailyGoal, allDatesCompletedTimes)) {
+      if (!goal || (localDate === today && !isReached)) continue;
+
+      current = isReached ? current + 1 : 0;
+      longest = Math.max(longest, current);
+    }
+
+    return { current, longest };
+  }
+
+  // get today's progress of a user who has a running timer
+  // returns null if no timer is running or there is no goal for today
+  async function readRunningProgress(username) {
+    const runningWorkedTimeSpans = await tasks.findRunningWorkedTimeSpans(username);
+    if (!runningWorkedTimeSpans.length) return null;
+
+    const timeZone = await usersService.readTimeZone(username);
+    const now = new Date();
+    const localDate = toLocalDateString(now, timeZone);
+    const goal = goalOfLocalDate(await readDailyGoal(username), localDate);
+    if (!goal) return null;
+
+    const [{ allDatesCompletedTimes }] = await tasksService.readTotalCompletedTimes(username, now, 1, timeZone);
+
+    // the running part of today is not completed yet, but it counts for the goal
+    const startOfToday = startOfLocalDate(localDate, timeZone);
+    const runningTime = runningWorkedTimeSpans.reduce((sum, { workedTimeSpan }) => {
+      const startTime = workedTimeSpan.startTime > startOfToday ? workedTimeSpan.startTime : startOfToday;
+      return sum + (now - startTime);
+    }, 0);
+
+    return {
+      localDate,
+      goal,
+      completedTime: allDatesCompletedTimes[0].completedTime + runningTime,
+      // when the day is over, the running timer counts for the next day's goal
+      timeUntilNextDay: startOfLocalDate(addDaysToLocalDate(localDate, 1), timeZone) - now,
+    };
+  }
+
+  // follow the running timer of a user to emit "goal:reached" when the day's goal is reached
+  // called after the tasks of the user change (a timer may be started or stopped)
+  // a goal that is already reached before the check doesn't emit "goal:reached" again
+  async function followRunningTimer(username) {
+    clearTimeout(scheduledChecks.get(username)?.timeout);
+    scheduledChecks.delete(username);
+
+    const progress = await readRunningProgress(username);
+    if (!progress || progress.completedTime >= progress.goal) return;
+
+    scheduleCheck(username, progress);
+  }
+
+  // check the progress again when the goal would be reached (or when the day is over)
+  function scheduleCheck(username, { localDate, goal, completedTime, timeUntilNextDay }) {
+    const delay = Math.min(goal - completedTime, timeUntilNextDay);
+
+    // only one check is scheduled for a user
+    clearTimeout(scheduledChecks.get(username)?.timeout);
+    const timeout = setTimeout(() => checkRunningTimer(username, localDate).catch(console.error), delay);
+    // don't keep the process alive only for the goal checks
+    timeout.unref();
+
+    scheduledChecks.set(username, { timeout, localDate });
+  }
+
+  // the goal of localDate was not reached when this check is scheduled
+  async function checkRunningTimer(username, localDate) {
+    scheduledChecks.delete(username);
+
+    const progress = await readRunningProgress(username);
+    if (!progress) return;
+
+    if (progress.localDate === localDate && progress.completedTime >= progress.goal) {
+      io.to(username).emit("goal:reached", {
+        localDate,
+        goal: progress.goal,
+        completedTime: progress.completedTime,
+      });
+      return;
+    }
+
+    // not reached yet (ex: the running timer is stopped and started again) or it's another day now
+    if (progress.completedTime < progress.goal) scheduleCheck(username, progress);
+  }
+
+  // a change of the user's tasks may start or stop a timer
+  tasksService.events.on("change", (username) => followRunningTimer(username).catch(console.error));
+
+  return { readDailyGoal, updateDailyGoal, readGoalProgress, followRunningTimer };
+}
+
+module.exports = { defaultDailyGoal, createGoalsService };
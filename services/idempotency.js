@@ -0,0 +1,76 @@
+// idempotency keys of the requests and the socket events that change data
+// a client sends a key that it generates (ex: a uuid) with a request, and the same key when it retries the request
+// the outcome of the first request is remembered for the retention period and sent again for the retries
+// so a request that is retried after a lost response (ex: offline) is applied only once
+//
+// keys belong to a user, the same key with another request (fingerprint) is rejected
+// the transports (see lib/idempotency.js) decide what the outcome of a request is
+
+// expected errors with stable error codes
+const { AppError, errorCodes } = require("../lib/errors");
+
+function createIdempotencyService({ storage, retentionInMs }) {
+  const { idempotencyKeys } = storage;
+
+  // run a request of the user once for a key
+  // fingerprint identifies the request, so that a key can't be used for two different requests
+  // execute() applies the request and returns its outcome to remember
+  // a null outcome (ex: an unexpected error) is not remembered, the request can be retried with the same key
+  // returns { outcome, isReplayed } where isReplayed is true if the outcome is of an earlier request
+  async function run(username, key, fingerprint, execute) {
+    const now = new Date();
+    const isReserved = await idempotencyKeys.reserve({
+      username,
+      key,
+      fingerprint,
+      outcome: null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + retentionInMs),
+    });
+
+    if (!isReserved) {
+      const record = await idempotencyKeys.find(username, key);
+
+      if (record && record.fingerprint !== fingerprint) {
+        throw new AppError(errorCodes.IDEMPOTENCY_KEY_REUSED, "The idempotency key is used for another request!", {
+          httpStatus: 422,
+        });
+      }
+
+      // the first request is not finished yet (or it's just released), the client can retry later
+      if (!record?.outcome) {
+        throw new AppError(errorCodes.CONFLICT, "A request with the same idempotency key is in progress!", {
+          httpStatus: 409,
+        });
+      }
+
+      return { outcome: record.outcome, isReplayed: true };
+    }
+
+    let outcome;
+    try {
+      outcome = await execute();
+    } catch (error) {
+      await idempotencyKeys.release(username, key);
+      throw error;
+    }
+
+    try {
+      if (outcome) {
+        await idempotencyKeys.complete(username, key, outcome);
+      } else {
+        await idempotencyKeys.release(username, key);
+      }
+    } catch (error) {
+      // the key is not left in progress if the outcome can't be saved
+      await idempotencyKeys.release(username, key).catch(console.error);
+      throw error;
+    }
+
+    return { outcome, isReplayed: false };
+  }
+
+  return { run };
+}
+
+module.exports = { createIdempotencyService };
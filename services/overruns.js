@@ -0,0 +1,78 @@
+// real-time overrun alerts of tasks with an estimatedDuration
+// while a timer runs, the server follows the time worked on the running task (all of its workedTimeSpans)
+// and emits "task:overrun" to the user's room when it gets longer than the task's estimatedDuration
+//
+// the alert is sent once per estimate: the time of the alert is saved on the task (overrunNotifiedAt)
+// and is cleared when the estimate changes
+// the checks are scheduled per user (not per socket), so the alert is sent even if the user
+// switches devices while the timer is running
+
+// setTimeout fires right away for longer delays, a longer check is scheduled in steps of this delay
+// (the check runs again and schedules the rest)
+const maxCheckDelay = 2 ** 31 - 1;
+
+function createOverrunsService({ storage, io, tasksService }) {
+  const { tasks } = storage;
+
+  // username => timeout of the scheduled overrun check of a running timer
+  const scheduledChecks = new Map();
+
+  // follow the running timer of a user to emit "task:overrun" when the running task runs over its estimate
+  // called after the tasks of the user change (a timer may be started or stopped, an estimate may be changed)
+  // and when a user connects (ex: after a restart of the server)
+  async function followRunningTimer(username) {
+    clearTimeout(scheduledChecks.get(username));
+    scheduledChecks.delete(username);
+
+    await checkRunningTimer(username);
+  }
+
+  // emit "task:overrun" for the running tasks that are over their estimates
+  // and schedule the next check for the running task that will be over its estimate first
+  async function checkRunningTimer(username) {
+    const runningWorkedTimeSpans = await tasks.findRunningWorkedTimeSpans(username);
+
+    let nextCheckDelay = Infinity;
+    for (const { taskId } of runningWorkedTimeSpans) {
+      const task = await tasks.findOwn(taskId, username);
+      if (!task?.estimatedDuration || task.overrunNotifiedAt) continue;
+
+      const actualDuration = tasksService.actualDurationOfTask(task);
+      if (actualDuration <= task.estimatedDuration) {
+        nextCheckDelay = Math.min(nextCheckDelay, task.estimatedDuration - actualDuration + 1);
+        continue;
+      }
+
+      await tasks.update(task._id, username, { overrunNotifiedAt: new Date() });
+      io.to(username).emit("task:overrun", {
+        taskId: task._id,
+        name: task.name,
+        estimatedDuration: task.estimatedDuration,
+        actualDuration,
+      });
+    }
+
+    if (nextCheckDelay !== Infinity) scheduleCheck(username, nextCheckDelay);
+  }
+
+  // check the running timer again when its task would be over the estimate
+  function scheduleCheck(username, delay) {
+    // only one check is scheduled for a user
+    clearTimeout(scheduledChecks.get(username));
+    const timeout = setTimeout(() => {
+      scheduledChecks.delete(username);
+      checkRunningTimer(username).catch(console.error);
+    }, Math.min(delay, maxCheckDelay));
+    // don't keep the process alive only for the overrun checks
+    timeout.unref();
+
+    scheduledChecks.set(username, timeout);
+  }
+
+  // a change of the user's tasks may start or stop a timer or change an estimate
+  tasksService.events.on("change", (username) => followRunningTimer(username).catch(console.error));
+
+  return { followRunningTimer };
+}
+
+module.exports = { createOverrunsService };
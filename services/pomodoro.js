@@ -0,0 +1,240 @@
+// pomodoro sessions driven by the server
+// a session runs the timer of a task in work phases with breaks between them:
+// work, short break, work, short break, ..., work, long break (cycles is the number of work phases)
+// the server owns the schedule: it starts a workedTimeSpan at the start of every work phase,
+// ends it at the end of the phase and emits "pomodoro:phase" to the user's room at every phase change
+//
+// sessions are saved in the storage (at most one per user) and the phase changes are scheduled
+// per user (not per socket), so a session goes on while the user reconnects or switches devices
+// and is scheduled again after a restart of the server
+// if the server is not running at the end of a phase, the next phase starts when the server is back
+//
+// stopping the timer of the session's task (ex: "workedTimeSpan:end") stops the session
+
+// expected errors with stable error codes
+const { AppError, errorCodes } = require("../lib/errors");
+// lock to run the operations of a user's session one after another
+const { createKeyedLock } = require("../lib/locks");
+// the phase changes are recorded in the history of the task as the changes of the pomodoro job
+const { originOfServer } = require("../lib/origins");
+
+const minuteInMs = 60 * 1000;
+
+function createPomodoroService({ storage, io, settingsService, tasksService }) {
+  const { pomodoros, tasks } = storage;
+
+  // the scheduled phase changes and the starts and stops coming from the devices of a user
+  // are run one after another
+  const pomodoroLock = createKeyedLock();
+
+  // username => timeout of the scheduled phase change
+  const scheduledPhaseChanges = new Map();
+
+  // origin of the timers started and stopped at the phase changes
+  const pomodoroOrigin = originOfServer("pomodoro");
+
+  // the session as it is sent to the clients
+  // phase is "work", "shortBreak" or "longBreak" while the session runs, "completed" or "stopped" after
+  function publicPomodoro({ _id, username, ...pomodoro }) {
+    return pomodoro;
+  }
+
+  // every device of the user gets the new phase of the session
+  function notifyPhaseChange(username, pomodoro) {
+    io.to(username).emit("pomodoro:phase", publicPomodoro(pomodoro));
+  }
+
+  // get the running session of a user, null if no session is running
+  async function readPomodoro(username) {
+    const pomodoro = await pomodoros.find(username);
+
+    return pomodoro && publicPomodoro(pomodoro);
+  }
+
+  // start a session on a task
+  // options ({ workMinutes, shortBreakMinutes, longBreakMinutes, cycles }) override the user's pomodoro settings
+  // origin is the origin of the request (see lib/origins.js)
+  // returns { pomodoro, workedTimeSpan, stoppedWorkedTimeSpans } like "workedTimeSpan:start"
+  async function startPomodoro(username, taskId, options, origin) {
+    options = options || {};
+
+    return pomodoroLock.runExclusive(username, async () => {
+      if (await pomodoros.find(username)) {
+        throw new AppError(errorCodes.CONFLICT, "A pomodoro session is already running!", { httpStatus: 409 });
+      }
+
+      const { pomodoro: pomodoroSettings } = await settingsService.readSettings(username);
+      const workMinutes = options.workMinutes ?? pomodoroSettings.workMinutes;
+      const shortBreakMinutes = options.shortBreakMinutes ?? pomodoroSettings.shortBreakMinutes;
+      const longBreakMinutes = options.longBreakMinutes ?? pomodoroSettings.longBreakMinutes;
+      const cycles = options.cycles ?? pomodoroSettings.cycles;
+
+      // running timer of another task may be stopped (see timerConflict setting)
+      const { workedTimeSpan, stoppedWorkedTimeSpans } = await tasksService.startWorkedTimeSpan(
+        username,
+        taskId,
+        {},
+        origin
+      );
+
+      const pomodoro = {
+        taskId,
+        workDuration: workMinutes * minuteInMs,
+        shortBreakDuration: shortBreakMinutes * minuteInMs,
+        longBreakDuration: longBreakMinutes * minuteInMs,
+        cycles,
+        // number of the current work phase, starting from 1
+        cycle: 1,
+        phase: "work",
+        phaseStartTime: workedTimeSpan.startTime,
+        phaseEndTime: new Date(workedTimeSpan.startTime.getTime() + workMinutes * minuteInMs),
+        // the workedTimeSpan of the current work phase
+        workedTimeSpanId: workedTimeSpan._id.toString(),
+      };
+
+      await pomodoros.save(username, pomodoro);
+      schedulePhaseChange(username, pomodoro.phaseEndTime);
+      notifyPhaseChange(username, pomodoro);
+
+      return { pomodoro, workedTimeSpan, stoppedWorkedTimeSpans };
+    });
+  }
+
+  // stop the running session of a user, the timer is stopped if a work phase is running
+  // returns { isTimerStopped }
+  async function stopPomodoro(username, origin) {
+    return pomodoroLock.runExclusive(username, async () => {
+      const pomodoro = await pomodoros.find(username);
+      if (!pomodoro) throw new AppError(errorCodes.NOT_FOUND, "No pomodoro session is running!", { httpStatus: 404 });
+
+      let isTimerStopped = false;
+      if (pomodoro.phase === "work") {
+        ({ isEnded: isTimerStopped } = await tasksService.endWorkedTimeSpan(
+          username,
+          pomodoro.taskId,
+          pomodoro.workedTimeSpanId,
+          {},
+          origin
+        ));
+      }
+
+      await endSession(username, pomodoro, "stopped");
+
+      return { isTimerStopped };
+    });
+  }
+
+  // delete a finished session, phase is "completed" or "stopped"
+  async function endSession(username, pomodoro, phase) {
+    clearTimeout(scheduledPhaseChanges.get(username));
+    scheduledPhaseChanges.delete(username);
+
+    await pomodoros.delete(username);
+    notifyPhaseChange(username, { ...pomodoro, phase, phaseStartTime: new Date(), phaseEndTime: null });
+  }
+
+  // change the phase of the session when the current phase ends
+  function schedulePhaseChange(username, phaseEndTime) {
+    // only one phase change is scheduled for a user
+    clearTimeout(scheduledPhaseChanges.get(username));
+    const timeout = setTimeout(() => {
+      scheduledPhaseChanges.delete(username);
+      changePhase(username).catch(console.error);
+    }, Math.max(phaseEndTime - Date.now(), 0));
+    // don't keep the process alive only for the pomodoro sessions
+    timeout.unref();
+
+    scheduledPhaseChanges.set(username, timeout);
+  }
+
+  // move the session of a user to its next phase
+  async function changePhase(username) {
+    await pomodoroLock.runExclusive(username, async () => {
+      const pomodoro = await pomodoros.find(username);
+      // the session may be stopped in the meantime
+      if (!pomodoro) return;
+
+      // the phase may be changed by another schedule in the meantime
+      const now = new Date();
+      if (pomodoro.phaseEndTime > now) return schedulePhaseChange(username, pomodoro.phaseEndTime);
+
+      if (pomodoro.phase === "longBreak") return endSession(username, pomodoro, "completed");
+
+      if (pomodoro.phase === "work") {
+        // the work phase ends on time even if the phase change runs late
+        await tasksService.endWorkedTimeSpan(
+          username,
+          pomodoro.taskId,
+          pomodoro.workedTimeSpanId,
+          { endTime: pomodoro.phaseEndTime },
+          pomodoroOrigin
+        );
+
+        const phase = pomodoro.cycle < pomodoro.cycles ? "shortBreak" : "longBreak";
+        const breakDuration = phase === "shortBreak" ? pomodoro.shortBreakDuration : pomodoro.longBreakDuration;
+        await savePhase(username, {
+          ...pomodoro,
+          phase,
+          phaseStartTime: now,
+          phaseEndTime: new Date(now.getTime() + breakDuration),
+          workedTimeSpanId: null,
+        });
+
+        // after the work phase there is no active task
+        tasksService.notifyTasksChange(username, 0, "");
+        return;
+      }
+
+      // a short break is over, the next work phase starts a new workedTimeSpan
+      let workedTimeSpan;
+      try {
+        ({ workedTimeSpan } = await tasksService.startWorkedTimeSpan(username, pomodoro.taskId, {}, pomodoroOrigin));
+      } catch (error) {
+        // ex: the task is deleted or another timer is running and the timerConflict setting is "reject"
+        if (!(error instanceof AppError)) throw error;
+        return endSession(username, pomodoro, "stopped");
+      }
+
+      await savePhase(username, {
+        ...pomodoro,
+        cycle: pomodoro.cycle + 1,
+        phase: "work",
+        phaseStartTime: workedTimeSpan.startTime,
+        phaseEndTime: new Date(workedTimeSpan.startTime.getTime() + pomodoro.workDuration),
+        workedTimeSpanId: workedTimeSpan._id.toString(),
+      });
+
+      tasksService.notifyTasksChange(username, 0, pomodoro.taskId);
+    });
+  }
+
+  // save the next phase of a session, schedule its end and let the devices know
+  async function savePhase(username, pomodoro) {
+    await pomodoros.save(username, pomodoro);
+    schedulePhaseChange(username, pomodoro.phaseEndTime);
+    notifyPhaseChange(username, pomodoro);
+  }
+
+  // stop the session when the timer of its work phase is stopped by the user (or the task is deleted)
+  async function checkWorkPhase(username) {
+    await pomodoroLock.runExclusive(username, async () => {
+      const pomodoro = await pomodoros.find(username);
+      if (pomodoro?.phase !== "work") return;
+
+      const workedTimeSpan = await tasks.findWorkedTimeSpan(pomodoro.taskId, username, pomodoro.workedTimeSpanId);
+      if (!workedTimeSpan || workedTimeSpan.endTime) await endSession(username, pomodoro, "stopped");
+    });
+  }
+
+  // schedule the phase changes of the sessions saved before the server started
+  async function resumePomodoros() {
+    for (const pomodoro of await pomodoros.findAll()) schedulePhaseChange(pomodoro.username, pomodoro.phaseEndTime);
+  }
+
+  // a change of the user's tasks may stop the timer of a work phase
+  tasksService.events.on("change", (username) => checkWorkPhase(username).catch(console.error));
+
+  return { readPomodoro, startPomodoro, stopPomodoro, resumePomodoros };
+}
+
+module.exports = { createPomodoroService };
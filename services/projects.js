@@ -0,0 +1,77 @@
+// projects of users
+// a project groups tasks, a task belongs to at most one project (task.projectId)
+// every operation is done on behalf of a user (username) and only touches the user's own projects
+
+// expected errors with stable error codes
+const { ProjectNotFoundError } = require("../lib/errors");
+
+// color of a project that is created without a color
+const defaultProjectColor = "#808080";
+
+function createProjectsService({ storage, io, tasksService }) {
+  const { projects, tasks, recurringTasks } = storage;
+
+  // projects of a user changed after a project is created, modified or deleted
+  // every device of the user gets "projects:change" event to read the projects again
+  function notifyProjectsChange(username) {
+    io.to(username).emit("projects:change");
+  }
+
+  // create a new project for the user, returns the created project
+  async function createProject(username, { name, color }) {
+    const project = {
+      owner: username,
+      name,
+      color: color || defaultProjectColor,
+      isArchived: false,
+      createdAt: new Date(),
+    };
+
+    project._id = await projects.create(project);
+
+    return project;
+  }
+
+  // get the projects of the user, archived projects are included only if includeArchived is true
+  async function readProjects(username, includeArchived) {
+    return projects.findByOwner(username, includeArchived);
+  }
+
+  // get a project of the user, throws if the project doesn't exist or belongs to another user
+  async function readProject(username, _id) {
+    const project = await projects.findOwn(_id, username);
+    if (!project) throw new ProjectNotFoundError();
+
+    return project;
+  }
+
+  // update the name, color and/or isArchived of a project of the user
+  // returns { project, isModified } where project is the updated project
+  async function updateProject(username, _id, changes) {
+    // nothing to update if no property is sent
+    if (!Object.keys(changes).length) return { project: await readProject(username, _id), isModified: false };
+
+    const result = await projects.update(_id, username, changes);
+
+    // if no project matched, the project doesn't exist or belongs to another user
+    if (!result.matched) throw new ProjectNotFoundError();
+
+    return { project: await readProject(username, _id), isModified: result.modified };
+  }
+
+  // delete a project of the user
+  // the tasks and recurring tasks of the project are kept without a project
+  async function deleteProject(username, _id) {
+    const isDeleted = await projects.deleteOwn(_id, username);
+
+    if (!isDeleted) throw new ProjectNotFoundError();
+
+    // the tasks without the project are sent to the devices of the user (see stampTasks)
+    await tasksService.stampTasks(await tasks.unsetProject(username, _id));
+    await recurringTasks.unsetProject(username, _id);
+  }
+
+  return { notifyProjectsChange, createProject, readProjects, readProject, updateProject, deleteProject };
+}
+
+module.exports = { createProjectsService };
@@ -0,0 +1,36 @@
+// purge job of the deleted tasks
+// a deleted task is kept (with deletedAt) during the undo window so that it can be restored
+// after the undo window the task is removed from the storage for good
+// the expired idempotency keys (see services/idempotency.js) are removed too
+
+function createPurgeJob({ storage, undoWindowInMs, checkIntervalInMs = 60 * 1000 }) {
+  const { tasks, idempotencyKeys } = storage;
+
+  let interval;
+
+  // remove the tasks of every user that are deleted before the undo window
+  async function purge() {
+    const purgedTasks = await tasks.purgeDeletedBefore(new Date(Date.now() - undoWindowInMs));
+
+    if (purgedTasks) console.log(`purged ${purgedTasks} deleted task(s)...`);
+
+    await idempotencyKeys.purgeExpiredBefore(new Date());
+
+    return purgedTasks;
+  }
+
+  // start purging periodically
+  function start() {
+    interval = setInterval(() => purge().catch(console.error), checkIntervalInMs);
+    // don't keep the process alive only for the purge job
+    interval.unref();
+  }
+
+  function stop() {
+    clearInterval(interval);
+  }
+
+  return { start, stop, purge };
+}
+
+module.exports = { createPurgeJob };
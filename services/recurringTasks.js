@@ -0,0 +1,249 @@
+// recurring tasks of users
+// a recurring task is a template (name, project, tags) of the tasks that are created on the days of its rule
+// rule is { frequency, weekdays, intervalInWeeks } where frequency is one of:
+//   "daily": every day
+//   "weekdays": Monday to Friday
+//   "weekly": on the weekday of startLocalDate, every intervalInWeeks weeks
+//   "custom": on the weekdays (0 is Sunday), every intervalInWeeks weeks
+// weeks are counted from the week (starting on Monday) of startLocalDate
+//
+// the tasks (occurrences) are created lazily before the user's tasks are read, for every local date
+// (in the user's time zone) after materializedUntilLocalDate until today
+// an occurrence has recurringTaskId and occurrenceLocalDate, a recurring task has at most one task for a local date
+// materializedUntilLocalDate only moves forward, so a deleted occurrence is not created again
+// editing, ending or deleting a recurring task doesn't touch the tasks that are already created
+
+// expected errors with stable error codes
+const { AppError, errorCodes, RecurringTaskNotFoundError } = require("../lib/errors");
+// lock to create the occurrences of a user once even if multiple devices read tasks at the same time
+const { createKeyedLock } = require("../lib/locks");
+// time zone aware local dates
+const {
+  addDaysToLocalDate,
+  isoWeekOfLocalDate,
+  startOfLocalDate,
+  toLocalDateString,
+  weekdayOfLocalDate,
+} = require("../lib/time");
+
+// missed occurrences are created for at most this many days (ex: after a long vacation)
+const maxNumberOfDaysOfOccurrences = 366;
+
+// number of days between two local dates, ex: ("2023-07-11", "2023-07-18") => 7
+function daysBetweenLocalDates(fromLocalDate, toLocalDate) {
+  const milliseconds = new Date(`${toLocalDate}T00:00:00.000Z`) - new Date(`${fromLocalDate}T00:00:00.000Z`);
+
+  return milliseconds / (24 * 60 * 60 * 1000);
+}
+
+// check that a local date like "2023-02-30" is a real date
+function checkLocalDate(localDate, name) {
+  if (addDaysToLocalDate(localDate, 0) !== localDate) {
+    throw new AppError(errorCodes.VALIDATION_FAILED, `${name} is not a valid date!`);
+  }
+}
+
+// fill the weekdays and intervalInWeeks of a rule, so that occursOn doesn't need to know the frequencies
+function normalizeRule({ frequency, weekdays, intervalInWeeks = 1 }, startLocalDate) {
+  switch (frequency) {
+    case "daily":
+      return { frequency, weekdays: [0, 1, 2, 3, 4, 5, 6], intervalInWeeks: 1 };
+    case "weekdays":
+      return { frequency, weekdays: [1, 2, 3, 4, 5], intervalInWeeks: 1 };
+    case "weekly":
+      return { frequency, weekdays: [weekdayOfLocalDate(startLocalDate)], intervalInWeeks };
+    default:
+      if (!weekdays?.length) {
+        throw new AppError(errorCodes.VALIDATION_FAILED, "Weekdays are required for a custom rule!");
+      }
+      return { frequency, weekdays: [...new Set(weekdays)].sort((a, b) => a - b), intervalInWeeks };
+  }
+}
+
+// check if a recurring task has an occurrence on a local date
+function occursOn({ rule, startLocalDate, endLocalDate }, localDate) {
+  if (localDate < startLocalDate || (endLocalDate && localDate > endLocalDate)) return false;
+  if (!rule.weekdays.includes(weekdayOfLocalDate(localDate))) return false;
+
+  const weeks = daysBetweenLocalDates(
+    isoWeekOfLocalDate(startLocalDate).weekStartLocalDate,
+    isoWeekOfLocalDate(localDate).weekStartLocalDate
+  ) / 7;
+
+  return weeks % rule.intervalInWeeks === 0;
+}
+
+function createRecurringTasksService({ storage, io, usersService, tasksService }) {
+  const { recurringTasks } = storage;
+
+  // operations of a user are run one after another
+  // so that an occurrence can't be created after its recurring task is ended or deleted
+  const occurrencesLock = createKeyedLock();
+
+  // recurring tasks of a user changed after a recurring task is created, modified, ended or deleted
+  // every device of the user gets "recurringTasks:change" event to read the recurring tasks again
+  function notifyRecurringTasksChange(username) {
+    io.to(username).emit("recurringTasks:change");
+  }
+
+  // get today's local date in the time zone on the user's profile
+  async function readToday(username) {
+    return toLocalDateString(new Date(), await usersService.readTimeZone(username));
+  }
+
+  // create a new recurring task for the user, returns the created recurring task
+  // startLocalDate defaults to today, occurrences are not created for the days before today
+  async function createRecurringTask(username, { name, projectId, tags = [], rule, startLocalDate, endLocalDate }) {
+    const today = await readToday(username);
+    startLocalDate = startLocalDate || today;
+    checkLocalDate(startLocalDate, "Start date");
+    if (endLocalDate) checkEndLocalDate(startLocalDate, endLocalDate);
+
+    const recurringTask = {
+      owner: username,
+      name,
+      projectId: await tasksService.assignableProjectId(username, projectId),
+      tags: [...new Set(tags)],
+      rule: normalizeRule(rule, startLocalDate),
+      startLocalDate,
+      endLocalDate: endLocalDate || null,
+      // today's occurrence is created on the next read of the tasks
+      materializedUntilLocalDate: addDaysToLocalDate(startLocalDate > today ? startLocalDate : today, -1),
+      createdAt: new Date(),
+    };
+
+    recurringTask._id = await occurrencesLock.runExclusive(username, () => recurringTasks.create(recurringTask));
+
+    return recurringTask;
+  }
+
+  // endLocalDate is the last local date that can have an occurrence
+  function checkEndLocalDate(startLocalDate, endLocalDate) {
+    checkLocalDate(endLocalDate, "End date");
+    if (endLocalDate < startLocalDate) {
+      throw new AppError(errorCodes.VALIDATION_FAILED, "End date must not be before the start date!");
+    }
+  }
+
+  // get the recurring tasks of the user, ended ones included
+  async function readRecurringTasks(username) {
+    return recurringTasks.findByOwner(username);
+  }
+
+  // get a recurring task of the user, throws if it doesn't exist or belongs to another user
+  async function readRecurringTask(username, _id) {
+    const recurringTask = await recurringTasks.findOwn(_id, username);
+    if (!recurringTask) throw new RecurringTaskNotFoundError();
+
+    return recurringTask;
+  }
+
+  // update the name, projectId, tags, rule and/or endLocalDate of a recurring task
+  // only the occurrences that are not created yet follow the changes
+  // endLocalDate: null removes the end
+  // returns { recurringTask, isModified } where recurringTask is the updated recurring task
+  async function updateRecurringTask(username, _id, { name, projectId, tags, rule, endLocalDate }) {
+    return occurrencesLock.runExclusive(username, async () => {
+      const recurringTask = await readRecurringTask(username, _id);
+
+      const changes = {};
+      if (name !== undefined) changes.name = name;
+      if (projectId !== undefined) changes.projectId = await tasksService.assignableProjectId(username, projectId);
+      if (tags !== undefined) changes.tags = [...new Set(tags)];
+      if (rule !== undefined) changes.rule = normalizeRule(rule, recurringTask.startLocalDate);
+      if (endLocalDate) checkEndLocalDate(recurringTask.startLocalDate, endLocalDate);
+      if (endLocalDate !== undefined) changes.endLocalDate = endLocalDate;
+
+      // nothing to update if no property is sent
+      if (!Object.keys(changes).length) return { recurringTask, isModified: false };
+
+      const result = await recurringTasks.update(_id, username, changes);
+      // the recurring task may be deleted in the meantime by another server process
+      if (!result.matched) throw new RecurringTaskNotFoundError();
+
+      return { recurringTask: await readRecurringTask(username, _id), isModified: result.modified };
+    });
+  }
+
+  // end a recurring task now, no more occurrences are created
+  // the occurrences that are already created (ex: today's) are kept
+  async function endRecurringTask(username, _id) {
+    return occurrencesLock.runExclusive(username, async () => {
+      const recurringTask = await readRecurringTask(username, _id);
+      const { startLocalDate, endLocalDate, materializedUntilLocalDate } = recurringTask;
+
+      // already ends before the next occurrence
+      if (endLocalDate && endLocalDate <= materializedUntilLocalDate) return { recurringTask, isModified: false };
+
+      // a recurring task that hasn't started yet ends before its start date
+      const lastLocalDate =
+        materializedUntilLocalDate < startLocalDate
+          ? addDaysToLocalDate(startLocalDate, -1)
+          : materializedUntilLocalDate;
+      await recurringTasks.update(_id, username, { endLocalDate: lastLocalDate });
+
+      return { recurringTask: await readRecurringTask(username, _id), isModified: true };
+    });
+  }
+
+  // delete a recurring task of the user, its occurrences are kept as ordinary tasks
+  async function deleteRecurringTask(username, _id) {
+    await occurrencesLock.runExclusive(username, async () => {
+      const isDeleted = await recurringTasks.deleteOwn(_id, username);
+
+      if (!isDeleted) throw new RecurringTaskNotFoundError();
+    });
+  }
+
+  // create the occurrences of every recurring task of the user until today (in the user's time zone)
+  // called before the tasks of the user are read
+  // returns the number of the created tasks
+  async function createDueOccurrences(username) {
+    return occurrencesLock.runExclusive(username, async () => {
+      const timeZone = await usersService.readTimeZone(username);
+      const today = toLocalDateString(new Date(), timeZone);
+      const oldestLocalDate = addDaysToLocalDate(today, 1 - maxNumberOfDaysOfOccurrences);
+
+      let numberOfCreatedTasks = 0;
+      for (const recurringTask of await recurringTasks.findByOwner(username)) {
+        if (recurringTask.materializedUntilLocalDate >= today) continue;
+
+        let localDate = addDaysToLocalDate(recurringTask.materializedUntilLocalDate, 1);
+        if (localDate < oldestLocalDate) localDate = oldestLocalDate;
+
+        for (; localDate <= today; localDate = addDaysToLocalDate(localDate, 1)) {
+          if (!occursOn(recurringTask, localDate)) continue;
+
+          // the history, the sync and the webhooks get the occurrence like a task created by the user
+          const occurrence = await tasksService.createOccurrence(username, {
+            name: recurringTask.name,
+            projectId: recurringTask.projectId,
+            tags: recurringTask.tags,
+            // the occurrence belongs to the local date, so it's created at the start of the local date
+            date: startOfLocalDate(localDate, timeZone),
+            recurringTaskId: recurringTask._id,
+            occurrenceLocalDate: localDate,
+          });
+          if (occurrence) numberOfCreatedTasks++;
+        }
+
+        await recurringTasks.update(recurringTask._id, username, { materializedUntilLocalDate: today });
+      }
+
+      return numberOfCreatedTasks;
+    });
+  }
+
+  return {
+    notifyRecurringTasksChange,
+    createRecurringTask,
+    readRecurringTasks,
+    readRecurringTask,
+    updateRecurringTask,
+    endRecurringTask,
+    deleteRecurringTask,
+    createDueOccurrences,
+  };
+}
+
+module.exports = { createRecurringTasksService };
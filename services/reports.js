@@ -0,0 +1,168 @@
+// detailed reports of the completed time of users
+// built like the daily completed times (see readTotalCompletedTimes in services/tasks.js):
+// workedTimeSpans are read from the storage and bucketed by the local dates and hours of the user's time zone
+// running workedTimeSpans are not completed yet, so they are not in the reports
+
+// expected errors with stable error codes
+const { AppError, errorCodes } = require("../lib/errors");
+// time zone aware local dates
+const {
+  addDaysToLocalDate,
+  isoWeekOfLocalDate,
+  localDatesFrom,
+  splitAtLocalHours,
+  startOfLocalDate,
+  toLocalDateString,
+  weekdayOfLocalDate,
+} = require("../lib/time");
+
+// a report covers at most this many local dates
+const maxNumberOfDaysOfReport = 366;
+
+// get the longest run of consecutive local dates that have completed time
+// returns { numberOfDays, startLocalDate, endLocalDate }, dates are null if no date has completed time
+function longestStreakOf(days) {
+  let longestStreak = { numberOfDays: 0, startLocalDate: null, endLocalDate: null };
+
+  let streakStartIndex = 0;
+  days.forEach(({ completedTime }, index) => {
+    if (!completedTime) {
+      streakStartIndex = index + 1;
+      return;
+    }
+
+    const numberOfDays = index - streakStartIndex + 1;
+    if (numberOfDays > longestStreak.numberOfDays) {
+      longestStreak = {
+        numberOfDays,
+        startLocalDate: days[streakStartIndex].localDate,
+        endLocalDate: days[index].localDate,
+      };
+    }
+  });
+
+  return longestStreak;
+}
+
+// sum up the completed times of days by a key (ex: week, month), keeps the order of the days
+// returns a Map of key => { ...fieldsOfTheKey, completedTime }
+function rollUp(days, keyOf) {
+  const rollups = new Map();
+
+  for (const { localDate, completedTime } of days) {
+    const { key, ...fields } = keyOf(localDate);
+    const rollup = rollups.get(key) || { ...fields, completedTime: 0 };
+    rollup.completedTime += completedTime;
+    rollups.set(key, rollup);
+  }
+
+  return [...rollups.values()];
+}
+
+function createReportsService({ storage, usersService }) {
+  const { tasks } = storage;
+
+  // get the report of the user's completed time between the local dates of startDate and endDate (both included)
+  // timeZone defaults to the time zone on the user's profile, times are in milliseconds
+  // returns {
+  //   timeZone, startLocalDate, endLocalDate, totalCompletedTime,
+  //   tasks: [{ taskId, name, projectId, tags, completedTime, numberOfSessions }] (most worked first),
+  //   days: [{ localDate, completedTime }],
+  //   weeks: [{ week, weekStartLocalDate, completedTime }] (ISO weeks, ex: "2023-W45"),
+  //   months: [{ month, completedTime }] (ex: "2023-11"),
+  //   heatmap: completed time of every hour of every weekday as heatmap[weekday][hour], 0 is Sunday,
+  //   numberOfSessions, averageSessionLength,
+  //   longestStreak: { numberOfDays, startLocalDate, endLocalDate },
+  // }
+  // weeks and months at the edges of the range only have the days in the range
+  async function readReport(username, { startDate, endDate, timeZone }) {
+    timeZone = await usersService.readTimeZone(username, timeZone);
+
+    const startLocalDate = toLocalDateString(startDate, timeZone);
+    const endLocalDate = toLocalDateString(endDate, timeZone);
+    // local date strings are parsed as utc dates, so the difference is a whole number of days
+    const numberOfDays = (Date.parse(endLocalDate) - Date.parse(startLocalDate)) / (24 * 60 * 60 * 1000) + 1;
+
+    if (numberOfDays < 1 || numberOfDays > maxNumberOfDaysOfReport) {
+      throw new AppError(
+        errorCodes.VALIDATION_FAILED,
+        `End date must be after start date and a report can cover at most ${maxNumberOfDaysOfReport} days!`
+      );
+    }
+
+    const localDates = localDatesFrom(startDate, numberOfDays, timeZone);
+    const rangeStart = startOfLocalDate(startLocalDate, timeZone);
+    const rangeEnd = startOfLocalDate(addDaysToLocalDate(endLocalDate, 1), timeZone);
+
+    // local date => completed time
+    const daysCompletedTimes = new Map(localDates.map((localDate) => [localDate, 0]));
+    const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const tasksCompletedTimes = [];
+    let numberOfSessions = 0;
+    let sessionsTime = 0;
+
+    for (const task of await tasks.findWithWorkedTimeSpansBetween(username, rangeStart, rangeEnd)) {
+      let taskCompletedTime = 0;
+      let taskNumberOfSessions = 0;
+
+      for (const workedTimeSpan of task.workedTimeSpans) {
+        // running workedTimeSpans and the ones outside the range are not counted
+        if (!workedTimeSpan.endTime || workedTimeSpan.endTime <= rangeStart || workedTimeSpan.startTime >= rangeEnd) {
+          continue;
+        }
+
+        // a session belongs to the range it started in, its whole length is counted
+        if (workedTimeSpan.startTime >= rangeStart) {
+          numberOfSessions++;
+          taskNumberOfSessions++;
+          sessionsTime += workedTimeSpan.endTime - workedTimeSpan.startTime;
+        }
+
+        // only the part of the workedTimeSpan inside the range is counted
+        const startTime = workedTimeSpan.startTime > rangeStart ? workedTimeSpan.startTime : rangeStart;
+        const endTime = workedTimeSpan.endTime < rangeEnd ? workedTimeSpan.endTime : rangeEnd;
+
+        for (const { localDate, hour, duration } of splitAtLocalHours(startTime, endTime, timeZone)) {
+          daysCompletedTimes.set(localDate, daysCompletedTimes.get(localDate) + duration);
+          heatmap[weekdayOfLocalDate(localDate)][hour] += duration;
+          taskCompletedTime += duration;
+        }
+      }
+
+      if (taskCompletedTime) {
+        tasksCompletedTimes.push({
+          taskId: task._id,
+          name: task.name,
+          projectId: task.projectId || null,
+          tags: task.tags || [],
+          completedTime: taskCompletedTime,
+          numberOfSessions: taskNumberOfSessions,
+        });
+      }
+    }
+
+    const days = localDates.map((localDate) => ({ localDate, completedTime: daysCompletedTimes.get(localDate) }));
+
+    return {
+      timeZone,
+      startLocalDate,
+      endLocalDate,
+      totalCompletedTime: days.reduce((sum, { completedTime }) => sum + completedTime, 0),
+      tasks: tasksCompletedTimes.sort((a, b) => b.completedTime - a.completedTime),
+      days,
+      weeks: rollUp(days, (localDate) => {
+        const { week, weekStartLocalDate } = isoWeekOfLocalDate(localDate);
+        return { key: week, week, weekStartLocalDate };
+      }),
+      months: rollUp(days, (localDate) => ({ key: localDate.slice(0, 7), month: localDate.slice(0, 7) })),
+      heatmap,
+      numberOfSessions,
+      averageSessionLength: numberOfSessions ? Math.round(sessionsTime / numberOfSessions) : 0,
+      longestStreak: longestStreakOf(days),
+    };
+  }
+
+  return { readReport };
+}
+
+module.exports = { createReportsService };
@@ -0,0 +1,34 @@
+// settings of users
+// stored in the settings property of the user document, missing settings get their default value
+
+// default value of every setting
+const defaultSettings = {
+  // what happens when a timer is started while another one is running
+  // "autoStop": the running timer is stopped, "reject": the new timer is not started
+  timerConflict: "autoStop",
+  // lengths of the phases and number of work phases of a pomodoro session (see services/pomodoro.js)
+  pomodoro: { workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, cycles: 4 },
+};
+
+function createSettingsService({ storage }) {
+  const { users } = storage;
+
+  // get the settings of a user with default values for the missing ones
+  async function readSettings(username) {
+    const user = await users.findByUsername(username);
+
+    return { ...defaultSettings, ...user?.settings };
+  }
+
+  // update some settings of a user, returns all the settings after the update
+  async function updateSettings(username, settings) {
+    // nothing to update if no setting is sent
+    if (Object.keys(settings).length) await users.updateSettings(username, settings);
+
+    return readSettings(username);
+  }
+
+  return { readSettings, updateSettings };
+}
+
+module.exports = { defaultSettings, createSettingsService };
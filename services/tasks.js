@@ -0,0 +1,1257 @@
+// task and worked time span operations
+// shared by the socket event listeners and the REST APIs
+// every operation is done on behalf of a user (username) and only touches the user's own tasks
+//
+// every change of a task is appended to the history of the task (taskHistory) with the old and new values
+// of the changed fields and the origin of the change (see lib/origins.js)
+// the operations that change tasks take the origin as their last argument, the server is the origin if it's missing
+//
+// every recorded change also gives the task a new version for the delta sync (see pullChanges)
+// versions come from one counter shared by every user, so a version is never given twice
+// a task that is deleted or assigned to another user leaves a tombstone with a version for its old doer
+// every device of the doer gets "sync:change" event with the change, so clients don't need to read the tasks again
+
+// EventEmitter to let other services know about the changes of tasks
+const { EventEmitter } = require("events");
+// ObjectId to create _ids of workedTimeSpan objects
+const { ObjectId } = require("mongodb");
+// expected errors with stable error codes
+const { AppError, errorCodes, TaskNotFoundError, ProjectNotFoundError } = require("../lib/errors");
+// lock to run timer operations of the same user one after another
+const { createKeyedLock } = require("../lib/locks");
+// time zone aware local dates
+const { addDaysToLocalDate, localDatesFrom, splitAtLocalMidnights, startOfLocalDate } = require("../lib/time");
+// origin of the changes that are made by the server
+const { originOfServer } = require("../lib/origins");
+
+// fields of a task that are recorded in the history of the task
+const historyFields = [
+  "name",
+  "projectId",
+  "tags",
+  "estimatedDuration",
+  "status",
+  "completedAt",
+  "checklistItems",
+  "workedTimeSpans",
+  "deletedAt",
+  "doer",
+  "workspaceId",
+];
+
+function createTasksService({ storage, io, settingsService, usersService, undoWindowInMs }) {
+  const { tasks, taskHistory, roomsStates, projects, counters, taskTombstones } = storage;
+
+  // a user can have at most one running timer (workedTimeSpan without endTime)
+  // timer operations of a user are run one after another
+  // so that two devices starting timers at the same time can't both pass the check
+  const timerLock = createKeyedLock();
+
+  // checklist operations of a user are run one after another
+  // so that two devices changing the checklist of a task at the same time don't overwrite each other
+  const checklistLock = createKeyedLock();
+
+  // versions of the changes of a user are given one after another
+  // so that a change is stored before a change with a greater version of the same user
+  // and a client never skips a change by pulling between the two
+  const versionLock = createKeyedLock();
+
+  // a pull returns at most this many changes by default
+  const defaultPullLimit = 500;
+
+  // a task can have at most this many checklist items
+  const maxNumberOfChecklistItems = 100;
+
+  // times sent by the client can be this much ahead of the server time
+  const allowedClockSkewInMs = 60 * 1000;
+
+  // "change" event is emitted with the username whenever "tasks:change" is emitted to the user's room
+  // ex: goals service listens to it to follow the running timers
+  // "taskEvents" event is emitted with the username and the task events (see taskEventsOfChange)
+  // of the changes since the last "tasks:change", the webhooks service listens to it
+  const events = new EventEmitter();
+
+  // username => task events waiting for the next "tasks:change" of the user
+  const pendingTaskEvents = new Map();
+
+  // at most this many task events of a user wait for the next "tasks:change"
+  const maxNumberOfPendingTaskEvents = 1000;
+
+  // tasks collection changed after a task document is created, modified or deleted
+  // so need to emit "tasks:change" event that we are listening in useTasksOfDays hook
+  // the listener of "tasks:change" emits the "tasks:read" event to get the tasks
+  // args are indexInTasksOfDays and optionally activeTaskId
+  // emit event to the username room so that multiple devices (sockets) of the same user gets the event
+  function notifyTasksChange(username, ...args) {
+    io.to(username).emit("tasks:change", ...args);
+    events.emit("change", username);
+
+    const taskEvents = pendingTaskEvents.get(username);
+    if (taskEvents) {
+      pendingTaskEvents.delete(username);
+      events.emit("taskEvents", username, taskEvents);
+    }
+  }
+
+  // get the task events of a change of a task that are sent to the webhooks of the user
+  // returns [{ type, createdAt, data }] where type is one of webhookEventTypes (see lib/webhooks.js)
+  function taskEventsOfChange(taskBefore, taskAfter) {
+    const createdAt = new Date();
+    const task = taskAfter || taskBefore;
+    const taskEvents = [];
+
+    if (!taskBefore) {
+      const { _id, name, projectId, tags, estimatedDuration, date } = task;
+      taskEvents.push({
+        type: "task.created",
+        createdAt,
+        data: { task: { _id, name, projectId, tags, estimatedDuration, date } },
+      });
+    }
+
+    if (taskBefore && taskAfter && taskBefore.name !== taskAfter.name) {
+      taskEvents.push({
+        type: "task.renamed",
+        createdAt,
+        data: { taskId: task._id, oldName: taskBefore.name, name: taskAfter.name },
+      });
+    }
+
+    // a workedTimeSpan is started if it's added without endTime, ended if its endTime is set
+    const workedTimeSpansBefore = new Map(
+      (taskBefore?.workedTimeSpans || []).map((workedTimeSpan) => [workedTimeSpan._id.toString(), workedTimeSpan])
+    );
+    for (const workedTimeSpan of taskAfter?.workedTimeSpans || []) {
+      const workedTimeSpanBefore = workedTimeSpansBefore.get(workedTimeSpan._id.toString());
+      const data = { taskId: task._id, name: task.name, workedTimeSpan };
+
+      if (!workedTimeSpanBefore && !workedTimeSpan.endTime) {
+        taskEvents.push({ type: "workedTimeSpan.started", createdAt, data });
+      } else if (workedTimeSpanBefore && !workedTimeSpanBefore.endTime && workedTimeSpan.endTime) {
+        taskEvents.push({ type: "workedTimeSpan.ended", createdAt, data });
+      }
+    }
+
+    if (taskBefore && !taskBefore.deletedAt && taskAfter?.deletedAt) {
+      taskEvents.push({ type: "task.deleted", createdAt, data: { taskId: task._id, name: task.name } });
+    }
+
+    return taskEvents;
+  }
+
+  // keep the task events of a change until the next "tasks:change" of the user
+  // so that the webhooks fire from the same places as "tasks:change" and only after the change is done
+  function queueTaskEvents(username, taskEvents) {
+    if (!taskEvents.length) return;
+
+    const queuedTaskEvents = [...(pendingTaskEvents.get(username) || []), ...taskEvents];
+    pendingTaskEvents.set(username, queuedTaskEvents.slice(-maxNumberOfPendingTaskEvents));
+  }
+
+  // get the ObjectId of a project that a task can be assigned to
+  // null projectId means no project
+  // throws if the project doesn't exist, belongs to another user or is archived
+  async function assignableProjectId(username, projectId) {
+    if (!projectId) return null;
+
+    const project = await projects.findOwn(projectId, username);
+    if (!project) throw new ProjectNotFoundError();
+
+    if (project.isArchived) {
+      throw new AppError(errorCodes.CONFLICT, "Tasks can't be added to an archived project!", { httpStatus: 409 });
+    }
+
+    return project._id;
+  }
+
+  // remove duplicate tags, tags are free-form strings
+  function uniqueTags(tags = []) {
+    return [...new Set(tags)];
+  }
+
+  // get the time worked on a task in milliseconds, a running workedTimeSpan counts until now
+  // only the workedTimeSpans attributed to a checklist item are counted if checklistItemId is given
+  function actualDurationOfTask(task, now = new Date(), checklistItemId) {
+    return (task.workedTimeSpans || [])
+      .filter((workedTimeSpan) => !checklistItemId || workedTimeSpan.checklistItemId?.toString() === checklistItemId)
+      .reduce((sum, { startTime, endTime }) => sum + ((endTime || now) - startTime), 0);
+  }
+
+  // get a task as it's sent to the clients, with the durations that are computed now
+  function taskForClient(task, now = new Date()) {
+    const actualDuration = actualDurationOfTask(task, now);
+    const estimatedDuration = task.estimatedDuration ?? null;
+
+    return {
+      ...task,
+      // tasks created before the statuses are open
+      status: task.status || "open",
+      completedAt: task.completedAt || null,
+      estimatedDuration,
+      actualDuration,
+      isOverrun: estimatedDuration !== null && actualDuration > estimatedDuration,
+      checklistItems: (task.checklistItems || []).map((checklistItem) => ({
+        ...checklistItem,
+        actualDuration: actualDurationOfTask(task, now, checklistItem._id.toString()),
+      })),
+    };
+  }
+
+  // give a task of the doer the next version and send the changed task to the doer's devices
+  async function stampTask(doer, _id) {
+    await versionLock.runExclusive(doer, async () => {
+      const version = await counters.next("taskVersions");
+      await tasks.setVersion(_id, doer, version, new Date());
+
+      const task = await tasks.findOwn(_id, doer);
+      if (task) io.to(doer).emit("sync:change", { type: "task", version, task: taskForClient(task) });
+    });
+  }
+
+  // give the tasks that are changed outside of this service (ex: their project is deleted) new versions
+  // and send them to the devices of their doers, changedTasks are [{ _id, doer }]
+  async function stampTasks(changedTasks) {
+    for (const { _id, doer } of changedTasks) await stampTask(doer, _id);
+  }
+
+  // leave a tombstone of a task that the doer can't see anymore and send it to the doer's devices
+  async function addTombstone(doer, taskId, deletedAt) {
+    await versionLock.runExclusive(doer, async () => {
+      const version = await counters.next("taskVersions");
+      await taskTombstones.create({ taskId, doer, version, deletedAt });
+
+      io.to(doer).emit("sync:change", { type: "tombstone", version, taskId, deletedAt });
+    });
+  }
+
+  // give the changed task a version, or leave a tombstone if the task is deleted or assigned to another user
+  async function versionChange(taskBefore, taskAfter) {
+    const task = taskAfter || taskBefore;
+
+    if (taskBefore && taskAfter && taskBefore.doer !== taskAfter.doer) {
+      await addTombstone(taskBefore.doer, task._id, new Date());
+    }
+
+    if (!taskAfter) return;
+
+    if (!taskAfter.deletedAt) {
+      await stampTask(taskAfter.doer, task._id);
+    } else if (!taskBefore?.deletedAt) {
+      await addTombstone(taskAfter.doer, task._id, taskAfter.deletedAt);
+    }
+  }
+
+  // get the changes of the user's tasks with a version greater than cursor, lowest version first
+  // a change is { type: "task", version, task } or { type: "tombstone", version, taskId, deletedAt }
+  // cursor 0 gets every task of the user without the tombstones (a full sync)
+  // returns { changes, cursor, hasMore } where cursor is the cursor of the next pull
+  // the next pull is needed right away if hasMore is true
+  async function pullChanges(username, cursor, limit = defaultPullLimit) {
+    // tasks without a version (ex: created before the versions) get one before they're pulled
+    for (const _id of await tasks.findUnversioned(username)) await stampTask(username, _id);
+
+    const now = new Date();
+    const [changedTasks, tombstones] = await Promise.all([
+      tasks.findChangedSince(username, cursor, limit + 1),
+      // a full sync has no local tasks to remove
+      cursor ? taskTombstones.findChangedSince(username, cursor, limit + 1) : [],
+    ]);
+
+    const changes = [
+      ...changedTasks.map((task) => ({ type: "task", version: task.version, task: taskForClient(task, now) })),
+      ...tombstones.map(({ version, taskId, deletedAt }) => ({ type: "tombstone", version, taskId, deletedAt })),
+    ].sort((a, b) => a.version - b.version);
+
+    const pulledChanges = changes.slice(0, limit);
+
+    return {
+      changes: pulledChanges,
+      cursor: pulledChanges.length ? pulledChanges[pulledChanges.length - 1].version : cursor,
+      hasMore: changes.length > limit,
+    };
+  }
+
+  // thrown when a checklist item is not found in a task
+  function checklistItemNotFoundError() {
+    return new AppError(errorCodes.NOT_FOUND, "Checklist item not found!", { httpStatus: 404 });
+  }
+
+  // get a task of the user for its history, deleted tasks (that are not purged yet) included
+  async function findTaskForHistory(username, _id) {
+    return (await tasks.findOwn(_id, username)) || tasks.findDeletedOwn(_id, username, new Date(0));
+  }
+
+  // append an entry to the history of a task with the old (before) and new (after) values of the changed fields
+  // action is the name of the operation, like the socket event (ex: "taskName:update")
+  // nothing is appended if no field changed
+  async function recordChange(username, action, origin, taskBefore, taskAfter) {
+    const before = {};
+    const after = {};
+    for (const field of historyFields) {
+      const oldValue = taskBefore?.[field] ?? null;
+      const newValue = taskAfter?.[field] ?? null;
+
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        before[field] = oldValue;
+        after[field] = newValue;
+      }
+    }
+
+    if (!Object.keys(after).length) return;
+
+    queueTaskEvents(username, taskEventsOfChange(taskBefore, taskAfter));
+
+    const { actor, source, socketId, device } = origin || originOfServer("server");
+    await taskHistory.append({
+      taskId: (taskAfter || taskBefore)._id,
+      doer: username,
+      actor,
+      source,
+      socketId,
+      device,
+      action,
+      before,
+      after,
+      createdAt: new Date(),
+    });
+
+    await versionChange(taskBefore, taskAfter);
+  }
+
+  // run change() on a task of the user and record the change in the history of the task
+  // the task is read before and after the change, a change that throws is not recorded
+  // returns the result of change()
+  async function changeTask(username, _id, action, origin, change) {
+    const taskBefore = await findTaskForHistory(username, _id);
+    const result = await change();
+    await recordChange(username, action, origin, taskBefore, await findTaskForHistory(username, _id));
+
+    return result;
+  }
+
+  // create a new task for the user, returns the created task
+  // the task can be created in a project (projectId), with tags and with an estimatedDuration in milliseconds
+  async function createTask(username, { name, projectId, tags, estimatedDuration }, origin) {
+    const task = newTask(username, {
+      name,
+      projectId: await assignableProjectId(username, projectId),
+      tags,
+      estimatedDuration,
+      // add date of the task creation
+      // mongodb stores dates that are created in BE as utc dates
+      date: new Date(),
+    });
+
+    task._id = await tasks.create(task);
+    await recordChange(username, "tasks:create", origin, null, task);
+
+    return task;
+  }
+
+  // create the task of a recurring task for a local date (an occurrence), like a task created by the user
+  // date is the start of the local date, nothing is created if the recurring task already has a task for it
+  // returns the created task, null if the occurrence already exists
+  async function createOccurrence(username, { name, projectId, tags, date, recurringTaskId, occurrenceLocalDate }) {
+    const task = { ...newTask(username, { name, projectId, tags, date }), recurringTaskId, occurrenceLocalDate };
+
+    task._id = await tasks.createOccurrence(task);
+    if (!task._id) return null;
+
+    await recordChange(username, "tasks:create", originOfServer("recurrence"), null, task);
+
+    return task;
+  }
+
+  // a task of the user that has no worked time span, no checklist item and is open
+  function newTask(username, { name, projectId, tags, estimatedDuration, date }) {
+    return {
+      name,
+      projectId,
+      tags: uniqueTags(tags),
+      // null means no estimate
+      estimatedDuration: estimatedDuration ?? null,
+      // add doer (username of the user)
+      doer: username,
+      date,
+      // a new task has no worked time span
+      workedTimeSpans: [],
+      // ordered checklist items, [{ _id, name, isDone }]
+      checklistItems: [],
+      status: "open",
+      // time of the completion, null if the task is not completed
+      completedAt: null,
+    };
+  }
+
+  // get the all the tasks of the user between startDate and endDate, deleted tasks are left out
+  // filter can narrow the tasks down to a project ({ projectId }) and/or a tag ({ tag })
+  // and leave the archived tasks out ({ excludeArchived: true })
+  // every task gets its actualDuration (milliseconds worked until now) to compare with its estimatedDuration
+  // and isOverrun (true if the actualDuration is longer than the estimatedDuration)
+  // every checklist item gets the actualDuration of the workedTimeSpans attributed to it
+  async function readTasks(username, startDate, endDate, filter) {
+    const now = new Date();
+
+    return (await tasks.findByDateRange(username, startDate, endDate, filter)).map((task) => taskForClient(task, now));
+  }
+
+  // delete a task of the user, the task can be restored within the undo window
+  // the running timer of the task is stopped now, a deleted task can't be the active task of the room
+  // returns { undoUntil }, the task is purged after undoUntil
+  async function deleteTask(username, _id, origin) {
+    return timerLock.runExclusive(username, () =>
+      changeTask(username, _id, "tasks:delete", origin, async () => {
+        const now = new Date();
+
+        const task = await tasks.findOwn(_id, username);
+        if (!task) throw new TaskNotFoundError();
+
+        const runningWorkedTimeSpan = task.workedTimeSpans?.find((workedTimeSpan) => !workedTimeSpan.endTime);
+        if (runningWorkedTimeSpan) {
+          await tasks.setWorkedTimeSpanEndTime(_id, username, runningWorkedTimeSpan._id.toString(), now);
+        }
+
+        const isDeleted = await tasks.softDeleteOwn(_id, username, now);
+
+        // if no task deleted, the task is deleted in the meantime
+        if (!isDeleted) throw new TaskNotFoundError();
+
+        await roomsStates.clearActiveTaskId(username, _id);
+
+        return { undoUntil: new Date(now.getTime() + undoWindowInMs) };
+      })
+    );
+  }
+
+  // restore a task of the user that is deleted within the undo window
+  // the workedTimeSpans of the task are checked again
+  // because another workedTimeSpan may be added to their time while the task was deleted
+  // returns the restored task
+  async function restoreTask(username, _id, origin) {
+    return timerLock.runExclusive(username, () =>
+      changeTask(username, _id, "tasks:restore", origin, async () => {
+        const deletedAfter = new Date(Date.now() - undoWindowInMs);
+
+        const task = await tasks.findDeletedOwn(_id, username, deletedAfter);
+        if (!task) {
+          throw new AppError(errorCodes.TASK_NOT_FOUND, "Task not found or can't be restored anymore!", {
+            httpStatus: 404,
+          });
+        }
+
+        for (const workedTimeSpan of task.workedTimeSpans || []) await checkWorkedTimeSpan(username, workedTimeSpan);
+
+        // the task may be purged in the meantime
+        if (!(await tasks.restoreOwn(_id, username, deletedAfter))) throw new TaskNotFoundError();
+
+        return { ...task, deletedAt: null };
+      })
+    );
+  }
+
+  // set the status ("open", "completed" or "archived") of a task of the user
+  // completedAt is the time the task is completed, null if the task is not completed
+  // returns false if the status of the task didn't change
+  async function setTaskStatus(username, _id, status, origin) {
+    const task = await tasks.findOwn(_id, username);
+    if (!task) throw new TaskNotFoundError();
+
+    if ((task.status || "open") === status) return false;
+
+    const result = await changeTask(username, _id, "taskStatus:update", origin, () =>
+      tasks.update(_id, username, { status, completedAt: status === "completed" ? new Date() : null })
+    );
+
+    // the task may be deleted in the meantime
+    if (!result.matched) throw new TaskNotFoundError();
+
+    return result.modified;
+  }
+
+  // update the name of a task of the user
+  // returns false if the task name didn't change
+  async function renameTask(username, _id, name, origin) {
+    const result = await changeTask(username, _id, "taskName:update", origin, () => tasks.rename(_id, username, name));
+
+    // if no task matched, the task doesn't exist or belongs to another user
+    if (!result.matched) throw new TaskNotFoundError();
+
+    return result.modified;
+  }
+
+  // move a task of the user to a project, null projectId removes the task from its project
+  // returns false if the project of the task didn't change
+  async function setTaskProject(username, _id, projectId, origin) {
+    const changes = { projectId: await assignableProjectId(username, projectId) };
+    const result = await changeTask(username, _id, "taskProject:update", origin, () =>
+      tasks.update(_id, username, changes)
+    );
+
+    if (!result.matched) throw new TaskNotFoundError();
+
+    return result.modified;
+  }
+
+  // replace the tags of a task of the user
+  // returns false if the tags of the task didn't change
+  async function setTaskTags(username, _id, tags, origin) {
+    const result = await changeTask(username, _id, "taskTags:update", origin, () =>
+      tasks.update(_id, username, { tags: uniqueTags(tags) })
+    );
+
+    if (!result.matched) throw new TaskNotFoundError();
+
+    return result.modified;
+  }
+
+  // set the estimatedDuration (milliseconds) of a task of the user, null removes the estimate
+  // returns false if the estimate of the task didn't change
+  async function setTaskEstimatedDuration(username, _id, estimatedDuration, origin) {
+    const task = await tasks.findOwn(_id, username);
+    if (!task) throw new TaskNotFoundError();
+
+    if ((task.estimatedDuration ?? null) === (estimatedDuration ?? null)) return false;
+
+    // "task:overrun" is emitted again when the task runs over the new estimate
+    const result = await changeTask(username, _id, "taskEstimatedDuration:update", origin, () =>
+      tasks.update(_id, username, { estimatedDuration: estimatedDuration ?? null, overrunNotifiedAt: null })
+    );
+
+    // the task may be deleted in the meantime
+    if (!result.matched) throw new TaskNotFoundError();
+
+    return result.modified;
+  }
+
+  // change the checklist items of a task of the user inside the checklist lock
+  // change(checklistItems) returns the new checklist items, it may throw if the change is not possible
+  // action and origin are recorded in the history of the task
+  // returns false if the checklist items didn't change
+  async function updateChecklistItems(username, _id, action, origin, change) {
+    return checklistLock.runExclusive(username, async () => {
+      const task = await tasks.findOwn(_id, username);
+      if (!task) throw new TaskNotFoundError();
+
+      const checklistItems = change(task.checklistItems || []);
+      const result = await changeTask(username, _id, action, origin, () =>
+        tasks.update(_id, username, { checklistItems })
+      );
+
+      // the task may be deleted in the meantime
+      if (!result.matched) throw new TaskNotFoundError();
+
+      return result.modified;
+    });
+  }
+
+  // find the index of a checklist item in the checklist items of a task, throws if it doesn't exist
+  function indexOfChecklistItem(checklistItems, checklistItemId) {
+    const index = checklistItems.findIndex((checklistItem) => checklistItem._id.toString() === checklistItemId);
+    if (index === -1) throw checklistItemNotFoundError();
+
+    return index;
+  }
+
+  // add a checklist item to the end of a task's checklist, returns the added checklist item
+  async function addChecklistItem(username, _id, name, origin) {
+    const checklistItem = { _id: new ObjectId(), name, isDone: false };
+
+    await updateChecklistItems(username, _id, "checklistItem:add", origin, (checklistItems) => {
+      if (checklistItems.length >= maxNumberOfChecklistItems) {
+        throw new AppError(
+          errorCodes.CONFLICT,
+          `A task can have at most ${maxNumberOfChecklistItems} checklist items!`,
+          { httpStatus: 409 }
+        );
+      }
+
+      return [...checklistItems, checklistItem];
+    });
+
+    return checklistItem;
+  }
+
+  // update the name and/or isDone of a checklist item
+  // isDone: undefined keeps the done flag, so a rename doesn't toggle the item
+  // returns false if the checklist item didn't change
+  async function updateChecklistItem(username, _id, checklistItemId, { name, isDone }, origin) {
+    return updateChecklistItems(username, _id, "checklistItem:update", origin, (checklistItems) => {
+      const index = indexOfChecklistItem(checklistItems, checklistItemId);
+
+      return checklistItems.map((checklistItem, itemIndex) =>
+        itemIndex === index
+          ? { ...checklistItem, name: name ?? checklistItem.name, isDone: isDone ?? checklistItem.isDone }
+          : checklistItem
+      );
+    });
+  }
+
+  // flip the done flag of a checklist item, returns the new done flag
+  async function toggleChecklistItem(username, _id, checklistItemId, origin) {
+    let isDone;
+
+    await updateChecklistItems(username, _id, "checklistItem:toggle", origin, (checklistItems) => {
+      const index = indexOfChecklistItem(checklistItems, checklistItemId);
+      isDone = !checklistItems[index].isDone;
+
+      return checklistItems.map((checklistItem, itemIndex) =>
+        itemIndex === index ? { ...checklistItem, isDone } : checklistItem
+      );
+    });
+
+    return isDone;
+  }
+
+  // put the checklist items of a task in the order of checklistItemIds
+  // checklistItemIds must contain every checklist item of the task exactly once
+  // returns false if the order didn't change
+  async function reorderChecklistItems(username, _id, checklistItemIds, origin) {
+    return updateChecklistItems(username, _id, "checklistItems:reorder", origin, (checklistItems) => {
+      if (
+        checklistItemIds.length !== checklistItems.length ||
+        new Set(checklistItemIds).size !== checklistItemIds.length
+      ) {
+        throw new AppError(errorCodes.VALIDATION_FAILED, "Every checklist item of the task must be sent once!");
+      }
+
+      return checklistItemIds.map(
+        (checklistItemId) => checklistItems[indexOfChecklistItem(checklistItems, checklistItemId)]
+      );
+    });
+  }
+
+  // delete a checklist item of a task
+  // the time of the workedTimeSpans attributed to the checklist item stays on the task
+  async function deleteChecklistItem(username, _id, checklistItemId, origin) {
+    await updateChecklistItems(username, _id, "checklistItem:delete", origin, (checklistItems) => {
+      const index = indexOfChecklistItem(checklistItems, checklistItemId);
+
+      return checklistItems.filter((checklistItem, itemIndex) => itemIndex !== index);
+    });
+  }
+
+  // get the total completed time of the user's tasks created between startDate and endDate
+  // broken down per project and per tag
+  // archived tasks are left out if excludeArchived is true
+  // returns { projects: [{ projectId, completedTime }], tags: [{ tag, completedTime }] }
+  async function readCompletedTimesByProjectAndTag(username, startDate, endDate, { excludeArchived } = {}) {
+    return tasks.completedTimesByProjectAndTag(username, startDate, endDate, { excludeArchived });
+  }
+
+  // get the total completed time of numberOfDays local dates starting from the local date of startDate
+  // timeZone defaults to the time zone on the user's profile
+  // completed time is credited to the local dates when the workedTimeSpans actually ran
+  // so a workedTimeSpan that crosses midnight is split between the days
+  // the workedTimeSpans of archived tasks are left out if excludeArchived is true
+  // returns [{ allDatesCompletedTimes: [{ localDate, completedTime }] }] (completedTime in milliseconds)
+  async function readTotalCompletedTimes(username, startDate, numberOfDays, timeZone, { excludeArchived } = {}) {
+    timeZone = await usersService.readTimeZone(username, timeZone);
+
+    // calendar days of the time zone, a day is 23 or 25 hours long when daylight saving time changes
+    const localDates = localDatesFrom(startDate, numberOfDays, timeZone);
+    const rangeStart = startOfLocalDate(localDates[0], timeZone);
+    const rangeEnd = startOfLocalDate(addDaysToLocalDate(localDates[localDates.length - 1], 1), timeZone);
+
+    // local date => completed time
+    const completedTimes = new Map(localDates.map((localDate) => [localDate, 0]));
+
+    const workedTimeSpans = await tasks.findOverlappingWorkedTimeSpans(username, rangeStart, rangeEnd, {
+      excludeArchived,
+    });
+    for (const { workedTimeSpan } of workedTimeSpans) {
+      // running workedTimeSpans are not completed yet
+      if (!workedTimeSpan.endTime) continue;
+
+      // only the part of the workedTimeSpan inside the range is counted
+      const startTime = workedTimeSpan.startTime > rangeStart ? workedTimeSpan.startTime : rangeStart;
+      const endTime = workedTimeSpan.endTime < rangeEnd ? workedTimeSpan.endTime : rangeEnd;
+
+      for (const { localDate, duration } of splitAtLocalMidnights(startTime, endTime, timeZone)) {
+        completedTimes.set(localDate, completedTimes.get(localDate) + duration);
+      }
+    }
+
+    const allDatesCompletedTimes = localDates.map((localDate) => ({
+      localDate,
+      completedTime: completedTimes.get(localDate),
+    }));
+
+    return [{ allDatesCompletedTimes }];
+  }
+
+  // get the local dates that have tasks created by the user, in descending order
+  // timeZone defaults to the time zone on the user's profile
+  async function readExistingDates(username, timeZone) {
+    return tasks.existingDates(username, await usersService.readTimeZone(username, timeZone));
+  }
+
+  // register the start time of a task's workedTimeSpan into db
+  // if another timer of the user is running, depending on the user's timerConflict setting
+  // the running timer is stopped ("autoStop") or the new timer is not started ("reject")
+  // the time can be attributed to a checklist item of the task (checklistItemId)
+  // returns { workedTimeSpan, stoppedWorkedTimeSpans }
+  // stoppedWorkedTimeSpans are the running timers that are stopped, as [{ taskId, workedTimeSpan }]
+  async function startWorkedTimeSpan(username, _id, { checklistItemId } = {}, origin) {
+    return timerLock.runExclusive(username, async () => {
+      const task = await tasks.findOwn(_id, username);
+      if (!task) throw new TaskNotFoundError();
+
+      // the checklist item must be in the task
+      if (checklistItemId) indexOfChecklistItem(task.checklistItems || [], checklistItemId);
+
+      const runningWorkedTimeSpans = await tasks.findRunningWorkedTimeSpans(username);
+
+      // the timer of the same task is already running, starting it again would double count the time
+      const runningOnTheTask = runningWorkedTimeSpans.find(({ taskId }) => taskId.toString() === _id);
+      if (runningOnTheTask) {
+        throw new AppError(errorCodes.CONFLICT, "The timer of the task is already running!", {
+          httpStatus: 409,
+          data: { runningTaskId: _id, workedTimeSpan: runningOnTheTask.workedTimeSpan },
+        });
+      }
+
+      const stoppedWorkedTimeSpans = [];
+      if (runningWorkedTimeSpans.length) {
+        const { timerConflict } = await settingsService.readSettings(username);
+
+        if (timerConflict === "reject") {
+          const [{ taskId, workedTimeSpan }] = runningWorkedTimeSpans;
+          throw new AppError(errorCodes.CONFLICT, "Another timer is already running!", {
+            httpStatus: 409,
+            data: { runningTaskId: taskId, workedTimeSpan },
+          });
+        }
+
+        // stop the running timers just before starting the new one
+        const endTime = new Date();
+        for (const { taskId, workedTimeSpan } of runningWorkedTimeSpans) {
+          await changeTask(username, taskId.toString(), "workedTimeSpan:end", origin, () =>
+            tasks.setWorkedTimeSpanEndTime(taskId.toString(), username, workedTimeSpan._id.toString(), endTime)
+          );
+          stoppedWorkedTimeSpans.push({ taskId, workedTimeSpan: { ...workedTimeSpan, endTime } });
+        }
+      }
+
+      // create the workedTimeSpan object with startTime property to push in workedTimeSpans
+      const workedTimeSpan = {
+        _id: new ObjectId(),
+        startTime: new Date(),
+        ...(checklistItemId && { checklistItemId: new ObjectId(checklistItemId) }),
+      };
+
+      // push workedTimeSpan to the workedTimeSpans array of the task that belongs to the user
+      const isPushed = await changeTask(username, _id, "workedTimeSpan:start", origin, () =>
+        tasks.pushWorkedTimeSpan(_id, username, workedTimeSpan)
+      );
+
+      // if no task matched, the task is deleted in the meantime
+      if (!isPushed) throw new TaskNotFoundError();
+
+      // the started task is the active task of the room
+      await roomsStates.setActiveTaskId(username, _id);
+
+      return { workedTimeSpan, stoppedWorkedTimeSpans };
+    });
+  }
+
+  // register the endTime of a task's workedTimeSpan object
+  // endTime is the time sent by the client (ex: saved in localStorage while offline), defaults to now
+  // wasDisconnected is true if the client registers an endTime that is saved while it was disconnected
+  // returns { isEnded, activeTaskId }
+  // activeTaskId is the active task of the room after the operation
+  async function endWorkedTimeSpan(username, _id, workedTimeSpanId, options, origin) {
+    return timerLock.runExclusive(username, () =>
+      endWorkedTimeSpanOfTask(username, _id, workedTimeSpanId, options, origin)
+    );
+  }
+
+  // see endWorkedTimeSpan, must be called inside the timer lock of the user
+  async function endWorkedTimeSpanOfTask(username, _id, workedTimeSpanId, { endTime, wasDisconnected } = {}, origin) {
+    // the task must exist and belong to the user before we check anything else
+    const ownTask = await tasks.findOwn(_id, username);
+    if (!ownTask) throw new TaskNotFoundError();
+
+    // but, before adding endTime to the workedTimeSpan object
+    // the scenerio below needs to be handled
+    // scenerio: one user is connected from two devices means two sockets in the same room
+    // now, if one device goes offline, it will save endTime in localStorage
+    // and if user doesn't leave the application when the device is offline
+    // application will continuously try to save the endTime in localStorage to database
+    // as soon as the device gets reconnected, 'workedTimeSpan:end' event will be emitted from the application.
+    // but on the oterhand, another device that is connected can already register endTime
+    // so, to avoid the reconnection to update endTime again checking is needed
+
+    // another case: the connected device still kept the task active that means it didn't register
+    // endTime to the database
+    // but reconnection from disconnected device will try to save the endTime in localStorage to db
+    // so, to avoid the reconnecion to register endTime
+    // we check whether room state contains activeTaskId
+    // note that we delete room state when there is no socket in the room (in this case activeTaskId will be undefined)
+    // we clear activeTaskId in room state when workedTimeSpan:end successfuly registers endTime
+    // if room state has activeTaskId that means another socket of the same user kept the task
+    // active no need to register endTime from reconnected device
+    const roomState = await roomsStates.find(username);
+    const activeTaskId = roomState?.activeTaskId || "";
+
+    // get the workedTimeSpan object in workedTimeSpans array of the task which matches workedTimeSpanId
+    const workedTimeSpan = await tasks.findWorkedTimeSpan(_id, username, workedTimeSpanId);
+
+    // we may delete task's any workedTimeSpan
+    // in this scenerio, we may try to save that endTime to db taking it from localStorage
+    // if the workedTimeSpan is not found it is null
+
+    // or matched workedTimeSpan's endTime property exists where we want to register endTime
+    // or the socket was disconnected and the socket room state has activeTaskId
+    // we don't allow registering endTime
+    if (!workedTimeSpan || workedTimeSpan.endTime || (wasDisconnected && activeTaskId)) {
+      return { isEnded: false, activeTaskId };
+    }
+
+    // the endTime sent by the client (ex: from an offline queue) must be after the startTime and not in the future
+    if (endTime) checkTimesOfWorkedTimeSpan({ startTime: workedTimeSpan.startTime, endTime: new Date(endTime) });
+
+    // do register the endTime of the task's workedTimeSpan
+    const isEnded = await changeTask(username, _id, "workedTimeSpan:end", origin, () =>
+      tasks.setWorkedTimeSpanEndTime(_id, username, workedTimeSpanId, endTime ? new Date(endTime) : new Date())
+    );
+
+    if (!isEnded) return { isEnded, activeTaskId };
+
+    // after registering the endTime there is no active task
+    await roomsStates.clearActiveTaskId(username, _id);
+    return { isEnded, activeTaskId: "" };
+  }
+
+  // check the startTime and endTime of a workedTimeSpan, endTime is undefined for a running workedTimeSpan
+  // throws if endTime is not after startTime or if the time span is in the future
+  function checkTimesOfWorkedTimeSpan({ startTime, endTime }) {
+    // allow a small difference between the clocks of the client and the server
+    const now = new Date(Date.now() + allowedClockSkewInMs);
+
+    if (endTime && endTime <= startTime) {
+      throw new AppError(errorCodes.INVALID_TIME_SPAN, "End time must be after start time!");
+    }
+
+    if ((endTime || startTime) > now) {
+      throw new AppError(errorCodes.INVALID_TIME_SPAN, "Worked time span can't be in the future!");
+    }
+  }
+
+  // check the startTime and endTime of a workedTimeSpan that is added or edited by the user
+  // endTime is undefined for a running workedTimeSpan
+  // workedTimeSpanId is the _id of the edited workedTimeSpan, it doesn't overlap itself
+  // the workedTimeSpans of ignoredTaskId are not checked (ex: they are replaced)
+  // throws if endTime is not after startTime, if the time span is in the future
+  // or if it overlaps another workedTimeSpan of the user
+  async function checkWorkedTimeSpan(username, { startTime, endTime }, workedTimeSpanId, ignoredTaskId) {
+    checkTimesOfWorkedTimeSpan({ startTime, endTime });
+
+    const overlappingWorkedTimeSpans = (
+      await tasks.findOverlappingWorkedTimeSpans(username, startTime, endTime || new Date())
+    ).filter(
+      ({ taskId, workedTimeSpan }) =>
+        workedTimeSpan._id.toString() !== workedTimeSpanId && taskId.toString() !== ignoredTaskId
+    );
+
+    if (overlappingWorkedTimeSpans.length) {
+      throw new AppError(errorCodes.TIME_SPAN_OVERLAP, "Worked time span overlaps another one!", {
+        httpStatus: 409,
+        data: { overlappingWorkedTimeSpans },
+      });
+    }
+  }
+
+  // add a past workedTimeSpan to a task with explicit startTime and endTime
+  // ex: to register the time of a forgotten timer
+  // returns the created workedTimeSpan object
+  async function addWorkedTimeSpan(username, _id, { startTime, endTime }, origin) {
+    return timerLock.runExclusive(username, async () => {
+      const workedTimeSpan = {
+        _id: new ObjectId(),
+        startTime: new Date(startTime),
+        endTime: new Date(endTime),
+        // added by hand, not by a live timer
+        isManual: true,
+      };
+
+      await checkWorkedTimeSpan(username, workedTimeSpan);
+
+      const isPushed = await changeTask(username, _id, "workedTimeSpan:add", origin, () =>
+        tasks.pushWorkedTimeSpan(_id, username, workedTimeSpan)
+      );
+
+      // if no task matched, the task doesn't exist or belongs to another user
+      if (!isPushed) throw new TaskNotFoundError();
+
+      return workedTimeSpan;
+    });
+  }
+
+  // edit the startTime and/or endTime of a workedTimeSpan
+  // setting endTime of a running workedTimeSpan stops the timer
+  // returns { workedTimeSpan, isTimerStopped } where workedTimeSpan is the edited workedTimeSpan object
+  async function editWorkedTimeSpan(username, _id, workedTimeSpanId, changes, origin) {
+    if (!changes.startTime && !changes.endTime) {
+      throw new AppError(errorCodes.INVALID_TIME_SPAN, "Start time or end time is required!");
+    }
+
+    return timerLock.runExclusive(username, async () => {
+      const task = await tasks.findOwn(_id, username);
+      if (!task) throw new TaskNotFoundError();
+
+      const workedTimeSpan = task.workedTimeSpans?.find((span) => span._id.toString() === workedTimeSpanId);
+      if (!workedTimeSpan) {
+        throw new AppError(errorCodes.NOT_FOUND, "Worked time span not found!", { httpStatus: 404 });
+      }
+
+      const editedWorkedTimeSpan = {
+        ...workedTimeSpan,
+        ...(changes.startTime && { startTime: new Date(changes.startTime) }),
+        ...(changes.endTime && { endTime: new Date(changes.endTime) }),
+      };
+
+      await checkWorkedTimeSpan(username, editedWorkedTimeSpan, workedTimeSpanId);
+
+      await changeTask(username, _id, "workedTimeSpan:update", origin, () =>
+        tasks.updateWorkedTimeSpan(_id, username, workedTimeSpanId, {
+          startTime: editedWorkedTimeSpan.startTime,
+          endTime: editedWorkedTimeSpan.endTime,
+        })
+      );
+
+      // the timer is stopped by setting the endTime
+      const isTimerStopped = !workedTimeSpan.endTime && Boolean(editedWorkedTimeSpan.endTime);
+      if (isTimerStopped) {
+        await roomsStates.clearActiveTaskId(username, _id);
+      }
+
+      return { workedTimeSpan: editedWorkedTimeSpan, isTimerStopped };
+    });
+  }
+
+  // check the workedTimeSpans of tasks that are imported (ex: exported from another account)
+  // running workedTimeSpans (without endTime) are not imported, so they are not checked
+  // throws if a workedTimeSpan is invalid, in the future
+  // or overlaps another imported workedTimeSpan or an existing workedTimeSpan of the user
+  async function checkImportedTasks(username, importedTasks) {
+    const importedWorkedTimeSpans = importedTasks
+      .flatMap((task) => task.workedTimeSpans || [])
+      .filter((workedTimeSpan) => workedTimeSpan.endTime)
+      .map(({ startTime, endTime }) => ({ startTime: new Date(startTime), endTime: new Date(endTime) }));
+
+    if (!importedWorkedTimeSpans.length) return;
+
+    // allow a small difference between the clocks of the client and the server
+    const now = new Date(Date.now() + allowedClockSkewInMs);
+    for (const { startTime, endTime } of importedWorkedTimeSpans) {
+      if (endTime <= startTime) {
+        throw new AppError(errorCodes.INVALID_TIME_SPAN, "End time must be after start time!", {
+          data: { workedTimeSpan: { startTime, endTime } },
+        });
+      }
+      if (endTime > now) {
+        throw new AppError(errorCodes.INVALID_TIME_SPAN, "Worked time span can't be in the future!", {
+          data: { workedTimeSpan: { startTime, endTime } },
+        });
+      }
+    }
+
+    // existing workedTimeSpans between the first and the last imported ones
+    // running workedTimeSpans are considered running until now
+    const firstStartTime = new Date(Math.min(...importedWorkedTimeSpans.map(({ startTime }) => startTime)));
+    const lastEndTime = new Date(Math.max(...importedWorkedTimeSpans.map(({ endTime }) => endTime)));
+    const overlappingWorkedTimeSpans = await tasks.findOverlappingWorkedTimeSpans(username, firstStartTime, lastEndTime);
+    const existingWorkedTimeSpans = overlappingWorkedTimeSpans.map(({ workedTimeSpan }) => ({
+      ...workedTimeSpan,
+      endTime: workedTimeSpan.endTime || new Date(),
+      isExisting: true,
+    }));
+
+    // sweep the workedTimeSpans sorted by startTime
+    // a workedTimeSpan overlaps a previous one if it starts before the previous one ends
+    // existing workedTimeSpans are only compared with the imported ones
+    let lastImportedEndTime = 0;
+    let lastExistingEndTime = 0;
+    const workedTimeSpans = [...importedWorkedTimeSpans, ...existingWorkedTimeSpans].sort(
+      (a, b) => a.startTime - b.startTime
+    );
+    for (const workedTimeSpan of workedTimeSpans) {
+      const overlaps = workedTimeSpan.isExisting
+        ? workedTimeSpan.startTime < lastImportedEndTime
+        : workedTimeSpan.startTime < Math.max(lastImportedEndTime, lastExistingEndTime);
+
+      if (overlaps) {
+        throw new AppError(errorCodes.TIME_SPAN_OVERLAP, "Imported worked time spans overlap other ones!", {
+          httpStatus: 409,
+          data: { workedTimeSpan: { startTime: workedTimeSpan.startTime, endTime: workedTimeSpan.endTime } },
+        });
+      }
+
+      if (workedTimeSpan.isExisting) lastExistingEndTime = Math.max(lastExistingEndTime, workedTimeSpan.endTime);
+      else lastImportedEndTime = Math.max(lastImportedEndTime, workedTimeSpan.endTime);
+    }
+  }
+
+  // create the imported tasks for the user with new _ids
+  // projectId of an imported task must be the _id of a project of the user (or null)
+  // running workedTimeSpans are not imported
+  // returns { importedTasks, importedWorkedTimeSpans } (the numbers of created tasks and workedTimeSpans)
+  async function importTasks(username, importedTasks, origin) {
+    return timerLock.runExclusive(username, async () => {
+      // checked again inside the lock, another device may have added workedTimeSpans in the meantime
+      await checkImportedTasks(username, importedTasks);
+
+      let importedWorkedTimeSpans = 0;
+      for (const importedTask of importedTasks) {
+        // checklist items get new ids too, the workedTimeSpans attributed to them follow the new ids
+        const checklistItemIds = new Map();
+        const checklistItems = (importedTask.checklistItems || []).map(({ _id, name, isDone }) => {
+          const checklistItem = { _id: new ObjectId(), name, isDone: Boolean(isDone) };
+          if (_id) checklistItemIds.set(_id, checklistItem._id);
+          return checklistItem;
+        });
+
+        const workedTimeSpans = (importedTask.workedTimeSpans || [])
+          .filter((workedTimeSpan) => workedTimeSpan.endTime)
+          .map(({ startTime, endTime, isManual, isAutoClosed, checklistItemId }) => ({
+            _id: new ObjectId(),
+            startTime: new Date(startTime),
+            endTime: new Date(endTime),
+            ...(isManual && { isManual }),
+            ...(isAutoClosed && { isAutoClosed }),
+            ...(checklistItemIds.has(checklistItemId) && { checklistItemId: checklistItemIds.get(checklistItemId) }),
+          }));
+
+        const task = {
+          name: importedTask.name,
+          projectId: importedTask.projectId ? new ObjectId(importedTask.projectId) : null,
+          tags: uniqueTags(importedTask.tags),
+          estimatedDuration: importedTask.estimatedDuration ?? null,
+          status: importedTask.status || "open",
+          // a completed task without completedAt (ex: edited by hand) is completed at the time of the import
+          completedAt:
+            importedTask.status === "completed" ? new Date(importedTask.completedAt || Date.now()) : null,
+          doer: username,
+          date: new Date(importedTask.date),
+          workedTimeSpans,
+          checklistItems,
+        };
+        task._id = await tasks.create(task);
+        await recordChange(username, "tasks:import", origin, null, task);
+
+        importedWorkedTimeSpans += workedTimeSpans.length;
+      }
+
+      return { importedTasks: importedTasks.length, importedWorkedTimeSpans };
+    });
+  }
+
+  // end the workedTimeSpan of a task that is in progress (has no endTime)
+  // used when the client doesn't know the _id of the running workedTimeSpan (ex: REST APIs)
+  async function stopTimer(username, _id, endTime, origin) {
+    const task = await tasks.findOwn(_id, username);
+    if (!task) throw new TaskNotFoundError();
+
+    const runningWorkedTimeSpan = task.workedTimeSpans?.find((workedTimeSpan) => !workedTimeSpan.endTime);
+    if (!runningWorkedTimeSpan) {
+      throw new AppError(errorCodes.CONFLICT, "The timer of the task is not running!", { httpStatus: 409 });
+    }
+
+    return endWorkedTimeSpan(username, _id, runningWorkedTimeSpan._id.toString(), { endTime }, origin);
+  }
+
+  // close the running workedTimeSpans of a user that are left open after the user's last socket disconnected
+  // they are closed at lastSeenAt (the time of the disconnection) and marked with isAutoClosed
+  // timers started after lastSeenAt (ex: from REST APIs) are not orphaned, they are kept running
+  // returns the closed workedTimeSpans as [{ taskId, workedTimeSpan }]
+  async function closeOrphanedWorkedTimeSpans(username, lastSeenAt) {
+    return timerLock.runExclusive(username, async () => {
+      const runningWorkedTimeSpans = await tasks.findRunningWorkedTimeSpans(username);
+
+      const closedWorkedTimeSpans = [];
+      for (const { taskId, workedTimeSpan } of runningWorkedTimeSpans) {
+        if (workedTimeSpan.startTime > lastSeenAt) continue;
+
+        const changes = { endTime: lastSeenAt, isAutoClosed: true };
+        await changeTask(username, taskId.toString(), "workedTimeSpan:autoClose", originOfServer("watchdog"), () =>
+          tasks.updateWorkedTimeSpan(taskId.toString(), username, workedTimeSpan._id.toString(), changes)
+        );
+        await roomsStates.clearActiveTaskId(username, taskId.toString());
+
+        closedWorkedTimeSpans.push({ taskId, workedTimeSpan: { ...workedTimeSpan, ...changes } });
+      }
+
+      return closedWorkedTimeSpans;
+    });
+  }
+
+  // remove specified task's specified workedTimeSpan objects from workedTimeSpans array
+  // deleting the running workedTimeSpan stops the timer
+  // returns { isModified, isTimerStopped } where isModified is false if no workedTimeSpan object is removed
+  async function deleteWorkedTimeSpans(username, _id, workedTimeSpansIds, origin) {
+    return timerLock.runExclusive(username, async () => {
+      const task = await tasks.findOwn(_id, username);
+      if (!task) throw new TaskNotFoundError();
+
+      const result = await changeTask(username, _id, "workedTimeSpan:delete", origin, () =>
+        tasks.pullWorkedTimeSpans(_id, username, workedTimeSpansIds)
+      );
+
+      // if no task matched, the task doesn't exist or belongs to another user
+      if (!result.matched) throw new TaskNotFoundError();
+
+      // the running workedTimeSpan is deleted, there is no active task
+      const isTimerStopped =
+        result.modified &&
+        (task.workedTimeSpans || []).some((span) => !span.endTime && workedTimeSpansIds.includes(span._id.toString()));
+      if (isTimerStopped) {
+        await roomsStates.clearActiveTaskId(username, _id);
+      }
+
+      return { isModified: result.modified, isTimerStopped };
+    });
+  }
+
+  // get the history of a task of the user, oldest change first
+  // the history of a deleted task can be read until the task is purged
+  // returns [{ _id, taskId, actor, source, socketId, device, action, before, after, createdAt }]
+  async function readTaskHistory(username, _id) {
+    if (!(await findTaskForHistory(username, _id))) throw new TaskNotFoundError();
+
+    return taskHistory.findByTask(_id, username);
+  }
+
+  // set the workedTimeSpans of a task back to how they were before a change in the history of the task
+  // ex: to get back the time of workedTimeSpans that are deleted or edited by mistake
+  // the timer of the task must not be running, the running workedTimeSpans of the old set are left out
+  // the restored workedTimeSpans must not overlap the workedTimeSpans of the other tasks of the user
+  // returns { workedTimeSpans, isModified } where workedTimeSpans are the restored workedTimeSpans
+  async function restoreWorkedTimeSpans(username, _id, historyEntryId, origin) {
+    return timerLock.runExclusive(username, async () => {
+      const task = await tasks.findOwn(_id, username);
+      if (!task) throw new TaskNotFoundError();
+
+      const entry = await taskHistory.findOwn(historyEntryId, _id, username);
+      if (!entry) throw new AppError(errorCodes.NOT_FOUND, "History entry not found!", { httpStatus: 404 });
+
+      if (!("workedTimeSpans" in entry.before)) {
+        throw new AppError(errorCodes.VALIDATION_FAILED, "The change didn't change the worked time spans!");
+      }
+
+      if (task.workedTimeSpans?.some((workedTimeSpan) => !workedTimeSpan.endTime)) {
+        throw new AppError(errorCodes.CONFLICT, "The timer of the task is running!", { httpStatus: 409 });
+      }
+
+      const workedTimeSpans = (entry.before.workedTimeSpans || []).filter((workedTimeSpan) => workedTimeSpan.endTime);
+      for (const workedTimeSpan of workedTimeSpans) {
+        await checkWorkedTimeSpan(username, workedTimeSpan, undefined, _id);
+      }
+
+      const result = await changeTask(username, _id, "workedTimeSpans:restore", origin, () =>
+        tasks.update(_id, username, { workedTimeSpans })
+      );
+
+      if (!result.matched) throw new TaskNotFoundError();
+
+      return { workedTimeSpans, isModified: result.modified };
+    });
+  }
+
+  // run fn inside the timer locks of two users
+  // the locks are always taken in the same order, so two users can't wait for each other
+  async function runWithTimersOf(username, otherUsername, fn) {
+    const [firstUsername, secondUsername] = [username, otherUsername].sort();
+    if (firstUsername === secondUsername) return timerLock.runExclusive(firstUsername, fn);
+
+    return timerLock.runExclusive(firstUsername, () => timerLock.runExclusive(secondUsername, fn));
+  }
+
+  // assign a task of the user to a member of a workspace (the user too), the caller checks the memberships
+  // the task is moved to the assignee with its workedTimeSpans, so its time counts for the assignee from now on
+  // a task assigned to another user leaves its project, projects belong to a user
+  // the running timer of the task is stopped now
+  // the workedTimeSpans of the task must not overlap the workedTimeSpans of the assignee's tasks
+  // returns { task, isModified } where task is the assigned task
+  async function assignTask(username, _id, { workspaceId, assignee }, origin) {
+    return runWithTimersOf(username, assignee, async () => {
+      const task = await tasks.findOwn(_id, username);
+      if (!task) throw new TaskNotFoundError();
+
+      const isToAnotherUser = assignee !== username;
+      if (!isToAnotherUser && task.workspaceId?.toString() === workspaceId) return { task, isModified: false };
+
+      if (isToAnotherUser) {
+        for (const workedTimeSpan of task.workedTimeSpans || []) await checkWorkedTimeSpan(assignee, workedTimeSpan);
+      }
+
+      const now = new Date();
+      const runningWorkedTimeSpan = task.workedTimeSpans?.find((workedTimeSpan) => !workedTimeSpan.endTime);
+      if (runningWorkedTimeSpan) {
+        await changeTask(username, _id, "workedTimeSpan:end", origin, () =>
+          tasks.setWorkedTimeSpanEndTime(_id, username, runningWorkedTimeSpan._id.toString(), now)
+        );
+        await roomsStates.clearActiveTaskId(username, _id);
+      }
+
+      const taskBefore = await tasks.findOwn(_id, username);
+      const result = await tasks.update(_id, username, {
+        doer: assignee,
+        workspaceId: new ObjectId(workspaceId),
+        assignedBy: username,
+        assignedAt: now,
+        ...(isToAnotherUser && { projectId: null }),
+      });
+
+      // the task may be deleted in the meantime
+      if (!result.matched) throw new TaskNotFoundError();
+
+      // the history goes with the task, the assignee can read it and restore from it
+      const assignedTask = await tasks.findOwn(_id, assignee);
+      if (isToAnotherUser) await taskHistory.setDoer(_id, assignee);
+      await recordChange(assignee, "tasks:assign", origin, taskBefore, assignedTask);
+
+      return { task: assignedTask, isModified: result.modified };
+    });
+  }
+
+  return {
+    events,
+    notifyTasksChange,
+    assignableProjectId,
+    actualDurationOfTask,
+    stampTasks,
+    createTask,
+    createOccurrence,
+    readTasks,
+    deleteTask,
+    restoreTask,
+    setTaskStatus,
+    renameTask,
+    setTaskProject,
+    setTaskTags,
+    setTaskEstimatedDuration,
+    addChecklistItem,
+    updateChecklistItem,
+    toggleChecklistItem,
+    reorderChecklistItems,
+    deleteChecklistItem,
+    readCompletedTimesByProjectAndTag,
+    readTotalCompletedTimes,
+    readExistingDates,
+    startWorkedTimeSpan,
+    endWorkedTimeSpan,
+    stopTimer,
+    addWorkedTimeSpan,
+    editWorkedTimeSpan,
+    closeOrphanedWorkedTimeSpans,
+    checkImportedTasks,
+    importTasks,
+    deleteWorkedTimeSpans,
+    readTaskHistory,
+    restoreWorkedTimeSpans,
+    assignTask,
+    pullChanges,
+  };
+}
+
+module.exports = { createTasksService };
@@ -0,0 +1,90 @@
+// export and import of a user's tasks and worked time spans
+// exports are streamed as CSV, JSON or iCalendar (see lib/formats.js)
+// the JSON export can be imported into another account (or the same one) to migrate data
+
+// export formats
+const { formats } = require("../lib/formats");
+// local dates for the file name of an export
+const { toLocalDateString } = require("../lib/time");
+
+function createTransferService({ storage, usersService, tasksService, projectsService }) {
+  const { tasks, projects } = storage;
+
+  // export the tasks of the user created between startDate and endDate
+  // format is "csv", "json" or "ics", times are written in timeZone (defaults to the profile's time zone)
+  // returns { contentType, fileName, chunks } where chunks is an async iterable of strings
+  // so that the tasks are written as they are read from the storage
+  async function exportTasks(username, { startDate, endDate, format, timeZone }) {
+    const exportFormat = formats[format];
+    const context = {
+      username,
+      startDate,
+      endDate,
+      timeZone: await usersService.readTimeZone(username, timeZone),
+      // archived projects still have tasks
+      projects: await projects.findByOwner(username, true),
+      exportedAt: new Date(),
+    };
+
+    async function* chunks() {
+      yield exportFormat.header(context);
+
+      let index = 0;
+      for await (const task of tasks.iterateByDateRange(username, startDate, endDate)) {
+        yield exportFormat.task(task, index++, context);
+      }
+
+      yield exportFormat.footer(context);
+    }
+
+    const localDates = [startDate, endDate].map((date) => toLocalDateString(date, context.timeZone));
+
+    return {
+      contentType: exportFormat.contentType,
+      fileName: `zitbo-${username}-${localDates.join("-")}.${exportFormat.extension}`,
+      chunks: chunks(),
+    };
+  }
+
+  // import tasks exported in the JSON format
+  // every imported task gets a new _id, projects are matched by name and created if the user doesn't have them
+  // origin (see lib/origins.js) is recorded in the history of the imported tasks
+  // returns { importedTasks, importedWorkedTimeSpans, createdProjects }
+  async function importTasks(username, { projects: importedProjects = [], tasks: importedTasks }, origin) {
+    // nothing is created if the worked time spans can't be imported
+    await tasksService.checkImportedTasks(username, importedTasks);
+
+    // exported project _id => project _id of the user
+    const projectIds = new Map();
+    const ownProjects = await projectsService.readProjects(username);
+    let createdProjects = 0;
+
+    // only the projects that have imported tasks are needed
+    const neededProjectIds = new Set(importedTasks.map((task) => task.projectId).filter(Boolean));
+    for (const importedProject of importedProjects) {
+      if (!neededProjectIds.has(importedProject._id)) continue;
+
+      let project = ownProjects.find((project) => project.name === importedProject.name);
+      if (!project) {
+        project = await projectsService.createProject(username, importedProject);
+        ownProjects.push(project);
+        createdProjects++;
+      }
+
+      projectIds.set(importedProject._id, project._id.toString());
+    }
+
+    // tasks of unknown projects are imported without a project
+    const result = await tasksService.importTasks(
+      username,
+      importedTasks.map((task) => ({ ...task, projectId: projectIds.get(task.projectId) || null })),
+      origin
+    );
+
+    return { ...result, createdProjects };
+  }
+
+  return { exportTasks, importTasks };
+}
+
+module.exports = { createTransferService };
@@ -0,0 +1,41 @@
+// profiles of users
+// the profile is the user document without the password hash
+
+// time zone of the users who haven't saved a time zone on their profile
+const defaultTimeZone = "UTC";
+
+function createUsersService({ storage }) {
+  const { users } = storage;
+
+  // get the profile of a user, null if the user doesn't exist
+  async function readProfile(username) {
+    const user = await users.findByUsername(username);
+
+    // never send the password hash to the client
+    if (user) delete user.password;
+
+    return user;
+  }
+
+  // update some profile properties (fullName, timeZone) of a user, returns the updated profile
+  async function updateProfile(username, changes) {
+    // nothing to update if no property is sent
+    if (Object.keys(changes).length) await users.updateProfile(username, changes);
+
+    return readProfile(username);
+  }
+
+  // get the time zone to use for a user's local dates
+  // the time zone sent by the client wins, then the time zone saved on the profile
+  async function readTimeZone(username, timeZone) {
+    if (timeZone) return timeZone;
+
+    const user = await users.findByUsername(username);
+
+    return user?.timeZone || defaultTimeZone;
+  }
+
+  return { readProfile, updateProfile, readTimeZone };
+}
+
+module.exports = { defaultTimeZone, createUsersService };
@@ -0,0 +1,75 @@
+// orphaned timer watchdog
+// when the last socket of a user disconnects, a running timer stays open until a client ends it
+// if the user never comes back, the task accrues phantom time
+// so, if the user doesn't connect again within the grace period
+// the watchdog closes the running timers at the time of the disconnection (last seen time)
+// the user's room is notified with "workedTimeSpan:autoClosed" event when the user connects again
+
+// lock to check a user, save the disconnection of the user or take it on a connection one after another
+const { createKeyedLock } = require("../lib/locks");
+
+function createWatchdog({ storage, io, tasksService, gracePeriodInMs, checkIntervalInMs = 60 * 1000 }) {
+  const { disconnectedUsers } = storage;
+
+  // a user who connects while the watchdog checks the user waits for the check
+  // so the timers of a connected user are not closed and the user is notified about the closed ones
+  const disconnectionLock = createKeyedLock();
+
+  let interval;
+
+  // close the orphaned timers of the users who are disconnected longer than the grace period
+  async function check() {
+    const disconnectedBefore = new Date(Date.now() - gracePeriodInMs);
+
+    for (const { username } of await disconnectedUsers.findUncheckedBefore(disconnectedBefore)) {
+      await disconnectionLock.runExclusive(username, async () => {
+        // the user may have connected (or disconnected again) after the users are read
+        const disconnectedUser = await disconnectedUsers.find(username);
+        if (!disconnectedUser || disconnectedUser.isChecked || disconnectedUser.lastSeenAt > disconnectedBefore) return;
+
+        const autoClosedWorkedTimeSpans = await tasksService.closeOrphanedWorkedTimeSpans(
+          username,
+          disconnectedUser.lastSeenAt
+        );
+
+        if (autoClosedWorkedTimeSpans.length) {
+          console.log(`closed ${autoClosedWorkedTimeSpans.length} orphaned timer(s) of ${username}...`);
+          // no device of the user is connected, but the other services and the webhooks follow the change
+          tasksService.notifyTasksChange(username, 0, "");
+        }
+
+        await disconnectedUsers.markChecked(username, autoClosedWorkedTimeSpans);
+      });
+    }
+  }
+
+  // start checking periodically
+  function start() {
+    interval = setInterval(() => check().catch(console.error), checkIntervalInMs);
+    // don't keep the process alive only for the watchdog
+    interval.unref();
+  }
+
+  function stop() {
+    clearInterval(interval);
+  }
+
+  // the last socket of the user is disconnected
+  async function userDisconnected(username, lastSeenAt = new Date()) {
+    await disconnectionLock.runExclusive(username, () => disconnectedUsers.save(username, lastSeenAt));
+  }
+
+  // a socket of the user is connected
+  // notify the user's room about the timers that are closed while the user was away
+  async function userConnected(username) {
+    const disconnectedUser = await disconnectionLock.runExclusive(username, () => disconnectedUsers.take(username));
+
+    if (disconnectedUser?.autoClosedWorkedTimeSpans?.length) {
+      io.to(username).emit("workedTimeSpan:autoClosed", disconnectedUser.autoClosedWorkedTimeSpans);
+    }
+  }
+
+  return { start, stop, check, userConnected, userDisconnected };
+}
+
+module.exports = { createWatchdog };
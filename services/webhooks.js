@@ -0,0 +1,305 @@
+// outgoing webhooks of users
+// a webhook is a url that gets the events of the user's tasks: "task.created", "task.renamed", "task.deleted",
+// "workedTimeSpan.started" and "workedTimeSpan.ended" (see taskEventsOfChange in services/tasks.js)
+// the events are sent when "tasks:change" is emitted to the user's room, so they fire from the same places
+//
+// every event is saved as a delivery for every subscribed webhook and sent right away
+// a failed attempt (network error, timeout or a status other than 2xx) is retried with backoff
+// every attempt is logged on the delivery, the deliveries of a webhook can be read to debug a receiver
+// the retries are taken from the storage by a periodic job, so they survive a restart of the server
+// see lib/webhooks.js for the headers and the signature of the deliveries
+
+// ObjectId to create the _ids of deliveries before they are sent
+const { ObjectId } = require("mongodb");
+// expected errors with stable error codes
+const { AppError, errorCodes, WebhookNotFoundError } = require("../lib/errors");
+// secrets and signatures of the deliveries
+const { generateWebhookSecret, webhookHeaders, checkPublicUrl, postDelivery } = require("../lib/webhooks");
+
+// a user can have at most this many webhooks
+const maxNumberOfWebhooks = 20;
+
+// an attempt is given up after this long
+const attemptTimeoutInMs = 10 * 1000;
+
+// number of deliveries of a webhook that are read
+const numberOfReadDeliveries = 50;
+
+function createWebhooksService({
+  storage,
+  io,
+  tasksService,
+  // delays before the retries of a failed delivery, a delivery is attempted at most retryDelaysInMs.length + 1 times
+  retryDelaysInMs = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000],
+  // finished deliveries are kept this long
+  deliveryRetentionInMs = 30 * 24 * 60 * 60 * 1000,
+  checkIntervalInMs = 15 * 1000,
+}) {
+  const { webhooks, webhookDeliveries } = storage;
+
+  let interval;
+
+  // webhooks of a user changed after a webhook is created, modified or deleted
+  // every device of the user gets "webhooks:change" event to read the webhooks again
+  function notifyWebhooksChange(username) {
+    io.to(username).emit("webhooks:change");
+  }
+
+  // the webhook as it is sent to the clients, the secret is only sent when the webhook is created
+  function publicWebhook({ owner, secret, ...webhook }) {
+    return webhook;
+  }
+
+  // the delivery as it is sent to the clients
+  function publicDelivery({ owner, body, ...delivery }) {
+    return { ...delivery, payload: JSON.parse(body) };
+  }
+
+  // check that a url can be called by the server
+  // the server doesn't call itself or its private networks, the host is checked again for every attempt
+  async function checkUrl(url) {
+    let protocol;
+    try {
+      ({ protocol } = new URL(url));
+    } catch (error) {
+      throw new AppError(errorCodes.VALIDATION_FAILED, "Url is not valid!");
+    }
+
+    if (protocol !== "https:" && protocol !== "http:") {
+      throw new AppError(errorCodes.VALIDATION_FAILED, "Url must be an http or https url!");
+    }
+
+    const error = await checkPublicUrl(url);
+    if (error) throw new AppError(errorCodes.VALIDATION_FAILED, error);
+  }
+
+  // register a webhook for the user, returns the created webhook with its secret
+  // the secret is used to verify the signatures of the deliveries, it's not sent again
+  async function createWebhook(username, { url, events }) {
+    await checkUrl(url);
+
+    if ((await webhooks.findByOwner(username)).length >= maxNumberOfWebhooks) {
+      throw new AppError(errorCodes.CONFLICT, `A user can have at most ${maxNumberOfWebhooks} webhooks!`, {
+        httpStatus: 409,
+      });
+    }
+
+    const webhook = {
+      owner: username,
+      url,
+      events: [...new Set(events)],
+      secret: generateWebhookSecret(),
+      isEnabled: true,
+      createdAt: new Date(),
+    };
+
+    webhook._id = await webhooks.create(webhook);
+
+    return { ...publicWebhook(webhook), secret: webhook.secret };
+  }
+
+  // get the webhooks of the user without their secrets
+  async function readWebhooks(username) {
+    return (await webhooks.findByOwner(username)).map(publicWebhook);
+  }
+
+  // get a webhook of the user, throws if it doesn't exist or belongs to another user
+  async function readWebhook(username, _id) {
+    const webhook = await webhooks.findOwn(_id, username);
+    if (!webhook) throw new WebhookNotFoundError();
+
+    return webhook;
+  }
+
+  // update the url, events and/or isEnabled of a webhook
+  // returns { webhook, isModified } where webhook is the updated webhook
+  async function updateWebhook(username, _id, { url, events, isEnabled }) {
+    const changes = {};
+    if (url !== undefined) {
+      await checkUrl(url);
+      changes.url = url;
+    }
+    if (events !== undefined) changes.events = [...new Set(events)];
+    if (isEnabled !== undefined) changes.isEnabled = isEnabled;
+
+    // nothing to update if no property is sent
+    if (!Object.keys(changes).length) {
+      return { webhook: publicWebhook(await readWebhook(username, _id)), isModified: false };
+    }
+
+    const result = await webhooks.update(_id, username, changes);
+    if (!result.matched) throw new WebhookNotFoundError();
+
+    return { webhook: publicWebhook(await readWebhook(username, _id)), isModified: result.modified };
+  }
+
+  // delete a webhook of the user with its deliveries
+  async function deleteWebhook(username, _id) {
+    const isDeleted = await webhooks.deleteOwn(_id, username);
+    if (!isDeleted) throw new WebhookNotFoundError();
+
+    await webhookDeliveries.deleteByWebhook(_id, username);
+  }
+
+  // get the latest deliveries of a webhook of the user with their attempts, newest first
+  async function readDeliveries(username, _id) {
+    await readWebhook(username, _id);
+
+    return (await webhookDeliveries.findByWebhook(_id, username, numberOfReadDeliveries)).map(publicDelivery);
+  }
+
+  // save a delivery of an event for a webhook
+  // maxAttempts is 1 for the deliveries that are not retried (ex: test deliveries)
+  // the first attempt is made by the caller, the delivery is leased until the attempt is over
+  async function createDelivery(webhook, { type, createdAt, data }, maxAttempts) {
+    const _id = new ObjectId();
+    const now = new Date();
+
+    const delivery = {
+      _id,
+      webhookId: webhook._id,
+      owner: webhook.owner,
+      type,
+      // the body is saved as it's sent, so the signature of every attempt is computed over the same bytes
+      body: JSON.stringify({ id: _id, type, createdAt, data }),
+      status: "pending",
+      attempts: [],
+      maxAttempts,
+      nextAttemptAt: new Date(now.getTime() + attemptTimeoutInMs * 2),
+      createdAt: now,
+      finishedAt: null,
+    };
+
+    await webhookDeliveries.create(delivery);
+
+    return delivery;
+  }
+
+  // attempt to send a delivery, the attempt is logged on the delivery
+  // the delivery succeeds with a 2xx response, otherwise it's retried later or fails after its last attempt
+  // the webhook is read again unless it's given, it may be modified or deleted since the delivery was created
+  // returns the delivery after the attempt
+  async function attemptDelivery(delivery, webhook) {
+    webhook = webhook || (await webhooks.findOwn(delivery.webhookId, delivery.owner));
+
+    const attemptedAt = new Date();
+    const attempt = { attemptedAt, durationInMs: 0, statusCode: null, error: null };
+
+    if (!webhook?.isEnabled) {
+      attempt.error = webhook ? "Webhook is disabled!" : "Webhook is deleted!";
+    } else {
+      try {
+        attempt.statusCode = await postDelivery(webhook.url, {
+          headers: webhookHeaders({
+            secret: webhook.secret,
+            type: delivery.type,
+            deliveryId: delivery._id,
+            body: delivery.body,
+            attemptedAt,
+          }),
+          body: delivery.body,
+          // a redirect is a failed attempt (it's not followed), the receiver should register the final url
+          timeoutInMs: attemptTimeoutInMs,
+        });
+      } catch (error) {
+        attempt.error = error.message;
+      }
+    }
+
+    const now = new Date();
+    attempt.durationInMs = now - attemptedAt;
+
+    const numberOfAttempts = delivery.attempts.length + 1;
+    const isSucceeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+
+    let changes;
+    if (isSucceeded) {
+      changes = { status: "succeeded", nextAttemptAt: null, finishedAt: now };
+    } else if (!webhook?.isEnabled || numberOfAttempts >= delivery.maxAttempts) {
+      changes = { status: "failed", nextAttemptAt: null, finishedAt: now };
+    } else {
+      const retryDelay = retryDelaysInMs[Math.min(numberOfAttempts, retryDelaysInMs.length) - 1];
+      changes = { nextAttemptAt: new Date(now.getTime() + retryDelay) };
+    }
+
+    await webhookDeliveries.pushAttempt(delivery._id, attempt, changes);
+
+    return { ...delivery, ...changes, attempts: [...delivery.attempts, attempt] };
+  }
+
+  // send a "webhook.test" delivery to a webhook of the user, even if the webhook is disabled
+  // the test delivery is attempted once, returns the delivery with the attempt
+  async function sendTestDelivery(username, _id) {
+    const webhook = await readWebhook(username, _id);
+
+    const delivery = await createDelivery(
+      webhook,
+      { type: "webhook.test", createdAt: new Date(), data: { webhookId: webhook._id } },
+      1
+    );
+
+    // a disabled webhook is tested as if it was enabled
+    const testedDelivery = await attemptDelivery(delivery, { ...webhook, isEnabled: true }).catch((error) => {
+      console.error(error);
+      throw new AppError(errorCodes.INTERNAL_ERROR, "Test delivery can't be sent!", { httpStatus: 500 });
+    });
+
+    return publicDelivery(testedDelivery);
+  }
+
+  // save and send the task events of a user to the subscribed webhooks
+  async function deliverTaskEvents(username, taskEvents) {
+    for (const taskEvent of taskEvents) {
+      for (const webhook of await webhooks.findSubscribed(username, taskEvent.type)) {
+        const delivery = await createDelivery(webhook, taskEvent, retryDelaysInMs.length + 1);
+
+        // the first attempt is not awaited, a slow receiver doesn't delay the other deliveries
+        attemptDelivery(delivery).catch(console.error);
+      }
+    }
+  }
+
+  // attempt the deliveries whose retries are due and remove the old finished deliveries
+  async function deliverDue() {
+    const now = new Date();
+    const leaseUntil = new Date(now.getTime() + attemptTimeoutInMs * 2);
+
+    let delivery;
+    while ((delivery = await webhookDeliveries.claimDue(now, leaseUntil))) {
+      await attemptDelivery(delivery);
+    }
+
+    await webhookDeliveries.purgeFinishedBefore(new Date(now.getTime() - deliveryRetentionInMs));
+  }
+
+  // start attempting the due deliveries periodically
+  function start() {
+    interval = setInterval(() => deliverDue().catch(console.error), checkIntervalInMs);
+    // don't keep the process alive only for the webhooks
+    interval.unref();
+  }
+
+  function stop() {
+    clearInterval(interval);
+  }
+
+  // the task events are sent when "tasks:change" is emitted to the user's room
+  tasksService.events.on("taskEvents", (username, taskEvents) =>
+    deliverTaskEvents(username, taskEvents).catch(console.error)
+  );
+
+  return {
+    notifyWebhooksChange,
+    createWebhook,
+    readWebhooks,
+    updateWebhook,
+    deleteWebhook,
+    readDeliveries,
+    sendTestDelivery,
+    deliverDue,
+    start,
+    stop,
+  };
+}
+
+module.exports = { createWebhooksService };
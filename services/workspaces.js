@@ -0,0 +1,387 @@
+// shared team workspaces
+// a workspace has members with a role ("admin" or "member") and pending invitations
+// admins rename and delete the workspace, invite users and change or remove members
+// an invited user becomes a member after accepting the invitation
+//
+// members can assign their tasks to each other (see assignTask in services/tasks.js),
+// an assigned task belongs to the workspace and shows up in the workspace report of tracked time
+//
+// the sockets of the members join the room of the workspace ("workspace:<_id>")
+// the room gets "workspace:presence" with the presence of a member when it changes:
+// who is online and which task they are timing, built from the active task of the member's room state
+
+// expected errors with stable error codes
+const { AppError, errorCodes, WorkspaceNotFoundError } = require("../lib/errors");
+// lock to change the members of a workspace one after another
+const { createKeyedLock } = require("../lib/locks");
+
+// a workspace can have at most this many members and invitations
+const maxNumberOfMembers = 100;
+
+function createWorkspacesService({ storage, io, tasksService }) {
+  const { workspaces, users, tasks, roomsStates } = storage;
+
+  // membership changes coming from the admins and the invited users at the same time are run one after another
+  const membershipLock = createKeyedLock();
+
+  // room of the sockets of a workspace's members
+  function workspaceRoom(_id) {
+    return `workspace:${_id}`;
+  }
+
+  // workspaces of a user changed after a workspace is created, renamed or deleted,
+  // or after the user is invited, joins, leaves or gets another role
+  // every device of the user gets "workspaces:change" event to read the workspaces and the invitations again
+  function notifyWorkspacesChange(...usernames) {
+    for (const username of usernames) io.to(username).emit("workspaces:change");
+  }
+
+  // get the member of a workspace, undefined if the user is not a member
+  function memberOf(workspace, username) {
+    return workspace.members.find((member) => member.username === username);
+  }
+
+  // get a workspace that the user is a member of
+  // throws if the workspace doesn't exist or the user is not a member, or is not an admin when isAdminNeeded
+  async function readWorkspaceOfMember(username, _id, { isAdminNeeded = false } = {}) {
+    const workspace = await workspaces.find(_id);
+    const member = workspace && memberOf(workspace, username);
+    if (!member) throw new WorkspaceNotFoundError();
+
+    if (isAdminNeeded && member.role !== "admin") {
+      throw new AppError(errorCodes.FORBIDDEN, "Only the admins of the workspace can do this!", { httpStatus: 403 });
+    }
+
+    return workspace;
+  }
+
+  // create a workspace, the user is its first admin
+  async function createWorkspace(username, { name }) {
+    const now = new Date();
+    const workspace = {
+      name,
+      members: [{ username, role: "admin", joinedAt: now }],
+      // [{ username, role, invitedBy, invitedAt }]
+      invitations: [],
+      createdBy: username,
+      createdAt: now,
+    };
+
+    workspace._id = await workspaces.create(workspace);
+    io.in(username).socketsJoin(workspaceRoom(workspace._id));
+
+    return workspace;
+  }
+
+  // get the workspaces that the user is a member of
+  async function readWorkspaces(username) {
+    return workspaces.findByMember(username);
+  }
+
+  // get the pending invitations of the user
+  // returns [{ workspaceId, workspaceName, role, invitedBy, invitedAt }]
+  async function readInvitations(username) {
+    return (await workspaces.findByInvitee(username)).map((workspace) => {
+      const { role, invitedBy, invitedAt } = workspace.invitations.find(
+        (invitation) => invitation.username === username
+      );
+
+      return { workspaceId: workspace._id, workspaceName: workspace.name, role, invitedBy, invitedAt };
+    });
+  }
+
+  // rename a workspace, only admins can rename it
+  // returns { workspace, isModified } where workspace is the updated workspace
+  async function updateWorkspace(username, _id, { name }) {
+    const workspace = await readWorkspaceOfMember(username, _id, { isAdminNeeded: true });
+
+    // nothing to update if no property is sent
+    if (name === undefined) return { workspace, isModified: false };
+
+    const result = await workspaces.update(_id, { name });
+    if (!result.matched) throw new WorkspaceNotFoundError();
+
+    return { workspace: { ...workspace, name }, isModified: result.modified };
+  }
+
+  // delete a workspace, only admins can delete it
+  // the tasks of the workspace are kept by their doers without the workspace
+  // returns the usernames of the members and the invited users to notify
+  async function deleteWorkspace(username, _id) {
+    return membershipLock.runExclusive(_id, async () => {
+      const workspace = await readWorkspaceOfMember(username, _id, { isAdminNeeded: true });
+
+      if (!(await workspaces.delete(_id))) throw new WorkspaceNotFoundError();
+      // the tasks without the workspace are sent to the devices of their doers (see stampTasks)
+      await tasksService.stampTasks(await tasks.unsetWorkspace(_id));
+      io.in(workspaceRoom(_id)).socketsLeave(workspaceRoom(_id));
+
+      return [...workspace.members, ...workspace.invitations].map((member) => member.username);
+    });
+  }
+
+  // invite a user to a workspace with a role ("member" by default), only admins can invite
+  // returns the invitation
+  async function inviteMember(username, _id, { username: invitee, role = "member" }) {
+    return membershipLock.runExclusive(_id, async () => {
+      const workspace = await readWorkspaceOfMember(username, _id, { isAdminNeeded: true });
+
+      if (!(await users.findByUsername(invitee))) {
+        throw new AppError(errorCodes.NOT_FOUND, "User not found!", { httpStatus: 404 });
+      }
+
+      if (memberOf(workspace, invitee) || workspace.invitations.some((invitation) => invitation.username === invitee)) {
+        throw new AppError(errorCodes.CONFLICT, "The user is already a member or invited!", { httpStatus: 409 });
+      }
+
+      if (workspace.members.length + workspace.invitations.length >= maxNumberOfMembers) {
+        throw new AppError(errorCodes.CONFLICT, `A workspace can have at most ${maxNumberOfMembers} members!`, {
+          httpStatus: 409,
+        });
+      }
+
+      const invitation = { username: invitee, role, invitedBy: username, invitedAt: new Date() };
+      const result = await workspaces.update(_id, { invitations: [...workspace.invitations, invitation] });
+      if (!result.matched) throw new WorkspaceNotFoundError();
+
+      return invitation;
+    });
+  }
+
+  // remove the invitation of the user from a workspace
+  // the user joins the workspace with the role of the invitation if isAccepted is true
+  // returns the workspace after the answer
+  async function answerInvitation(username, _id, isAccepted) {
+    return membershipLock.runExclusive(_id, async () => {
+      const workspace = await workspaces.find(_id);
+      const invitation = workspace?.invitations.find((invitation) => invitation.username === username);
+      if (!invitation) throw new AppError(errorCodes.NOT_FOUND, "Invitation not found!", { httpStatus: 404 });
+
+      const changes = {
+        invitations: workspace.invitations.filter((invitation) => invitation.username !== username),
+        members: isAccepted
+          ? [...workspace.members, { username, role: invitation.role, joinedAt: new Date() }]
+          : workspace.members,
+      };
+
+      const result = await workspaces.update(_id, changes);
+      if (!result.matched) throw new WorkspaceNotFoundError();
+
+      if (isAccepted) io.in(username).socketsJoin(workspaceRoom(_id));
+
+      return { ...workspace, ...changes };
+    });
+  }
+
+  // join a workspace that the user is invited to, returns the workspace
+  async function acceptInvitation(username, _id) {
+    const workspace = await answerInvitation(username, _id, true);
+
+    // the other members see the new member
+    notifyPresenceChange(username).catch(console.error);
+
+    return workspace;
+  }
+
+  // decline an invitation to a workspace
+  async function declineInvitation(username, _id) {
+    await answerInvitation(username, _id, false);
+  }
+
+  // throw if a workspace would be left without an admin
+  function checkAdmins(members) {
+    if (!members.some((member) => member.role === "admin")) {
+      throw new AppError(errorCodes.CONFLICT, "A workspace must have an admin, make another member an admin first!", {
+        httpStatus: 409,
+      });
+    }
+  }
+
+  // change the role of a member, only admins can change the roles
+  // returns { member, isModified } where member is the updated member
+  async function updateMember(username, _id, memberUsername, { role }) {
+    return membershipLock.runExclusive(_id, async () => {
+      const workspace = await readWorkspaceOfMember(username, _id, { isAdminNeeded: true });
+
+      const member = memberOf(workspace, memberUsername);
+      if (!member) throw new AppError(errorCodes.NOT_FOUND, "Member not found!", { httpStatus: 404 });
+
+      if (member.role === role) return { member, isModified: false };
+
+      const members = workspace.members.map((member) =>
+        member.username === memberUsername ? { ...member, role } : member
+      );
+      checkAdmins(members);
+
+      const result = await workspaces.update(_id, { members });
+      if (!result.matched) throw new WorkspaceNotFoundError();
+
+      return { member: { ...member, role }, isModified: result.modified };
+    });
+  }
+
+  // remove a member or cancel an invitation, admins can remove anyone, members can only leave
+  // the tasks of the removed member stay in the workspace
+  async function removeMember(username, _id, memberUsername) {
+    await membershipLock.runExclusive(_id, async () => {
+      const workspace = await readWorkspaceOfMember(username, _id, { isAdminNeeded: username !== memberUsername });
+
+      const members = workspace.members.filter((member) => member.username !== memberUsername);
+      const invitations = workspace.invitations.filter((invitation) => invitation.username !== memberUsername);
+
+      if (members.length === workspace.members.length && invitations.length === workspace.invitations.length) {
+        throw new AppError(errorCodes.NOT_FOUND, "Member not found!", { httpStatus: 404 });
+      }
+      checkAdmins(members);
+
+      const result = await workspaces.update(_id, { members, invitations });
+      if (!result.matched) throw new WorkspaceNotFoundError();
+
+      io.in(memberUsername).socketsLeave(workspaceRoom(_id));
+    });
+  }
+
+  // assign a task of the user to a member of a workspace that the user is a member of
+  // the assignee gets "task:assigned" event
+  // returns { task, isModified } where task is the assigned task
+  async function assignTask(username, _id, taskId, assignee, origin) {
+    const workspace = await readWorkspaceOfMember(username, _id);
+    if (!memberOf(workspace, assignee)) {
+      throw new AppError(errorCodes.VALIDATION_FAILED, "Tasks can only be assigned to the members of the workspace!");
+    }
+
+    const { task, isModified } = await tasksService.assignTask(
+      username,
+      taskId,
+      { workspaceId: _id, assignee },
+      origin
+    );
+
+    if (isModified && assignee !== username) {
+      io.to(assignee).emit("task:assigned", {
+        taskId: task._id,
+        name: task.name,
+        workspaceId: workspace._id,
+        workspaceName: workspace.name,
+        assignedBy: username,
+      });
+    }
+
+    return { task, isModified };
+  }
+
+  // get the time tracked on the tasks of a workspace between startDate and endDate per member and per task
+  // the time of a task counts for its doer (the member it's assigned to), running timers count until now
+  // returns { startDate, endDate, totalDuration, members }
+  // where members is [{ username, totalDuration, tasks: [{ _id, name, duration }] }]
+  // members are sorted by totalDuration (longest first), members without tracked time are included
+  async function readReport(username, _id, startDate, endDate) {
+    const workspace = await readWorkspaceOfMember(username, _id);
+    const now = new Date();
+
+    // username => { username, totalDuration, tasks }
+    const reportOfMembers = new Map(
+      workspace.members.map((member) => [member.username, { username: member.username, totalDuration: 0, tasks: [] }])
+    );
+
+    for (const task of await tasks.findInWorkspaceWithWorkedTimeSpansBetween(_id, startDate, endDate)) {
+      // only the part of a workedTimeSpan between startDate and endDate counts
+      const duration = task.workedTimeSpans.reduce((sum, { startTime, endTime }) => {
+        const start = Math.max(startTime, startDate);
+        const end = Math.min(endTime || now, endDate);
+        return end > start ? sum + (end - start) : sum;
+      }, 0);
+      if (!duration) continue;
+
+      // a task of a user who left the workspace is still in the report
+      if (!reportOfMembers.has(task.doer)) {
+        reportOfMembers.set(task.doer, { username: task.doer, totalDuration: 0, tasks: [] });
+      }
+      const reportOfMember = reportOfMembers.get(task.doer);
+      reportOfMember.totalDuration += duration;
+      reportOfMember.tasks.push({ _id: task._id, name: task.name, duration });
+    }
+
+    const members = [...reportOfMembers.values()].sort((a, b) => b.totalDuration - a.totalDuration);
+    for (const member of members) member.tasks.sort((a, b) => b.duration - a.duration);
+
+    return {
+      startDate,
+      endDate,
+      totalDuration: members.reduce((sum, member) => sum + member.totalDuration, 0),
+      members,
+    };
+  }
+
+  // get the presence of a member in a workspace
+  // returns { username, isOnline, activeTask } where activeTask is null or { _id, name, isTiming, startTime }
+  // the _id and the name of an active task outside the workspace are not shared (null)
+  // startTime is the start of the running timer, null if the task is active but its timer is not running
+  async function presenceOfMember(workspace, username) {
+    const isOnline = Boolean(io.of("/").adapter.rooms.get(username)?.size);
+    const activeTaskId = (await roomsStates.find(username))?.activeTaskId;
+    const task = activeTaskId && (await tasks.findOwn(activeTaskId, username));
+
+    if (!task) return { username, isOnline, activeTask: null };
+
+    const runningWorkedTimeSpan = task.workedTimeSpans?.find((workedTimeSpan) => !workedTimeSpan.endTime);
+    const isInWorkspace = task.workspaceId?.toString() === workspace._id.toString();
+
+    return {
+      username,
+      isOnline,
+      activeTask: {
+        _id: isInWorkspace ? task._id : null,
+        name: isInWorkspace ? task.name : null,
+        isTiming: Boolean(runningWorkedTimeSpan),
+        startTime: runningWorkedTimeSpan?.startTime || null,
+      },
+    };
+  }
+
+  // get the presence of every member of a workspace that the user is a member of
+  async function readPresence(username, _id) {
+    const workspace = await readWorkspaceOfMember(username, _id);
+
+    return Promise.all(workspace.members.map((member) => presenceOfMember(workspace, member.username)));
+  }
+
+  // send the presence of a user to the rooms of the user's workspaces with "workspace:presence" event
+  async function notifyPresenceChange(username) {
+    for (const workspace of await workspaces.findByMember(username)) {
+      io.to(workspaceRoom(workspace._id)).emit("workspace:presence", {
+        workspaceId: workspace._id,
+        presence: await presenceOfMember(workspace, username),
+      });
+    }
+  }
+
+  // join a newly connected socket to the rooms of the user's workspaces
+  async function joinWorkspaceRooms(socket, username) {
+    for (const workspace of await workspaces.findByMember(username)) socket.join(workspaceRoom(workspace._id));
+  }
+
+  // a change of the user's tasks may start or stop a timer
+  tasksService.events.on("change", (username) => notifyPresenceChange(username).catch(console.error));
+
+  return {
+    notifyWorkspacesChange,
+    createWorkspace,
+    readWorkspaces,
+    readInvitations,
+    updateWorkspace,
+    deleteWorkspace,
+    inviteMember,
+    acceptInvitation,
+    declineInvitation,
+    updateMember,
+    removeMember,
+    assignTask,
+    readReport,
+    readPresence,
+    notifyPresenceChange,
+    joinWorkspaceRooms,
+  };
+}
+
+module.exports = { createWorkspacesService };
@@ -0,0 +1,985 @@
+// in-memory implementation of the storage layer
+// data lives only as long as the process, useful for local development and tests
+// see storage/index.js for the repositories every storage implements
+
+// ObjectId is used for _ids so that documents look the same as in MongoDB
+const { ObjectId } = require("mongodb");
+// local date strings like "2023-07-11", same as $dateToString with "%Y-%m-%d" format
+const { toLocalDateString } = require("../lib/time");
+
+// deep copy a document so that callers can't mutate the stored data
+// (and the stored data doesn't change when callers mutate the inserted object)
+function clone(value) {
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+// compare an ObjectId with an id string or ObjectId
+function isSameId(objectId, id) {
+  return objectId?.toString() === id?.toString();
+}
+
+// create a storage that keeps data in memory
+function createMemoryStorage() {
+  // "collections"
+  const usersCollection = [];
+  const tasksCollection = [];
+  const roomsStatesCollection = [];
+  const sessionsCollection = [];
+  const accessTokensCollection = [];
+  const disconnectedUsersCollection = [];
+  const pomodorosCollection = [];
+  const projectsCollection = [];
+  const recurringTasksCollection = [];
+  const taskHistoryCollection = [];
+  const webhooksCollection = [];
+  const webhookDeliveriesCollection = [];
+  const workspacesCollection = [];
+  const taskTombstonesCollection = [];
+  const idempotencyKeysCollection = [];
+  // name => value
+  const countersCollection = new Map();
+
+  // check if a task belongs to the doer and is not deleted (deleted tasks wait for the purge)
+  // every task operation except restoring and purging only sees these tasks
+  function isTaskOfDoer(task, doer) {
+    return task.doer === doer && !task.deletedAt;
+  }
+
+  // find a task that belongs to the doer, returns the stored document (not a copy)
+  function findOwnTask(_id, doer) {
+    return tasksCollection.find((task) => isSameId(task._id, _id) && isTaskOfDoer(task, doer));
+  }
+
+  // same as findOwnTask for projects
+  function findOwnProject(_id, owner) {
+    return projectsCollection.find((project) => isSameId(project._id, _id) && project.owner === owner);
+  }
+
+  // same as findOwnTask for recurring tasks
+  function findOwnRecurringTask(_id, owner) {
+    return recurringTasksCollection.find(
+      (recurringTask) => isSameId(recurringTask._id, _id) && recurringTask.owner === owner
+    );
+  }
+
+  // same as findOwnTask for webhooks
+  function findOwnWebhook(_id, owner) {
+    return webhooksCollection.find((webhook) => isSameId(webhook._id, _id) && webhook.owner === owner);
+  }
+
+  // find the record of an idempotency key of a user, returns the stored document (not a copy)
+  function findIdempotencyKey(username, key) {
+    return idempotencyKeysCollection.find((record) => record.username === username && record.key === key);
+  }
+
+  // set the defined properties of changes to a document
+  // returns true if any property got a different value
+  function assignChanges(document, changes) {
+    let modified = false;
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) continue;
+      if (JSON.stringify(document[key]) !== JSON.stringify(value)) modified = true;
+      document[key] = clone(value);
+    }
+    return modified;
+  }
+
+  // completed time of a task in milliseconds
+  // spans without endTime are in progress, they are not completed yet
+  function completedTimeOfTask(task) {
+    return (task.workedTimeSpans || [])
+      .filter((span) => span.endTime)
+      .reduce((sum, span) => sum + (span.endTime - span.startTime), 0);
+  }
+
+  // convert a Map of key => completedTime to an array sorted like the MongoDB aggregation
+  // (by completedTime in descending order, then by key)
+  function sortedCompletedTimes(completedTimes, keyName) {
+    return [...completedTimes.values()]
+      .sort((a, b) => b.completedTime - a.completedTime || String(a.key ?? "").localeCompare(String(b.key ?? "")))
+      .map(({ key, completedTime }) => ({ [keyName]: clone(key), completedTime }));
+  }
+
+  const users = {
+    async findByUsername(username) {
+      return clone(usersCollection.find((user) => user.username === username) || null);
+    },
+
+    // returns null if the username is already taken
+    async create(user) {
+      if (usersCollection.some(({ username }) => username === user.username)) return null;
+
+      const newUser = { _id: new ObjectId(), ...clone(user) };
+      usersCollection.push(newUser);
+      return newUser._id;
+    },
+
+    // set some settings of a user, other settings are kept
+    async updateSettings(username, settings) {
+      const user = usersCollection.find((user) => user.username === username);
+      if (user) user.settings = { ...user.settings, ...clone(settings) };
+    },
+
+    // set some profile properties (ex: fullName, timeZone) of a user
+    async updateProfile(username, changes) {
+      const user = usersCollection.find((user) => user.username === username);
+      if (user) assignChanges(user, changes);
+    },
+  };
+
+  const sessions = {
+    async create(session) {
+      sessionsCollection.push(clone(session));
+    },
+
+    // find a session that is not revoked and not expired
+    async findActive(sessionId) {
+      const session = sessionsCollection.find(
+        (session) => isSameId(session._id, sessionId) && !session.revokedAt && session.expiresAt > new Date()
+      );
+      return clone(session || null);
+    },
+
+    // replace the refresh token hash of a session after rotating the refresh token
+    // returns false if the session doesn't have the old hash anymore (it's rotated by another refresh)
+    async rotateRefreshToken(sessionId, oldRefreshTokenHash, refreshTokenHash, expiresAt) {
+      const session = sessionsCollection.find((session) => isSameId(session._id, sessionId));
+      if (session?.refreshTokenHash !== oldRefreshTokenHash) return false;
+
+      Object.assign(session, { refreshTokenHash, expiresAt: clone(expiresAt) });
+      return true;
+    },
+
+    // revoke sessions of a user
+    // if sessionId is not given, all the sessions of the user are revoked
+    async revoke(username, sessionId) {
+      for (const session of sessionsCollection) {
+        if (session.username === username && !session.revokedAt && (!sessionId || isSameId(session._id, sessionId))) {
+          session.revokedAt = new Date();
+        }
+      }
+    },
+  };
+
+  const accessTokens = {
+    async create(accessToken) {
+      accessTokensCollection.push(clone(accessToken));
+    },
+
+    // find the tokens of a user that are not revoked, expired ones included, oldest first
+    async findByOwner(owner) {
+      return clone(
+        accessTokensCollection.filter((accessToken) => accessToken.owner === owner && !accessToken.revokedAt)
+      );
+    },
+
+    // find a token that is not revoked and not expired
+    async findActive(_id) {
+      const accessToken = accessTokensCollection.find(
+        (accessToken) =>
+          isSameId(accessToken._id, _id) &&
+          !accessToken.revokedAt &&
+          (!accessToken.expiresAt || accessToken.expiresAt > new Date())
+      );
+      return clone(accessToken || null);
+    },
+
+    // set the last time a token is used
+    async touch(_id, lastUsedAt) {
+      const accessToken = accessTokensCollection.find((accessToken) => isSameId(accessToken._id, _id));
+      if (accessToken) accessToken.lastUsedAt = clone(lastUsedAt);
+    },
+
+    // revoke a token of a user, returns true if a token is revoked
+    async revokeOwn(_id, owner) {
+      const accessToken = accessTokensCollection.find(
+        (accessToken) => isSameId(accessToken._id, _id) && accessToken.owner === owner && !accessToken.revokedAt
+      );
+      if (!accessToken) return false;
+
+      accessToken.revokedAt = new Date();
+      return true;
+    },
+  };
+
+  const roomsStates = {
+    async find(room) {
+      return clone(roomsStatesCollection.find((roomState) => roomState.room === room) || null);
+    },
+
+    // create the room state if it doesn't exist
+    async setActiveTaskId(room, activeTaskId) {
+      const roomState = roomsStatesCollection.find((roomState) => roomState.room === room);
+      if (roomState) roomState.activeTaskId = activeTaskId;
+      else roomsStatesCollection.push({ _id: new ObjectId(), room, activeTaskId });
+    },
+
+    // clear activeTaskId of the room state only if the task is the active task
+    // the room state is not created if it doesn't exist
+    async clearActiveTaskId(room, taskId) {
+      const roomState = roomsStatesCollection.find((roomState) => roomState.room === room);
+      if (roomState?.activeTaskId === taskId) roomState.activeTaskId = "";
+    },
+
+    async delete(room) {
+      const index = roomsStatesCollection.findIndex((roomState) => roomState.room === room);
+      if (index !== -1) roomsStatesCollection.splice(index, 1);
+    },
+  };
+
+  const disconnectedUsers = {
+    // save the time when the last socket of a user is disconnected
+    // the user has to be checked by the watchdog again
+    async save(username, lastSeenAt) {
+      const disconnectedUser = disconnectedUsersCollection.find((user) => user.username === username);
+      if (disconnectedUser) Object.assign(disconnectedUser, { lastSeenAt: clone(lastSeenAt), isChecked: false });
+      else disconnectedUsersCollection.push({ _id: new ObjectId(), username, lastSeenAt: clone(lastSeenAt), isChecked: false });
+    },
+
+    // get the document of a disconnected user, null if the user is connected
+    async find(username) {
+      return clone(disconnectedUsersCollection.find((user) => user.username === username) || null);
+    },
+
+    // get the unchecked users that are disconnected at or before the date
+    async findUncheckedBefore(date) {
+      return clone(disconnectedUsersCollection.filter((user) => !user.isChecked && user.lastSeenAt <= date));
+    },
+
+    // mark a user checked by the watchdog
+    // autoClosedWorkedTimeSpans are added to the ones that are not notified to the user yet
+    async markChecked(username, autoClosedWorkedTimeSpans) {
+      const disconnectedUser = disconnectedUsersCollection.find((user) => user.username === username);
+      if (!disconnectedUser) return;
+      disconnectedUser.isChecked = true;
+      disconnectedUser.autoClosedWorkedTimeSpans = [
+        ...(disconnectedUser.autoClosedWorkedTimeSpans || []),
+        ...clone(autoClosedWorkedTimeSpans),
+      ];
+    },
+
+    // delete the document of a user that is connected again and return it
+    async take(username) {
+      const index = disconnectedUsersCollection.findIndex((user) => user.username === username);
+      if (index === -1) return null;
+      return disconnectedUsersCollection.splice(index, 1)[0];
+    },
+  };
+
+  const pomodoros = {
+    // get the running pomodoro session of a user
+    async find(username) {
+      return clone(pomodorosCollection.find((pomodoro) => pomodoro.username === username) || null);
+    },
+
+    // get every running pomodoro session (ex: to schedule them again after a restart)
+    async findAll() {
+      return clone(pomodorosCollection);
+    },
+
+    // create or replace the pomodoro session of a user, _id of a session that is read before is ignored
+    async save(username, { _id, ...pomodoro }) {
+      const index = pomodorosCollection.findIndex((pomodoro) => pomodoro.username === username);
+      if (index === -1) pomodorosCollection.push({ _id: new ObjectId(), ...clone(pomodoro), username });
+      else pomodorosCollection[index] = { _id: pomodorosCollection[index]._id, ...clone(pomodoro), username };
+    },
+
+    async delete(username) {
+      const index = pomodorosCollection.findIndex((pomodoro) => pomodoro.username === username);
+      if (index !== -1) pomodorosCollection.splice(index, 1);
+    },
+  };
+
+  const projects = {
+    // insert a new project, returns the _id of the inserted project
+    async create(project) {
+      const newProject = { _id: new ObjectId(), ...clone(project) };
+      projectsCollection.push(newProject);
+      return newProject._id;
+    },
+
+    // get the projects of an owner sorted by name
+    // archived projects are included only if includeArchived is true
+    async findByOwner(owner, includeArchived = false) {
+      return clone(
+        projectsCollection
+          .filter((project) => project.owner === owner && (includeArchived || !project.isArchived))
+          .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+      );
+    },
+
+    async findOwn(_id, owner) {
+      return clone(findOwnProject(_id, owner) || null);
+    },
+
+    // set some properties (ex: name, color, isArchived) of a project
+    // returns { matched, modified }
+    async update(_id, owner, changes) {
+      const project = findOwnProject(_id, owner);
+      if (!project) return { matched: false, modified: false };
+      return { matched: true, modified: assignChanges(project, changes) };
+    },
+
+    // returns false if the project doesn't exist or belongs to another user
+    async deleteOwn(_id, owner) {
+      const project = findOwnProject(_id, owner);
+      if (!project) return false;
+      projectsCollection.splice(projectsCollection.indexOf(project), 1);
+      return true;
+    },
+  };
+
+  const recurringTasks = {
+    // insert a new recurring task, returns the _id of the inserted recurring task
+    async create(recurringTask) {
+      const newRecurringTask = { _id: new ObjectId(), ...clone(recurringTask) };
+      recurringTasksCollection.push(newRecurringTask);
+      return newRecurringTask._id;
+    },
+
+    async findByOwner(owner) {
+      return clone(
+        recurringTasksCollection
+          .filter((recurringTask) => recurringTask.owner === owner)
+          .sort((a, b) => a.createdAt - b.createdAt)
+      );
+    },
+
+    async findOwn(_id, owner) {
+      return clone(findOwnRecurringTask(_id, owner) || null);
+    },
+
+    // set some properties (ex: name, rule, endLocalDate) of a recurring task
+    // returns { matched, modified }
+    async update(_id, owner, changes) {
+      const recurringTask = findOwnRecurringTask(_id, owner);
+      if (!recurringTask) return { matched: false, modified: false };
+      return { matched: true, modified: assignChanges(recurringTask, changes) };
+    },
+
+    // returns false if the recurring task doesn't exist or belongs to another user
+    async deleteOwn(_id, owner) {
+      const recurringTask = findOwnRecurringTask(_id, owner);
+      if (!recurringTask) return false;
+      recurringTasksCollection.splice(recurringTasksCollection.indexOf(recurringTask), 1);
+      return true;
+    },
+
+    // remove a deleted project from the recurring tasks of the owner
+    async unsetProject(owner, projectId) {
+      for (const recurringTask of recurringTasksCollection) {
+        if (recurringTask.owner === owner && recurringTask.projectId && isSameId(recurringTask.projectId, projectId)) {
+          recurringTask.projectId = null;
+        }
+      }
+    },
+  };
+
+  const webhooks = {
+    // insert a new webhook, returns the _id of the inserted webhook
+    async create(webhook) {
+      const newWebhook = { _id: new ObjectId(), ...clone(webhook) };
+      webhooksCollection.push(newWebhook);
+      return newWebhook._id;
+    },
+
+    async findByOwner(owner) {
+      return clone(webhooksCollection.filter((webhook) => webhook.owner === owner));
+    },
+
+    async findOwn(_id, owner) {
+      return clone(findOwnWebhook(_id, owner) || null);
+    },
+
+    // get the enabled webhooks of an owner that subscribe to an event type
+    async findSubscribed(owner, type) {
+      return clone(
+        webhooksCollection.filter(
+          (webhook) => webhook.owner === owner && webhook.isEnabled && webhook.events.includes(type)
+        )
+      );
+    },
+
+    // set some properties (ex: url, events, isEnabled) of a webhook
+    // returns { matched, modified }
+    async update(_id, owner, changes) {
+      const webhook = findOwnWebhook(_id, owner);
+      if (!webhook) return { matched: false, modified: false };
+      return { matched: true, modified: assignChanges(webhook, changes) };
+    },
+
+    // returns false if the webhook doesn't exist or belongs to another user
+    async deleteOwn(_id, owner) {
+      const webhook = findOwnWebhook(_id, owner);
+      if (!webhook) return false;
+      webhooksCollection.splice(webhooksCollection.indexOf(webhook), 1);
+      return true;
+    },
+  };
+
+  const workspaces = {
+    // insert a new workspace, returns the _id of the inserted workspace
+    async create(workspace) {
+      const newWorkspace = { _id: new ObjectId(), ...clone(workspace) };
+      workspacesCollection.push(newWorkspace);
+      return newWorkspace._id;
+    },
+
+    // get the workspaces that a user is a member of, oldest first
+    async findByMember(username) {
+      return clone(
+        workspacesCollection.filter((workspace) => workspace.members.some((member) => member.username === username))
+      );
+    },
+
+    // get the workspaces that a user is invited to, oldest first
+    async findByInvitee(username) {
+      return clone(
+        workspacesCollection.filter((workspace) =>
+          workspace.invitations.some((invitation) => invitation.username === username)
+        )
+      );
+    },
+
+    // get a workspace, the caller checks the membership
+    async find(_id) {
+      return clone(workspacesCollection.find((workspace) => isSameId(workspace._id, _id)) || null);
+    },
+
+    // set some properties (ex: name, members, invitations) of a workspace
+    // returns { matched, modified }
+    async update(_id, changes) {
+      const workspace = workspacesCollection.find((workspace) => isSameId(workspace._id, _id));
+      if (!workspace) return { matched: false, modified: false };
+      return { matched: true, modified: assignChanges(workspace, changes) };
+    },
+
+    // returns false if the workspace doesn't exist
+    async delete(_id) {
+      const workspace = workspacesCollection.find((workspace) => isSameId(workspace._id, _id));
+      if (!workspace) return false;
+      workspacesCollection.splice(workspacesCollection.indexOf(workspace), 1);
+      return true;
+    },
+  };
+
+  const webhookDeliveries = {
+    // insert a new delivery, returns the _id of the inserted delivery
+    async create(delivery) {
+      const newDelivery = { _id: new ObjectId(), ...clone(delivery) };
+      webhookDeliveriesCollection.push(newDelivery);
+      return newDelivery._id;
+    },
+
+    // get the latest deliveries of a webhook of the owner, newest first
+    async findByWebhook(webhookId, owner, limit) {
+      return clone(
+        webhookDeliveriesCollection
+          .filter((delivery) => isSameId(delivery.webhookId, webhookId) && delivery.owner === owner)
+          .reverse()
+          .slice(0, limit)
+      );
+    },
+
+    // take a pending delivery whose next attempt is due
+    // its next attempt is moved to leaseUntil, so it's not taken again while it's attempted
+    // returns null if no delivery is due
+    async claimDue(now, leaseUntil) {
+      const delivery = webhookDeliveriesCollection
+        .filter((delivery) => delivery.status === "pending" && delivery.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+      if (!delivery) return null;
+      delivery.nextAttemptAt = clone(leaseUntil);
+      return clone(delivery);
+    },
+
+    // append an attempt to a delivery and set some properties (ex: status, nextAttemptAt)
+    async pushAttempt(_id, attempt, changes) {
+      const delivery = webhookDeliveriesCollection.find((delivery) => isSameId(delivery._id, _id));
+      if (!delivery) return;
+      delivery.attempts.push(clone(attempt));
+      assignChanges(delivery, changes);
+    },
+
+    // remove the deliveries of a deleted webhook
+    async deleteByWebhook(webhookId, owner) {
+      for (let index = webhookDeliveriesCollection.length - 1; index >= 0; index--) {
+        const delivery = webhookDeliveriesCollection[index];
+        if (isSameId(delivery.webhookId, webhookId) && delivery.owner === owner) {
+          webhookDeliveriesCollection.splice(index, 1);
+        }
+      }
+    },
+
+    // remove the deliveries of every user that are finished at or before finishedBefore
+    // returns the number of removed deliveries
+    async purgeFinishedBefore(finishedBefore) {
+      const purgedDeliveries = webhookDeliveriesCollection.filter(
+        (delivery) => delivery.finishedAt && delivery.finishedAt <= finishedBefore
+      );
+      for (const delivery of purgedDeliveries) {
+        webhookDeliveriesCollection.splice(webhookDeliveriesCollection.indexOf(delivery), 1);
+      }
+      return purgedDeliveries.length;
+    },
+  };
+
+  const counters = {
+    // increment a counter (created at 0 if it doesn't exist) and get its new value
+    async next(name) {
+      const value = (countersCollection.get(name) || 0) + 1;
+      countersCollection.set(name, value);
+      return value;
+    },
+  };
+
+  const taskTombstones = {
+    // insert a new tombstone ({ taskId, doer, version, deletedAt })
+    async create(tombstone) {
+      taskTombstonesCollection.push({ _id: new ObjectId(), ...clone(tombstone) });
+    },
+
+    // get the tombstones of the doer with a version greater than version, lowest version first
+    async findChangedSince(doer, version, limit) {
+      return clone(
+        taskTombstonesCollection
+          .filter((tombstone) => tombstone.doer === doer && tombstone.version > version)
+          .sort((a, b) => a.version - b.version)
+          .slice(0, limit)
+      );
+    },
+  };
+
+  const idempotencyKeys = {
+    // insert the record of a key ({ username, key, fingerprint, outcome: null, createdAt, expiresAt })
+    // an expired record of the same key (that is not purged yet) is replaced
+    // returns false if the user already has a record of the key that is not expired
+    async reserve(record) {
+      const existingRecord = findIdempotencyKey(record.username, record.key);
+      if (existingRecord && existingRecord.expiresAt > record.createdAt) return false;
+
+      if (existingRecord) idempotencyKeysCollection.splice(idempotencyKeysCollection.indexOf(existingRecord), 1);
+      idempotencyKeysCollection.push({ _id: new ObjectId(), ...clone(record) });
+      return true;
+    },
+
+    async find(username, key) {
+      return clone(findIdempotencyKey(username, key) || null);
+    },
+
+    // remember the outcome of the request of a key
+    async complete(username, key, outcome) {
+      const record = findIdempotencyKey(username, key);
+      if (record) record.outcome = clone(outcome);
+    },
+
+    // remove the record of a key, so that the request can be sent again with the same key
+    async release(username, key) {
+      const record = findIdempotencyKey(username, key);
+      if (record) idempotencyKeysCollection.splice(idempotencyKeysCollection.indexOf(record), 1);
+    },
+
+    // remove the records of every user that are expired at or before expiredBefore
+    // returns the number of removed records
+    async purgeExpiredBefore(expiredBefore) {
+      const purgedRecords = idempotencyKeysCollection.filter((record) => record.expiresAt <= expiredBefore);
+      for (const record of purgedRecords) {
+        idempotencyKeysCollection.splice(idempotencyKeysCollection.indexOf(record), 1);
+      }
+      return purgedRecords.length;
+    },
+  };
+
+  const taskHistory = {
+    // append an entry to the history of a task, returns the _id of the entry
+    async append(entry) {
+      const newEntry = { _id: new ObjectId(), ...clone(entry) };
+      taskHistoryCollection.push(newEntry);
+      return newEntry._id;
+    },
+
+    // get the history of a task of the doer, oldest entry first (entries are appended in order)
+    async findByTask(taskId, doer) {
+      return clone(taskHistoryCollection.filter((entry) => isSameId(entry.taskId, taskId) && entry.doer === doer));
+    },
+
+    // get an entry of the history of a task of the doer, null if not found
+    async findOwn(_id, taskId, doer) {
+      const entry = taskHistoryCollection.find(
+        (entry) => isSameId(entry._id, _id) && isSameId(entry.taskId, taskId) && entry.doer === doer
+      );
+      return clone(entry || null);
+    },
+
+    // move the history of a task to the new doer of the task (ex: after the task is assigned to another user)
+    async setDoer(taskId, doer) {
+      for (const entry of taskHistoryCollection) {
+        if (isSameId(entry.taskId, taskId)) entry.doer = doer;
+      }
+    },
+  };
+
+  const tasks = {
+    // insert a new task, returns the _id of the inserted task
+    async create(task) {
+      const newTask = { _id: new ObjectId(), ...clone(task) };
+      tasksCollection.push(newTask);
+      return newTask._id;
+    },
+
+    // get the all the tasks of a doer created between startDate and endDate
+    // filter can narrow the tasks down to a project (projectId) and/or a tag
+    // and leave the archived tasks out (excludeArchived)
+    async findByDateRange(doer, startDate, endDate, { projectId, tag, excludeArchived } = {}) {
+      return clone(
+        tasksCollection.filter(
+          (task) =>
+            isTaskOfDoer(task, doer) &&
+            task.date >= startDate &&
+            task.date <= endDate &&
+            (!projectId || isSameId(task.projectId, projectId)) &&
+            (!tag || (task.tags || []).includes(tag)) &&
+            (!excludeArchived || task.status !== "archived")
+        )
+      );
+    },
+
+    // iterate the tasks of a doer created between startDate and endDate, sorted by date
+    // returns an async iterable like the cursor of the MongoDB storage
+    async *iterateByDateRange(doer, startDate, endDate) {
+      const tasks = tasksCollection
+        .filter((task) => isTaskOfDoer(task, doer) && task.date >= startDate && task.date <= endDate)
+        .sort((a, b) => a.date - b.date);
+
+      for (const task of tasks) yield clone(task);
+    },
+
+    async findOwn(_id, doer) {
+      return clone(findOwnTask(_id, doer) || null);
+    },
+
+    // mark a task deleted, it can be restored until it's purged
+    // returns false if the task doesn't exist, belongs to another user or is already deleted
+    async softDeleteOwn(_id, doer, deletedAt) {
+      const task = findOwnTask(_id, doer);
+      if (!task) return false;
+      task.deletedAt = clone(deletedAt);
+      return true;
+    },
+
+    // get a deleted task of the doer that is deleted after deletedAfter, null if not found
+    async findDeletedOwn(_id, doer, deletedAfter) {
+      const task = tasksCollection.find(
+        (task) => isSameId(task._id, _id) && task.doer === doer && task.deletedAt > deletedAfter
+      );
+      return clone(task || null);
+    },
+
+    // restore a task that is deleted after deletedAfter
+    // returns false if there is no such deleted task of the doer
+    async restoreOwn(_id, doer, deletedAfter) {
+      const task = tasksCollection.find(
+        (task) => isSameId(task._id, _id) && task.doer === doer && task.deletedAt > deletedAfter
+      );
+      if (!task) return false;
+      task.deletedAt = null;
+      return true;
+    },
+
+    // remove the tasks of every user that are deleted at or before deletedBefore
+    // returns the number of removed tasks
+    async purgeDeletedBefore(deletedBefore) {
+      const purgedTasks = tasksCollection.filter((task) => task.deletedAt && task.deletedAt <= deletedBefore);
+      for (const task of purgedTasks) tasksCollection.splice(tasksCollection.indexOf(task), 1);
+      return purgedTasks.length;
+    },
+
+    // returns { matched, modified }
+    // matched is false if the task doesn't exist or belongs to another user
+    async rename(_id, doer, name) {
+      const task = findOwnTask(_id, doer);
+      if (!task) return { matched: false, modified: false };
+      const modified = task.name !== name;
+      task.name = name;
+      return { matched: true, modified };
+    },
+
+    // set some properties (ex: projectId, tags) of a task
+    // returns { matched, modified }
+    async update(_id, doer, changes) {
+      const task = findOwnTask(_id, doer);
+      if (!task) return { matched: false, modified: false };
+      return { matched: true, modified: assignChanges(task, changes) };
+    },
+
+    // remove a deleted project from the tasks of the doer
+    // deleted tasks are included, they may be restored
+    // returns the changed tasks as [{ _id, doer }] to give them new versions
+    async unsetProject(doer, projectId) {
+      const changedTasks = [];
+      for (const task of tasksCollection) {
+        if (task.doer === doer && task.projectId && isSameId(task.projectId, projectId)) {
+          task.projectId = null;
+          changedTasks.push({ _id: clone(task._id), doer });
+        }
+      }
+      return changedTasks;
+    },
+
+    // remove a deleted workspace from the tasks of every user
+    // deleted tasks are included, they may be restored
+    // returns the changed tasks as [{ _id, doer }] like unsetProject
+    async unsetWorkspace(workspaceId) {
+      const changedTasks = [];
+      for (const task of tasksCollection) {
+        if (task.workspaceId && isSameId(task.workspaceId, workspaceId)) {
+          task.workspaceId = null;
+          changedTasks.push({ _id: clone(task._id), doer: task.doer });
+        }
+      }
+      return changedTasks;
+    },
+
+    // set the version of a task of the doer and the time of the change, deleted tasks included
+    async setVersion(_id, doer, version, updatedAt) {
+      const task = tasksCollection.find((task) => isSameId(task._id, _id) && task.doer === doer);
+      if (!task) return;
+      task.version = version;
+      task.updatedAt = clone(updatedAt);
+    },
+
+    // get the _ids of the tasks of the doer without a version
+    // ex: tasks created before the versions
+    async findUnversioned(doer) {
+      return tasksCollection.filter((task) => isTaskOfDoer(task, doer) && !task.version).map((task) => clone(task._id));
+    },
+
+    // get the tasks of the doer with a version greater than version, lowest version first
+    async findChangedSince(doer, version, limit) {
+      return clone(
+        tasksCollection
+          .filter((task) => isTaskOfDoer(task, doer) && task.version > version)
+          .sort((a, b) => a.version - b.version)
+          .slice(0, limit)
+      );
+    },
+
+    // insert the task of a recurring task for a local date (an occurrence)
+    // unless the recurring task already has a task for that local date
+    // returns the _id of the created task, null if the occurrence already exists
+    async createOccurrence(task) {
+      const isExisting = tasksCollection.some(
+        (existingTask) =>
+          isSameId(existingTask.recurringTaskId, task.recurringTaskId) &&
+          existingTask.occurrenceLocalDate === task.occurrenceLocalDate
+      );
+      if (isExisting) return null;
+
+      const newTask = { _id: new ObjectId(), ...clone(task) };
+      tasksCollection.push(newTask);
+      return clone(newTask._id);
+    },
+
+    // push a workedTimeSpan to the workedTimeSpans array of the task
+    // returns false if the task doesn't exist or belongs to another user
+    async pushWorkedTimeSpan(_id, doer, workedTimeSpan) {
+      const task = findOwnTask(_id, doer);
+      if (!task) return false;
+      task.workedTimeSpans = task.workedTimeSpans || [];
+      task.workedTimeSpans.push(clone(workedTimeSpan));
+      return true;
+    },
+
+    // get a workedTimeSpan object of a task, null if not found
+    async findWorkedTimeSpan(_id, doer, workedTimeSpanId) {
+      const task = findOwnTask(_id, doer);
+      const workedTimeSpan = task?.workedTimeSpans?.find((span) => isSameId(span._id, workedTimeSpanId));
+      return clone(workedTimeSpan || null);
+    },
+
+    // add endTime property to a workedTimeSpan object
+    // returns false if nothing is modified
+    async setWorkedTimeSpanEndTime(_id, doer, workedTimeSpanId, endTime) {
+      const task = findOwnTask(_id, doer);
+      const workedTimeSpan = task?.workedTimeSpans?.find((span) => isSameId(span._id, workedTimeSpanId));
+      if (!workedTimeSpan || workedTimeSpan.endTime?.getTime() === endTime.getTime()) return false;
+      workedTimeSpan.endTime = clone(endTime);
+      return true;
+    },
+
+    // get the workedTimeSpan objects of the doer that are in progress (have no endTime)
+    // returns [{ taskId, workedTimeSpan }]
+    async findRunningWorkedTimeSpans(doer) {
+      return tasksCollection
+        .filter((task) => isTaskOfDoer(task, doer))
+        .flatMap((task) =>
+          (task.workedTimeSpans || [])
+            .filter((workedTimeSpan) => !workedTimeSpan.endTime)
+            .map((workedTimeSpan) => clone({ taskId: task._id, workedTimeSpan }))
+        );
+    },
+
+    // get the workedTimeSpan objects of the doer that overlap the time between startTime and endTime
+    // running workedTimeSpan objects (without endTime) are considered running until now
+    // archived tasks are left out if excludeArchived is true
+    // returns [{ taskId, workedTimeSpan }]
+    async findOverlappingWorkedTimeSpans(doer, startTime, endTime, { excludeArchived } = {}) {
+      return tasksCollection
+        .filter((task) => isTaskOfDoer(task, doer) && (!excludeArchived || task.status !== "archived"))
+        .flatMap((task) =>
+          (task.workedTimeSpans || [])
+            .filter(
+              (workedTimeSpan) =>
+                workedTimeSpan.startTime < endTime && (!workedTimeSpan.endTime || workedTimeSpan.endTime > startTime)
+            )
+            .map((workedTimeSpan) => clone({ taskId: task._id, workedTimeSpan }))
+        );
+    },
+
+    // get the tasks of the doer that have workedTimeSpan objects overlapping the time between startTime and endTime
+    // the tasks are returned with all of their workedTimeSpans
+    async findWithWorkedTimeSpansBetween(doer, startTime, endTime) {
+      return clone(
+        tasksCollection.filter(
+          (task) =>
+            isTaskOfDoer(task, doer) &&
+            (task.workedTimeSpans || []).some(
+              (workedTimeSpan) =>
+                workedTimeSpan.startTime < endTime && (!workedTimeSpan.endTime || workedTimeSpan.endTime > startTime)
+            )
+        )
+      );
+    },
+
+    // same as findWithWorkedTimeSpansBetween for the tasks of a workspace, whoever their doers are
+    async findInWorkspaceWithWorkedTimeSpansBetween(workspaceId, startTime, endTime) {
+      return clone(
+        tasksCollection.filter(
+          (task) =>
+            !task.deletedAt &&
+            task.workspaceId &&
+            isSameId(task.workspaceId, workspaceId) &&
+            (task.workedTimeSpans || []).some(
+              (workedTimeSpan) =>
+                workedTimeSpan.startTime < endTime && (!workedTimeSpan.endTime || workedTimeSpan.endTime > startTime)
+            )
+        )
+      );
+    },
+
+    // set some properties (ex: startTime, endTime) of a workedTimeSpan object
+    // undefined properties of changes are not set
+    // returns false if the workedTimeSpan is not found
+    async updateWorkedTimeSpan(_id, doer, workedTimeSpanId, changes) {
+      const task = findOwnTask(_id, doer);
+      const workedTimeSpan = task?.workedTimeSpans?.find((span) => isSameId(span._id, workedTimeSpanId));
+      if (!workedTimeSpan) return false;
+      for (const [key, value] of Object.entries(changes)) {
+        if (value !== undefined) workedTimeSpan[key] = clone(value);
+      }
+      return true;
+    },
+
+    // remove workedTimeSpan objects whose _id exists in workedTimeSpansIds array
+    // returns { matched, modified }
+    async pullWorkedTimeSpans(_id, doer, workedTimeSpansIds) {
+      const task = findOwnTask(_id, doer);
+      if (!task) return { matched: false, modified: false };
+      const workedTimeSpans = task.workedTimeSpans || [];
+      task.workedTimeSpans = workedTimeSpans.filter(
+        (span) => !workedTimeSpansIds.some((id) => isSameId(span._id, id))
+      );
+      return { matched: true, modified: task.workedTimeSpans.length !== workedTimeSpans.length };
+    },
+
+    // get the total completed time of the doer's tasks created between startDate and endDate
+    // broken down per project and per tag
+    // archived tasks are left out if excludeArchived is true
+    // returns the same shape as the aggregation of the MongoDB storage
+    async completedTimesByProjectAndTag(doer, startDate, endDate, { excludeArchived } = {}) {
+      // project id string (or "" for tasks without a project) => { key, completedTime }
+      const projectsCompletedTimes = new Map();
+      // tag => { key, completedTime }
+      const tagsCompletedTimes = new Map();
+
+      for (const task of tasksCollection) {
+        if (!isTaskOfDoer(task, doer) || task.date < startDate || task.date > endDate) continue;
+        if (excludeArchived && task.status === "archived") continue;
+
+        const completedTime = completedTimeOfTask(task);
+
+        const projectKey = task.projectId ? task.projectId.toString() : "";
+        const projectCompletedTime = projectsCompletedTimes.get(projectKey) || {
+          key: task.projectId || null,
+          completedTime: 0,
+        };
+        projectCompletedTime.completedTime += completedTime;
+        projectsCompletedTimes.set(projectKey, projectCompletedTime);
+
+        for (const tag of task.tags || []) {
+          const tagCompletedTime = tagsCompletedTimes.get(tag) || { key: tag, completedTime: 0 };
+          tagCompletedTime.completedTime += completedTime;
+          tagsCompletedTimes.set(tag, tagCompletedTime);
+        }
+      }
+
+      return {
+        projects: sortedCompletedTimes(projectsCompletedTimes, "projectId"),
+        tags: sortedCompletedTimes(tagsCompletedTimes, "tag"),
+      };
+    },
+
+    // get the dates that have tasks created by the doer
+    // returns the same shape as the aggregation of the MongoDB storage
+    async existingDates(doer, timeZone) {
+      // local date string => first matched task's date
+      const dates = new Map();
+      for (const task of tasksCollection) {
+        if (!isTaskOfDoer(task, doer)) continue;
+
+        const localDate = toLocalDateString(task.date, timeZone);
+        if (!dates.has(localDate)) dates.set(localDate, task.date);
+      }
+
+      if (!dates.size) return [];
+
+      // sort by date in descending order
+      const localDates = [...dates.entries()].sort((a, b) => b[1] - a[1]).map(([localDate]) => localDate);
+
+      return [{ _id: null, localDates }];
+    },
+  };
+
+  return {
+    name: "memory",
+
+    async connect() {},
+
+    async close() {},
+
+    users,
+    sessions,
+    accessTokens,
+    roomsStates,
+    disconnectedUsers,
+    pomodoros,
+    projects,
+    recurringTasks,
+    taskHistory,
+    webhooks,
+    webhookDeliveries,
+    workspaces,
+    counters,
+    taskTombstones,
+    idempotencyKeys,
+    tasks,
+  };
+}
+
+module.exports = { createMemoryStorage };
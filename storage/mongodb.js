@@ -0,0 +1,1023 @@
+// MongoDB implementation of the storage layer
+// see storage/index.js for the repositories every storage implements
+
+const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+
+// create a storage that keeps data in a MongoDB database
+// uri is the connection string and dbName is the name of the database
+function createMongoStorage({ uri, dbName }) {
+  // Create a MongoClient with a MongoClientOptions object to set the Stable API version
+  const client = new MongoClient(uri, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  // database and collections
+  // collections can be used before connecting, the client connects in connect()
+  const db = client.db(dbName);
+  // users collection contains registered users
+  const usersCollection = db.collection("users");
+  // tasks collection contains created tasks by different users
+  const tasksCollection = db.collection("tasks");
+  // roomsStates collection contains states of different rooms
+  const roomsStatesCollection = db.collection("roomsStates");
+  // sessions collection contains login sessions of users
+  // every session holds the hash of its current refresh token
+  const sessionsCollection = db.collection("sessions");
+  // accessTokens collection contains the personal access tokens of users for integrations
+  // every token holds the hash of its secret and its scopes
+  const accessTokensCollection = db.collection("accessTokens");
+  // disconnectedUsers collection contains users whose last socket is disconnected
+  // used by the orphaned timer watchdog
+  const disconnectedUsersCollection = db.collection("disconnectedUsers");
+  // pomodoros collection contains the running pomodoro sessions, at most one per user
+  const pomodorosCollection = db.collection("pomodoros");
+  // projects collection contains projects of users to group tasks
+  const projectsCollection = db.collection("projects");
+  // recurringTasks collection contains the definitions of tasks that are created every day, weekday or week
+  const recurringTasksCollection = db.collection("recurringTasks");
+  // taskHistory collection contains the append-only change log of tasks, entries are never modified
+  const taskHistoryCollection = db.collection("taskHistory");
+  // webhooks collection contains the urls that users registered to get the events of their tasks
+  const webhooksCollection = db.collection("webhooks");
+  // webhookDeliveries collection contains the events sent (or to be sent) to webhooks with their attempts
+  const webhookDeliveriesCollection = db.collection("webhookDeliveries");
+  // workspaces collection contains the teams of users with their members and pending invitations
+  const workspacesCollection = db.collection("workspaces");
+  // counters collection contains named sequences like the versions of tasks, { _id: name, value }
+  const countersCollection = db.collection("counters");
+  // taskTombstones collection contains the deletions of tasks (and the tasks assigned away) for the delta sync
+  // tombstones are kept after the tasks are purged, so that every client can learn about the deletion
+  const taskTombstonesCollection = db.collection("taskTombstones");
+  // idempotencyKeys collection contains the keys that clients sent with their requests and the remembered results
+  const idempotencyKeysCollection = db.collection("idempotencyKeys");
+
+  // build a filter that matches the tasks of the doer that are not deleted (deleted tasks wait for the purge)
+  // every task query except restoring and purging must use this filter
+  // deletedAt: null matches the tasks without deletedAt too
+  function doerTasksFilter(doer) {
+    return { doer, deletedAt: null };
+  }
+
+  // build a filter that matches a task only if it belongs to the doer
+  // every query that targets a specific task by its _id must use this filter
+  // so that a user can never read, modify or delete another user's task
+  function ownTaskFilter(_id, doer) {
+    return { _id: new ObjectId(_id), ...doerTasksFilter(doer) };
+  }
+
+  // leave the archived tasks out of a task query
+  const notArchivedFilter = { status: { $ne: "archived" } };
+
+  // same as ownTaskFilter for projects, recurring tasks and webhooks
+  function ownProjectFilter(_id, owner) {
+    return { _id: new ObjectId(_id), owner };
+  }
+
+  // build the $sum expression of the completed time of a task in milliseconds
+  // $map converts workedTimeSpans array field that was containing objects like
+  // {startTime: date, endTime: date} to an array of numbers
+  // by using $dateDiff to calculate difference in millisecond between startTime & endTime
+  // running workedTimeSpans have no endTime, $dateDiff gives null for them and $sum ignores null
+  const completedTimeOfTask = {
+    $sum: {
+      $map: {
+        input: "$workedTimeSpans",
+        as: "workedTimeSpan",
+        in: {
+          $dateDiff: {
+            startDate: "$$workedTimeSpan.startTime",
+            endDate: "$$workedTimeSpan.endTime",
+            unit: "millisecond",
+          },
+        },
+      },
+    },
+  };
+
+  const users = {
+    async findByUsername(username) {
+      return usersCollection.findOne({ username });
+    },
+
+    // returns null if the username is already taken
+    async create(user) {
+      try {
+        const result = await usersCollection.insertOne(user);
+        return result.insertedId;
+      } catch (error) {
+        // duplicate key error of the unique index, another user has the username
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    },
+
+    // set some settings of a user, other settings are kept
+    async updateSettings(username, settings) {
+      const update = Object.fromEntries(Object.entries(settings).map(([key, value]) => [`settings.${key}`, value]));
+      await usersCollection.updateOne({ username }, { $set: update });
+    },
+
+    // set some profile properties (ex: fullName, timeZone) of a user
+    async updateProfile(username, changes) {
+      await usersCollection.updateOne({ username }, { $set: changes });
+    },
+  };
+
+  const sessions = {
+    async create(session) {
+      await sessionsCollection.insertOne(session);
+    },
+
+    // find a session that is not revoked and not expired
+    // returns null if the sessionId is not a valid ObjectId
+    async findActive(sessionId) {
+      if (!ObjectId.isValid(sessionId)) return null;
+
+      return sessionsCollection.findOne({
+        _id: new ObjectId(sessionId),
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+      });
+    },
+
+    // replace the refresh token hash of a session after rotating the refresh token
+    // returns false if the session doesn't have the old hash anymore (it's rotated by another refresh)
+    async rotateRefreshToken(sessionId, oldRefreshTokenHash, refreshTokenHash, expiresAt) {
+      const result = await sessionsCollection.updateOne(
+        { _id: new ObjectId(sessionId), refreshTokenHash: oldRefreshTokenHash },
+        { $set: { refreshTokenHash, expiresAt } }
+      );
+
+      return result.matchedCount === 1;
+    },
+
+    // revoke sessions of a user
+    // if sessionId is not given, all the sessions of the user are revoked
+    async revoke(username, sessionId) {
+      const filter = { username, revokedAt: { $exists: false } };
+      if (sessionId) filter._id = new ObjectId(sessionId);
+
+      await sessionsCollection.updateMany(filter, { $set: { revokedAt: new Date() } });
+    },
+  };
+
+  const accessTokens = {
+    async create(accessToken) {
+      await accessTokensCollection.insertOne(accessToken);
+    },
+
+    // find the tokens of a user that are not revoked, expired ones included, oldest first
+    async findByOwner(owner) {
+      return accessTokensCollection.find({ owner, revokedAt: { $exists: false } }).sort({ createdAt: 1 }).toArray();
+    },
+
+    // find a token that is not revoked and not expired
+    // returns null if the _id is not a valid ObjectId
+    async findActive(_id) {
+      if (!ObjectId.isValid(_id)) return null;
+
+      return accessTokensCollection.findOne({
+        _id: new ObjectId(_id),
+        revokedAt: { $exists: false },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+      });
+    },
+
+    // set the last time a token is used
+    async touch(_id, lastUsedAt) {
+      await accessTokensCollection.updateOne({ _id: new ObjectId(_id) }, { $set: { lastUsedAt } });
+    },
+
+    // revoke a token of a user, returns true if a token is revoked
+    async revokeOwn(_id, owner) {
+      const result = await accessTokensCollection.updateOne(
+        { _id: new ObjectId(_id), owner, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    },
+  };
+
+  const roomsStates = {
+    async find(room) {
+      return roomsStatesCollection.findOne({ room });
+    },
+
+    // instruct updateOne method to create a document if no document matched the filter
+    async setActiveTaskId(room, activeTaskId) {
+      await roomsStatesCollection.updateOne({ room }, { $set: { activeTaskId } }, { upsert: true });
+    },
+
+    // clear activeTaskId of the room state only if the task is the active task
+    // the room state is not created if it doesn't exist
+    async clearActiveTaskId(room, taskId) {
+      await roomsStatesCollection.updateOne({ room, activeTaskId: taskId }, { $set: { activeTaskId: "" } });
+    },
+
+    async delete(room) {
+      await roomsStatesCollection.deleteOne({ room });
+    },
+  };
+
+  const disconnectedUsers = {
+    // save the time when the last socket of a user is disconnected
+    // the user has to be checked by the watchdog again
+    async save(username, lastSeenAt) {
+      await disconnectedUsersCollection.updateOne(
+        { username },
+        { $set: { lastSeenAt, isChecked: false } },
+        { upsert: true }
+      );
+    },
+
+    // get the document of a disconnected user, null if the user is connected
+    async find(username) {
+      return disconnectedUsersCollection.findOne({ username });
+    },
+
+    // get the unchecked users that are disconnected at or before the date
+    async findUncheckedBefore(date) {
+      return disconnectedUsersCollection.find({ isChecked: false, lastSeenAt: { $lte: date } }).toArray();
+    },
+
+    // mark a user checked by the watchdog
+    // autoClosedWorkedTimeSpans are added to the ones that are not notified to the user yet
+    async markChecked(username, autoClosedWorkedTimeSpans) {
+      await disconnectedUsersCollection.updateOne(
+        { username },
+        { $set: { isChecked: true }, $push: { autoClosedWorkedTimeSpans: { $each: autoClosedWorkedTimeSpans } } }
+      );
+    },
+
+    // delete the document of a user that is connected again and return it
+    async take(username) {
+      const result = await disconnectedUsersCollection.findOneAndDelete({ username });
+      return result.value;
+    },
+  };
+
+  const pomodoros = {
+    // get the running pomodoro session of a user
+    async find(username) {
+      return pomodorosCollection.findOne({ username });
+    },
+
+    // get every running pomodoro session (ex: to schedule them again after a restart)
+    async findAll() {
+      return pomodorosCollection.find({}).toArray();
+    },
+
+    // create or replace the pomodoro session of a user, _id of a session that is read before is ignored
+    async save(username, { _id, ...pomodoro }) {
+      await pomodorosCollection.replaceOne({ username }, { ...pomodoro, username }, { upsert: true });
+    },
+
+    async delete(username) {
+      await pomodorosCollection.deleteOne({ username });
+    },
+  };
+
+  const projects = {
+    // insert a new project, returns the _id of the inserted project
+    async create(project) {
+      const result = await projectsCollection.insertOne(project);
+      return result.insertedId;
+    },
+
+    // get the projects of an owner sorted by name
+    // archived projects are included only if includeArchived is true
+    async findByOwner(owner, includeArchived = false) {
+      const filter = { owner };
+      if (!includeArchived) filter.isArchived = { $ne: true };
+
+      return projectsCollection.find(filter).sort({ name: 1 }).toArray();
+    },
+
+    async findOwn(_id, owner) {
+      return projectsCollection.findOne(ownProjectFilter(_id, owner));
+    },
+
+    // set some properties (ex: name, color, isArchived) of a project
+    // returns { matched, modified }
+    async update(_id, owner, changes) {
+      const result = await projectsCollection.updateOne(ownProjectFilter(_id, owner), { $set: changes });
+      return { matched: result.matchedCount === 1, modified: result.modifiedCount === 1 };
+    },
+
+    // returns false if the project doesn't exist or belongs to another user
+    async deleteOwn(_id, owner) {
+      const result = await projectsCollection.deleteOne(ownProjectFilter(_id, owner));
+      return result.deletedCount === 1;
+    },
+  };
+
+  const recurringTasks = {
+    // insert a new recurring task, returns the _id of the inserted recurring task
+    async create(recurringTask) {
+      const result = await recurringTasksCollection.insertOne(recurringTask);
+      return result.insertedId;
+    },
+
+    async findByOwner(owner) {
+      return recurringTasksCollection.find({ owner }).sort({ createdAt: 1 }).toArray();
+    },
+
+    async findOwn(_id, owner) {
+      return recurringTasksCollection.findOne(ownProjectFilter(_id, owner));
+    },
+
+    // set some properties (ex: name, rule, endLocalDate) of a recurring task
+    // returns { matched, modified }
+    async update(_id, owner, changes) {
+      const result = await recurringTasksCollection.updateOne(ownProjectFilter(_id, owner), { $set: changes });
+      return { matched: result.matchedCount === 1, modified: result.modifiedCount === 1 };
+    },
+
+    // returns false if the recurring task doesn't exist or belongs to another user
+    async deleteOwn(_id, owner) {
+      const result = await recurringTasksCollection.deleteOne(ownProjectFilter(_id, owner));
+      return result.deletedCount === 1;
+    },
+
+    // remove a deleted project from the recurring tasks of the owner
+    async unsetProject(owner, projectId) {
+      await recurringTasksCollection.updateMany(
+        { owner, projectId: new ObjectId(projectId) },
+        { $set: { projectId: null } }
+      );
+    },
+  };
+
+  const webhooks = {
+    // insert a new webhook, returns the _id of the inserted webhook
+    async create(webhook) {
+      const result = await webhooksCollection.insertOne(webhook);
+      return result.insertedId;
+    },
+
+    async findByOwner(owner) {
+      return webhooksCollection.find({ owner }).sort({ createdAt: 1 }).toArray();
+    },
+
+    async findOwn(_id, owner) {
+      return webhooksCollection.findOne(ownProjectFilter(_id, owner));
+    },
+
+    // get the enabled webhooks of an owner that subscribe to an event type
+    async findSubscribed(owner, type) {
+      return webhooksCollection.find({ owner, isEnabled: true, events: type }).toArray();
+    },
+
+    // set some properties (ex: url, events, isEnabled) of a webhook
+    // returns { matched, modified }
+    async update(_id, owner, changes) {
+      const result = await webhooksCollection.updateOne(ownProjectFilter(_id, owner), { $set: changes });
+      return { matched: result.matchedCount === 1, modified: result.modifiedCount === 1 };
+    },
+
+    // returns false if the webhook doesn't exist or belongs to another user
+    async deleteOwn(_id, owner) {
+      const result = await webhooksCollection.deleteOne(ownProjectFilter(_id, owner));
+      return result.deletedCount === 1;
+    },
+  };
+
+  const webhookDeliveries = {
+    // insert a new delivery, returns the _id of the inserted delivery
+    async create(delivery) {
+      const result = await webhookDeliveriesCollection.insertOne(delivery);
+      return result.insertedId;
+    },
+
+    // get the latest deliveries of a webhook of the owner, newest first
+    async findByWebhook(webhookId, owner, limit) {
+      return webhookDeliveriesCollection
+        .find({ webhookId: new ObjectId(webhookId), owner })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .toArray();
+    },
+
+    // take a pending delivery whose next attempt is due
+    // its next attempt is moved to leaseUntil, so another process doesn't take it while it's attempted
+    // returns null if no delivery is due
+    async claimDue(now, leaseUntil) {
+      const result = await webhookDeliveriesCollection.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: leaseUntil } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+      );
+      return result.value;
+    },
+
+    // append an attempt to a delivery and set some properties (ex: status, nextAttemptAt)
+    async pushAttempt(_id, attempt, changes) {
+      await webhookDeliveriesCollection.updateOne(
+        { _id: new ObjectId(_id) },
+        { $push: { attempts: attempt }, $set: changes }
+      );
+    },
+
+    // remove the deliveries of a deleted webhook
+    async deleteByWebhook(webhookId, owner) {
+      await webhookDeliveriesCollection.deleteMany({ webhookId: new ObjectId(webhookId), owner });
+    },
+
+    // remove the deliveries of every user that are finished at or before finishedBefore
+    // returns the number of removed deliveries
+    async purgeFinishedBefore(finishedBefore) {
+      const result = await webhookDeliveriesCollection.deleteMany({ finishedAt: { $lte: finishedBefore } });
+      return result.deletedCount;
+    },
+  };
+
+  const workspaces = {
+    // insert a new workspace, returns the _id of the inserted workspace
+    async create(workspace) {
+      const result = await workspacesCollection.insertOne(workspace);
+      return result.insertedId;
+    },
+
+    // get the workspaces that a user is a member of, oldest first
+    async findByMember(username) {
+      return workspacesCollection.find({ "members.username": username }).sort({ createdAt: 1 }).toArray();
+    },
+
+    // get the workspaces that a user is invited to, oldest first
+    async findByInvitee(username) {
+      return workspacesCollection.find({ "invitations.username": username }).sort({ createdAt: 1 }).toArray();
+    },
+
+    // get a workspace, the caller checks the membership
+    // returns null if the _id is not a valid ObjectId
+    async find(_id) {
+      if (!ObjectId.isValid(_id)) return null;
+
+      return workspacesCollection.findOne({ _id: new ObjectId(_id) });
+    },
+
+    // set some properties (ex: name, members, invitations) of a workspace
+    // returns { matched, modified }
+    async update(_id, changes) {
+      const result = await workspacesCollection.updateOne({ _id: new ObjectId(_id) }, { $set: changes });
+      return { matched: result.matchedCount === 1, modified: result.modifiedCount === 1 };
+    },
+
+    // returns false if the workspace doesn't exist
+    async delete(_id) {
+      const result = await workspacesCollection.deleteOne({ _id: new ObjectId(_id) });
+      return result.deletedCount === 1;
+    },
+  };
+
+  const counters = {
+    // increment a counter (created at 0 if it doesn't exist) and get its new value
+    async next(name) {
+      const result = await countersCollection.findOneAndUpdate(
+        { _id: name },
+        { $inc: { value: 1 } },
+        { upsert: true, returnDocument: "after" }
+      );
+      return result.value.value;
+    },
+  };
+
+  const taskTombstones = {
+    // insert a new tombstone ({ taskId, doer, version, deletedAt })
+    async create(tombstone) {
+      await taskTombstonesCollection.insertOne(tombstone);
+    },
+
+    // get the tombstones of the doer with a version greater than version, lowest version first
+    async findChangedSince(doer, version, limit) {
+      return taskTombstonesCollection
+        .find({ doer, version: { $gt: version } })
+        .sort({ version: 1 })
+        .limit(limit)
+        .toArray();
+    },
+  };
+
+  const idempotencyKeys = {
+    // insert the record of a key ({ username, key, fingerprint, outcome: null, createdAt, expiresAt })
+    // an expired record of the same key (that is not purged yet) is replaced
+    // returns false if the user already has a record of the key that is not expired
+    async reserve(record) {
+      try {
+        await idempotencyKeysCollection.insertOne(record);
+        return true;
+      } catch (error) {
+        // duplicate key error of the unique index, the key is already used
+        if (error.code !== 11000) throw error;
+      }
+
+      const result = await idempotencyKeysCollection.replaceOne(
+        { username: record.username, key: record.key, expiresAt: { $lte: record.createdAt } },
+        record
+      );
+      return result.modifiedCount === 1;
+    },
+
+    async find(username, key) {
+      return idempotencyKeysCollection.findOne({ username, key });
+    },
+
+    // remember the outcome of the request of a key
+    async complete(username, key, outcome) {
+      await idempotencyKeysCollection.updateOne({ username, key }, { $set: { outcome } });
+    },
+
+    // remove the record of a key, so that the request can be sent again with the same key
+    async release(username, key) {
+      await idempotencyKeysCollection.deleteOne({ username, key });
+    },
+
+    // remove the records of every user that are expired at or before expiredBefore
+    // returns the number of removed records
+    async purgeExpiredBefore(expiredBefore) {
+      const result = await idempotencyKeysCollection.deleteMany({ expiresAt: { $lte: expiredBefore } });
+      return result.deletedCount;
+    },
+  };
+
+  const taskHistory = {
+    // append an entry to the history of a task, returns the _id of the entry
+    async append(entry) {
+      const result = await taskHistoryCollection.insertOne(entry);
+      return result.insertedId;
+    },
+
+    // get the history of a task of the doer, oldest entry first
+    async findByTask(taskId, doer) {
+      return taskHistoryCollection
+        .find({ taskId: new ObjectId(taskId), doer })
+        .sort({ createdAt: 1, _id: 1 })
+        .toArray();
+    },
+
+    // get an entry of the history of a task of the doer, null if not found
+    async findOwn(_id, taskId, doer) {
+      return taskHistoryCollection.findOne({ _id: new ObjectId(_id), taskId: new ObjectId(taskId), doer });
+    },
+
+    // move the history of a task to the new doer of the task (ex: after the task is assigned to another user)
+    async setDoer(taskId, doer) {
+      await taskHistoryCollection.updateMany({ taskId: new ObjectId(taskId) }, { $set: { doer } });
+    },
+  };
+
+  const tasks = {
+    // insert a new task, returns the _id of the inserted task
+    async create(task) {
+      const result = await tasksCollection.insertOne(task);
+      return result.insertedId;
+    },
+
+    // get the all the tasks of a doer created between startDate and endDate
+    // filter can narrow the tasks down to a project (projectId) and/or a tag
+    // and leave the archived tasks out (excludeArchived)
+    async findByDateRange(doer, startDate, endDate, { projectId, tag, excludeArchived } = {}) {
+      const filter = { ...doerTasksFilter(doer), date: { $gte: startDate, $lte: endDate } };
+      if (projectId) filter.projectId = new ObjectId(projectId);
+      // tags is an array, so this matches the tasks whose tags contain the tag
+      if (tag) filter.tags = tag;
+      if (excludeArchived) Object.assign(filter, notArchivedFilter);
+
+      return tasksCollection.find(filter).toArray();
+    },
+
+    // iterate the tasks of a doer created between startDate and endDate, sorted by date
+    // returns an async iterable (cursor) so that all the tasks are never loaded at once (ex: exports)
+    iterateByDateRange(doer, startDate, endDate) {
+      return tasksCollection
+        .find({ ...doerTasksFilter(doer), date: { $gte: startDate, $lte: endDate } })
+        .sort({ date: 1 });
+    },
+
+    async findOwn(_id, doer) {
+      return tasksCollection.findOne(ownTaskFilter(_id, doer));
+    },
+
+    // mark a task deleted, it can be restored until it's purged
+    // returns false if the task doesn't exist, belongs to another user or is already deleted
+    async softDeleteOwn(_id, doer, deletedAt) {
+      const result = await tasksCollection.updateOne(ownTaskFilter(_id, doer), { $set: { deletedAt } });
+      return result.matchedCount === 1;
+    },
+
+    // get a deleted task of the doer that is deleted after deletedAfter, null if not found
+    async findDeletedOwn(_id, doer, deletedAfter) {
+      return tasksCollection.findOne({ _id: new ObjectId(_id), doer, deletedAt: { $gt: deletedAfter } });
+    },
+
+    // restore a task that is deleted after deletedAfter
+    // returns false if there is no such deleted task of the doer
+    async restoreOwn(_id, doer, deletedAfter) {
+      const result = await tasksCollection.updateOne(
+        { _id: new ObjectId(_id), doer, deletedAt: { $gt: deletedAfter } },
+        { $set: { deletedAt: null } }
+      );
+      return result.matchedCount === 1;
+    },
+
+    // remove the tasks of every user that are deleted at or before deletedBefore
+    // returns the number of removed tasks
+    async purgeDeletedBefore(deletedBefore) {
+      // null doesn't match $lte, so the tasks that are not deleted are never removed
+      const result = await tasksCollection.deleteMany({ deletedAt: { $lte: deletedBefore } });
+      return result.deletedCount;
+    },
+
+    // returns { matched, modified }
+    // matched is false if the task doesn't exist or belongs to another user
+    async rename(_id, doer, name) {
+      const result = await tasksCollection.updateOne(ownTaskFilter(_id, doer), { $set: { name } });
+      return { matched: result.matchedCount === 1, modified: result.modifiedCount === 1 };
+    },
+
+    // set some properties (ex: projectId, tags) of a task
+    // returns { matched, modified }
+    async update(_id, doer, changes) {
+      const result = await tasksCollection.updateOne(ownTaskFilter(_id, doer), { $set: changes });
+      return { matched: result.matchedCount === 1, modified: result.modifiedCount === 1 };
+    },
+
+    // remove a deleted project from the tasks of the doer
+    // deleted tasks are included, they may be restored
+    // returns the changed tasks as [{ _id, doer }] to give them new versions
+    async unsetProject(doer, projectId) {
+      const filter = { doer, projectId: new ObjectId(projectId) };
+      const changedTasks = await tasksCollection.find(filter, { projection: { _id: 1, doer: 1 } }).toArray();
+
+      await tasksCollection.updateMany(
+        { ...filter, _id: { $in: changedTasks.map((task) => task._id) } },
+        { $set: { projectId: null } }
+      );
+      return changedTasks;
+    },
+
+    // remove a deleted workspace from the tasks of every user
+    // deleted tasks are included, they may be restored
+    // returns the changed tasks as [{ _id, doer }] like unsetProject
+    async unsetWorkspace(workspaceId) {
+      const filter = { workspaceId: new ObjectId(workspaceId) };
+      const changedTasks = await tasksCollection.find(filter, { projection: { _id: 1, doer: 1 } }).toArray();
+
+      await tasksCollection.updateMany(
+        { ...filter, _id: { $in: changedTasks.map((task) => task._id) } },
+        { $set: { workspaceId: null } }
+      );
+      return changedTasks;
+    },
+
+    // set the version of a task of the doer and the time of the change, deleted tasks included
+    async setVersion(_id, doer, version, updatedAt) {
+      await tasksCollection.updateOne({ _id: new ObjectId(_id), doer }, { $set: { version, updatedAt } });
+    },
+
+    // get the _ids of the tasks of the doer without a version
+    // ex: tasks created before the versions
+    // version: null matches the tasks without version too
+    async findUnversioned(doer) {
+      const unversionedTasks = await tasksCollection
+        .find({ ...doerTasksFilter(doer), version: null }, { projection: { _id: 1 } })
+        .toArray();
+      return unversionedTasks.map((task) => task._id);
+    },
+
+    // get the tasks of the doer with a version greater than version, lowest version first
+    async findChangedSince(doer, version, limit) {
+      return tasksCollection
+        .find({ ...doerTasksFilter(doer), version: { $gt: version } })
+        .sort({ version: 1 })
+        .limit(limit)
+        .toArray();
+    },
+
+    // insert the task of a recurring task for a local date (an occurrence)
+    // unless the recurring task already has a task for that local date
+    // returns the _id of the created task, null if the occurrence already exists
+    async createOccurrence(task) {
+      try {
+        const result = await tasksCollection.updateOne(
+          { recurringTaskId: task.recurringTaskId, occurrenceLocalDate: task.occurrenceLocalDate },
+          { $setOnInsert: task },
+          { upsert: true }
+        );
+        return result.upsertedId;
+      } catch (error) {
+        // duplicate key error of the unique index, another process inserted the occurrence at the same time
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    },
+
+    // push a workedTimeSpan to the workedTimeSpans array of the task
+    // returns false if the task doesn't exist or belongs to another user
+    async pushWorkedTimeSpan(_id, doer, workedTimeSpan) {
+      const result = await tasksCollection.updateOne(ownTaskFilter(_id, doer), {
+        $push: { workedTimeSpans: workedTimeSpan },
+      });
+      return result.matchedCount === 1;
+    },
+
+    // get a workedTimeSpan object of a task, null if not found
+    async findWorkedTimeSpan(_id, doer, workedTimeSpanId) {
+      // "workedTimeSpans._id" ensures that the specified workedTimeSpan object
+      // whose _id is ObjectId(workedTimeSpanId) is present in the task's workedTimeSpans array
+      // the projection keeps only the matched workedTimeSpan in workedTimeSpans array
+      const task = await tasksCollection.findOne(
+        { ...ownTaskFilter(_id, doer), "workedTimeSpans._id": new ObjectId(workedTimeSpanId) },
+        { projection: { "workedTimeSpans.$": 1 } }
+      );
+      return task?.workedTimeSpans?.[0] || null;
+    },
+
+    // add endTime property to a workedTimeSpan object
+    // returns false if nothing is modified
+    async setWorkedTimeSpanEndTime(_id, doer, workedTimeSpanId, endTime) {
+      const result = await tasksCollection.updateOne(
+        { ...ownTaskFilter(_id, doer), "workedTimeSpans._id": new ObjectId(workedTimeSpanId) },
+        // here $ is the positional operator that refers the matched workedTimeSpan object
+        { $set: { "workedTimeSpans.$.endTime": endTime } }
+      );
+      return result.modifiedCount === 1;
+    },
+
+    // get the workedTimeSpan objects of the doer that are in progress (have no endTime)
+    // returns [{ taskId, workedTimeSpan }]
+    async findRunningWorkedTimeSpans(doer) {
+      const runningTasks = await tasksCollection
+        .find(
+          { ...doerTasksFilter(doer), workedTimeSpans: { $elemMatch: { endTime: { $exists: false } } } },
+          { projection: { workedTimeSpans: 1 } }
+        )
+        .toArray();
+
+      return runningTasks.flatMap((task) =>
+        task.workedTimeSpans
+          .filter((workedTimeSpan) => !workedTimeSpan.endTime)
+          .map((workedTimeSpan) => ({ taskId: task._id, workedTimeSpan }))
+      );
+    },
+
+    // get the workedTimeSpan objects of the doer that overlap the time between startTime and endTime
+    // running workedTimeSpan objects (without endTime) are considered running until now
+    // archived tasks are left out if excludeArchived is true
+    // returns [{ taskId, workedTimeSpan }]
+    async findOverlappingWorkedTimeSpans(doer, startTime, endTime, { excludeArchived } = {}) {
+      // a workedTimeSpan overlaps if it starts before endTime and ends after startTime (or is still running)
+      const overlapCondition = {
+        startTime: { $lt: endTime },
+        $or: [{ endTime: { $gt: startTime } }, { endTime: { $exists: false } }],
+      };
+
+      const filter = { ...doerTasksFilter(doer), workedTimeSpans: { $elemMatch: overlapCondition } };
+      if (excludeArchived) Object.assign(filter, notArchivedFilter);
+
+      const overlappingTasks = await tasksCollection.find(filter, { projection: { workedTimeSpans: 1 } }).toArray();
+
+      // the task matched because of at least one workedTimeSpan, keep only the overlapping ones
+      return overlappingTasks.flatMap((task) =>
+        task.workedTimeSpans
+          .filter(
+            (workedTimeSpan) =>
+              workedTimeSpan.startTime < endTime && (!workedTimeSpan.endTime || workedTimeSpan.endTime > startTime)
+          )
+          .map((workedTimeSpan) => ({ taskId: task._id, workedTimeSpan }))
+      );
+    },
+
+    // get the tasks of the doer that have workedTimeSpan objects overlapping the time between startTime and endTime
+    // the tasks are returned with all of their workedTimeSpans
+    async findWithWorkedTimeSpansBetween(doer, startTime, endTime) {
+      return tasksCollection
+        .find({
+          ...doerTasksFilter(doer),
+          workedTimeSpans: {
+            $elemMatch: {
+              startTime: { $lt: endTime },
+              $or: [{ endTime: { $gt: startTime } }, { endTime: { $exists: false } }],
+            },
+          },
+        })
+        .toArray();
+    },
+
+    // same as findWithWorkedTimeSpansBetween for the tasks of a workspace, whoever their doers are
+    async findInWorkspaceWithWorkedTimeSpansBetween(workspaceId, startTime, endTime) {
+      return tasksCollection
+        .find({
+          workspaceId: new ObjectId(workspaceId),
+          deletedAt: null,
+          workedTimeSpans: {
+            $elemMatch: {
+              startTime: { $lt: endTime },
+              $or: [{ endTime: { $gt: startTime } }, { endTime: { $exists: false } }],
+            },
+          },
+        })
+        .toArray();
+    },
+
+    // set some properties (ex: startTime, endTime) of a workedTimeSpan object
+    // undefined properties of changes are not set
+    // returns false if the workedTimeSpan is not found
+    async updateWorkedTimeSpan(_id, doer, workedTimeSpanId, changes) {
+      const update = {};
+      for (const [key, value] of Object.entries(changes)) {
+        // here $ is the positional operator that refers the matched workedTimeSpan object
+        if (value !== undefined) update[`workedTimeSpans.$.${key}`] = value;
+      }
+
+      const result = await tasksCollection.updateOne(
+        { ...ownTaskFilter(_id, doer), "workedTimeSpans._id": new ObjectId(workedTimeSpanId) },
+        { $set: update }
+      );
+      return result.matchedCount === 1;
+    },
+
+    // remove workedTimeSpan objects whose _id exists in workedTimeSpansIds array
+    // returns { matched, modified }
+    async pullWorkedTimeSpans(_id, doer, workedTimeSpansIds) {
+      const result = await tasksCollection.updateOne(ownTaskFilter(_id, doer), {
+        // $pull operator removes elements
+        // workedTimeSpans is the array name
+        // _id is the property to match for each array element
+        // $in operator takes an array of ObjectId to check that element's _id is in it or not
+        $pull: { workedTimeSpans: { _id: { $in: workedTimeSpansIds.map((id) => new ObjectId(id)) } } },
+      });
+      return { matched: result.matchedCount === 1, modified: result.modifiedCount === 1 };
+    },
+
+    // get the total completed time of the doer's tasks created between startDate and endDate
+    // broken down per project and per tag
+    // returns { projects: [{ projectId, completedTime }], tags: [{ tag, completedTime }] }
+    // tasks without a project are summed up under projectId null
+    // a task with multiple tags counts for every tag, tasks without tags are not in tags
+    // archived tasks are left out if excludeArchived is true
+    async completedTimesByProjectAndTag(doer, startDate, endDate, { excludeArchived } = {}) {
+      const [completedTimes] = await tasksCollection.aggregate([
+        // filter out the tasks for a specific user and between startDate and endDate
+        {
+          $match: {
+            ...doerTasksFilter(doer),
+            date: { $gte: startDate, $lte: endDate },
+            ...(excludeArchived && notArchivedFilter),
+          },
+        },
+        // keep projectId and tags, add completedTime (in millisecond) of every task
+        {
+          $project: {
+            _id: false,
+            projectId: true,
+            tags: true,
+            completedTime: completedTimeOfTask,
+          },
+        },
+        // group the same documents in two different ways
+        {
+          $facet: {
+            // documents without projectId are grouped with _id: null
+            projects: [
+              { $group: { _id: "$projectId", completedTime: { $sum: "$completedTime" } } },
+              { $sort: { completedTime: -1, _id: 1 } },
+              { $project: { _id: false, projectId: "$_id", completedTime: true } },
+            ],
+            // $unwind creates a document for every tag of a task
+            // documents without tags are removed by $unwind
+            tags: [
+              { $unwind: "$tags" },
+              { $group: { _id: "$tags", completedTime: { $sum: "$completedTime" } } },
+              { $sort: { completedTime: -1, _id: 1 } },
+              { $project: { _id: false, tag: "$_id", completedTime: true } },
+            ],
+          },
+        },
+      ]).toArray();
+
+      return completedTimes;
+    },
+
+    // get the dates that have tasks created by the doer
+    async existingDates(doer, timeZone) {
+      return tasksCollection.aggregate([
+        // match stage filters the tasks collection and gets user's tasks
+        {
+          $match: doerTasksFilter(doer)
+        },
+        // convert utc dates in date property of every document to local date string using the timezone that we recieve
+        // remove _id property from every document
+        // output documents {date: utcDate, localDate: "2023-08-01"}
+        {
+          $project: {
+            _id: false,
+            date: true,
+            localDate: {
+              $dateToString: {
+                format: "%Y-%m-%d", date: "$date", timezone: timeZone
+              }
+            },
+          }
+        },
+        // group same localDates documents to single one
+        // keep the first matched document's date
+        // output documents {_id: "2023-08-01", date: utcDate}
+        {
+          $group: {
+            _id: "$localDate",
+            date: { $first: "$date" }
+          }
+        },
+        // sort input documents by date in descending order
+        {
+          $sort: { date: -1 }
+        },
+        // create a single document using _id: null
+        // and push all the input documents _id (that holds local date string)
+        // to the localDates property of the single document
+        // output document {_id: null, localDates: ["2023-08-01", ...]}
+        {
+          $group: {
+            _id: null,
+            localDates: {
+              $push: "$_id"
+            }
+          }
+        }
+
+      ]).toArray();
+    },
+  };
+
+  return {
+    name: "mongodb",
+
+    async connect() {
+      // connect the client to the server
+      await client.connect();
+      // send a ping to confirm a successful connection
+      await client.db("admin").command({ ping: 1 });
+      // usernames are unique
+      await usersCollection.createIndex({ username: 1 }, { unique: true });
+      // a recurring task can't have two tasks for the same local date
+      await tasksCollection.createIndex(
+        { recurringTaskId: 1, occurrenceLocalDate: 1 },
+        { unique: true, partialFilterExpression: { recurringTaskId: { $exists: true } } }
+      );
+      // the due deliveries are taken in the order of their next attempts
+      await webhookDeliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+      await webhookDeliveriesCollection.createIndex({ webhookId: 1, createdAt: -1 });
+      // the workspaces of a user are found by the members and the invitations
+      await workspacesCollection.createIndex({ "members.username": 1 });
+      await workspacesCollection.createIndex({ "invitations.username": 1 });
+      // the tasks of a workspace are read for its report
+      await tasksCollection.createIndex(
+        { workspaceId: 1 },
+        { partialFilterExpression: { workspaceId: { $type: "objectId" } } }
+      );
+      // the tokens of a user are listed
+      await accessTokensCollection.createIndex({ owner: 1 });
+      // the history of a task is read in the order of the changes
+      await taskHistoryCollection.createIndex({ taskId: 1, createdAt: 1 });
+      // the purge job looks for the deleted tasks only
+      await tasksCollection.createIndex(
+        { deletedAt: 1 },
+        { partialFilterExpression: { deletedAt: { $type: "date" } } }
+      );
+      // the changes of a user are pulled in the order of their versions
+      await tasksCollection.createIndex({ doer: 1, version: 1 });
+      await taskTombstonesCollection.createIndex({ doer: 1, version: 1 });
+      // a user can use a key once until it expires
+      await idempotencyKeysCollection.createIndex({ username: 1, key: 1 }, { unique: true });
+      await idempotencyKeysCollection.createIndex({ expiresAt: 1 });
+    },
+
+    async close() {
+      await client.close();
+    },
+
+    users,
+    sessions,
+    accessTokens,
+    roomsStates,
+    disconnectedUsers,
+    pomodoros,
+    projects,
+    recurringTasks,
+    taskHistory,
+    webhooks,
+    webhookDeliveries,
+    workspaces,
+    counters,
+    taskTombstones,
+    idempotencyKeys,
+    tasks,
+  };
+}
+
+module.exports = { createMongoStorage };
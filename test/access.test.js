@@ -0,0 +1,72 @@
+// integration tests of the access of users to the data of other users
+// other users' tasks are not found (404), other users' profiles and data are forbidden (403)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+describe("access to the data of other users", () => {
+  let baseUrl;
+  let alice;
+  let bob;
+
+  before(async () => {
+    baseUrl = await startServer();
+    alice = await signUp(baseUrl);
+    bob = await signUp(baseUrl);
+  });
+
+  after(stopServer);
+
+  it("doesn't find the tasks of another user", async () => {
+    const task = await createTask(baseUrl, alice.accessToken, "private task");
+    const { accessToken } = bob;
+
+    const responses = await Promise.all([
+      request(baseUrl, "PATCH", `/api/v1/tasks/${task._id}`, { body: { name: "renamed" }, accessToken }),
+      request(baseUrl, "DELETE", `/api/v1/tasks/${task._id}`, { accessToken }),
+      request(baseUrl, "GET", `/api/v1/tasks/${task._id}/history`, { accessToken }),
+      request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/start`, { body: {}, accessToken }),
+    ]);
+
+    assert.deepEqual(
+      responses.map(({ status }) => status),
+      [404, 404, 404, 404]
+    );
+    assert.equal(responses[0].body.code, "TASK_NOT_FOUND");
+
+    // the task is not changed
+    const history = await request(baseUrl, "GET", `/api/v1/tasks/${task._id}/history`, {
+      accessToken: alice.accessToken,
+    });
+    assert.equal(history.status, 200);
+    assert.equal(history.body.taskHistory.length, 1);
+  });
+
+  it("doesn't send the tasks of another user", async () => {
+    await createTask(baseUrl, alice.accessToken, "only for alice");
+
+    const { body } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken: bob.accessToken });
+
+    assert.ok(body.changes.every(({ task }) => task.doer === bob.username));
+  });
+
+  it("forbids the profile and the data of another user", async () => {
+    const { accessToken } = bob;
+    const path = `/users/${alice.username}`;
+    const query = "startDate=2020-01-01T00:00:00.000Z&endDate=2030-01-01T00:00:00.000Z&format=json";
+
+    const responses = await Promise.all([
+      request(baseUrl, "GET", path, { accessToken }),
+      request(baseUrl, "PATCH", path, { body: { fullName: "Bob" }, accessToken }),
+      request(baseUrl, "GET", `${path}/export?${query}`, { accessToken }),
+    ]);
+
+    assert.deepEqual(
+      responses.map(({ status }) => status),
+      [403, 403, 403]
+    );
+    assert.equal((await request(baseUrl, "GET", path, { accessToken: alice.accessToken })).status, 200);
+  });
+});
@@ -0,0 +1,89 @@
+// integration tests of the personal access tokens and their scopes
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// create a personal access token of the user with the scopes, returns { accessToken, token }
+async function createAccessToken(baseUrl, accessToken, scopes) {
+  const { body } = await request(baseUrl, "POST", "/auth/tokens", { body: { name: "CLI", scopes }, accessToken });
+
+  return body;
+}
+
+describe("personal access tokens", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("allows only the routes of the token's scopes", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const { token } = await createAccessToken(baseUrl, accessToken, ["tasks:read", "timer"]);
+    assert.match(token, /^zpat_/);
+
+    const responses = await Promise.all([
+      request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken: token }),
+      request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/start`, { body: {}, accessToken: token }),
+      request(baseUrl, "POST", "/api/v1/tasks", { body: { name: "created" }, accessToken: token }),
+      request(baseUrl, "GET", "/api/v1/reports?startDate=2023-07-01T00:00:00Z&endDate=2023-07-31T00:00:00Z", {
+        accessToken: token,
+      }),
+    ]);
+    assert.deepEqual(
+      responses.map(({ status }) => status),
+      [200, 201, 403, 403]
+    );
+    assert.equal(responses[2].body.code, "FORBIDDEN");
+  });
+
+  it("needs a login session for the settings and the tokens", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const { token } = await createAccessToken(baseUrl, accessToken, ["tasks:read", "tasks:write", "timer", "reports"]);
+
+    const responses = await Promise.all([
+      request(baseUrl, "GET", "/api/v1/settings", { accessToken: token }),
+      request(baseUrl, "POST", "/auth/tokens", { body: { name: "other", scopes: ["timer"] }, accessToken: token }),
+    ]);
+    assert.deepEqual(
+      responses.map(({ status }) => status),
+      [403, 403]
+    );
+  });
+
+  it("lists the tokens without their secrets and revokes a token", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const created = await createAccessToken(baseUrl, accessToken, ["tasks:read"]);
+    await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken: created.token });
+
+    const { body } = await request(baseUrl, "GET", "/auth/tokens", { accessToken });
+    assert.equal(body.accessTokens.length, 1);
+    const [listed] = body.accessTokens;
+    assert.equal(listed._id, created.accessToken._id);
+    assert.deepEqual(listed.scopes, ["tasks:read"]);
+    assert.ok(listed.lastUsedAt);
+    assert.equal(listed.token, undefined);
+    assert.equal(listed.tokenHash, undefined);
+
+    await request(baseUrl, "DELETE", `/auth/tokens/${listed._id}`, { accessToken });
+    const revoked = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken: created.token });
+    assert.equal(revoked.status, 401);
+  });
+
+  it("rejects an expiry date in the past", async () => {
+    const { accessToken } = await signUp(baseUrl);
+
+    const { status, body } = await request(baseUrl, "POST", "/auth/tokens", {
+      body: { name: "expired", scopes: ["tasks:read"], expiresAt: "2023-07-11T00:00:00.000Z" },
+      accessToken,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "VALIDATION_FAILED");
+  });
+});
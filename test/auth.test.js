@@ -0,0 +1,84 @@
+// integration tests of signup, login and the rotation of refresh tokens
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp } = require("./helpers");
+
+describe("auth", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("rejects a username that is taken", async () => {
+    const { username } = await signUp(baseUrl);
+
+    const { status } = await request(baseUrl, "POST", "/users", {
+      body: { username, email: "other@example.com", password: "another-password" },
+    });
+
+    assert.equal(status, 409);
+  });
+
+  it("sends the same response for an unknown username and a wrong password", async () => {
+    const { username } = await signUp(baseUrl);
+
+    const wrongPassword = await request(baseUrl, "POST", "/auth/login", {
+      body: { username, password: "wrong-password" },
+    });
+    const unknownUsername = await request(baseUrl, "POST", "/auth/login", {
+      body: { username: "nobody_here", password: "wrong-password" },
+    });
+
+    assert.equal(wrongPassword.status, 401);
+    assert.deepEqual(wrongPassword.body, unknownUsername.body);
+  });
+
+  it("needs a valid access token for the REST API v1", async () => {
+    assert.equal((await request(baseUrl, "GET", "/api/v1/settings")).status, 401);
+    assert.equal((await request(baseUrl, "GET", "/api/v1/settings", { accessToken: "not-a-token" })).status, 403);
+  });
+
+  it("rotates the refresh token and revokes the session when a rotated token is used again", async () => {
+    const { refreshToken } = await signUp(baseUrl);
+
+    const refreshed = await request(baseUrl, "POST", "/auth/refresh", { body: { refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.accessToken);
+    assert.notEqual(refreshed.body.refreshToken, refreshToken);
+
+    // the rotated token is replayed, so the whole session is revoked
+    const replayed = await request(baseUrl, "POST", "/auth/refresh", { body: { refreshToken } });
+    assert.equal(replayed.status, 401);
+
+    const afterReplay = await request(baseUrl, "POST", "/auth/refresh", {
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+    assert.equal(afterReplay.status, 401);
+    assert.equal(
+      (await request(baseUrl, "GET", "/api/v1/settings", { accessToken: refreshed.body.accessToken })).status,
+      401
+    );
+  });
+
+  it("rotates a refresh token only once when it's used twice at the same time", async () => {
+    const { refreshToken } = await signUp(baseUrl);
+
+    const statuses = (
+      await Promise.all([1, 2].map(() => request(baseUrl, "POST", "/auth/refresh", { body: { refreshToken } })))
+    ).map(({ status }) => status);
+
+    assert.deepEqual(statuses.sort(), [200, 401]);
+  });
+
+  it("revokes the session on logout", async () => {
+    const { accessToken } = await signUp(baseUrl);
+
+    assert.equal((await request(baseUrl, "POST", "/auth/logout", { accessToken })).status, 200);
+    assert.equal((await request(baseUrl, "GET", "/api/v1/settings", { accessToken })).status, 401);
+  });
+});
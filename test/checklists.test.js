@@ -0,0 +1,106 @@
+// integration tests of the checklists of tasks
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// the task of the user as the clients read it
+async function readTask(baseUrl, accessToken, taskId) {
+  const { body } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken });
+
+  return body.changes.find(({ task }) => task._id === taskId).task;
+}
+
+// add checklist items to a task, returns the added items
+async function addChecklistItems(baseUrl, accessToken, taskId, names) {
+  const checklistItems = [];
+  for (const name of names) {
+    const { body } = await request(baseUrl, "POST", `/api/v1/tasks/${taskId}/checklist-items`, {
+      body: { name },
+      accessToken,
+    });
+    checklistItems.push(body);
+  }
+
+  return checklistItems;
+}
+
+describe("checklists", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("adds, reorders, updates and deletes the checklist items of a task", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const path = `/api/v1/tasks/${task._id}/checklist-items`;
+    const [draft, review, publish] = await addChecklistItems(baseUrl, accessToken, task._id, [
+      "draft",
+      "review",
+      "publish",
+    ]);
+
+    const reordered = await request(baseUrl, "PUT", `${path}/order`, {
+      body: { checklistItemIds: [review._id, draft._id, publish._id] },
+      accessToken,
+    });
+    assert.equal(reordered.status, 200);
+    await request(baseUrl, "PATCH", `${path}/${draft._id}`, {
+      body: { name: "first draft", isDone: true },
+      accessToken,
+    });
+    await request(baseUrl, "DELETE", `${path}/${publish._id}`, { accessToken });
+
+    const { checklistItems } = await readTask(baseUrl, accessToken, task._id);
+    assert.deepEqual(
+      checklistItems.map(({ name, isDone }) => ({ name, isDone })),
+      [
+        { name: "review", isDone: false },
+        { name: "first draft", isDone: true },
+      ]
+    );
+  });
+
+  it("rejects an order without every checklist item and an unknown checklist item", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const path = `/api/v1/tasks/${task._id}/checklist-items`;
+    const [first] = await addChecklistItems(baseUrl, accessToken, task._id, ["first", "second"]);
+
+    const reordered = await request(baseUrl, "PUT", `${path}/order`, {
+      body: { checklistItemIds: [first._id] },
+      accessToken,
+    });
+    assert.equal(reordered.status, 400);
+    assert.equal(reordered.body.code, "VALIDATION_FAILED");
+
+    const deleted = await request(baseUrl, "DELETE", `${path}/000000000000000000000000`, { accessToken });
+    assert.equal(deleted.status, 404);
+  });
+
+  it("times a checklist item", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const [checklistItem] = await addChecklistItems(baseUrl, accessToken, task._id, ["item"]);
+
+    const started = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/start`, {
+      body: { checklistItemId: checklistItem._id },
+      accessToken,
+    });
+    assert.equal(started.status, 201);
+    assert.equal(started.body.workedTimeSpan.checklistItemId, checklistItem._id);
+    await sleep(10);
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/stop`, { body: {}, accessToken });
+
+    // the whole worked time of the task is worked on the checklist item
+    const { actualDuration, checklistItems } = await readTask(baseUrl, accessToken, task._id);
+    assert.ok(actualDuration > 0);
+    assert.equal(checklistItems[0].actualDuration, actualDuration);
+  });
+});
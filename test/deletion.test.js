@@ -0,0 +1,96 @@
+// integration tests of the status of tasks and the deletion of tasks with undo
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { storage, purgeJob, startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// the names of the user's tasks created in the last day
+async function readTaskNames(baseUrl, accessToken, query = "") {
+  const startDate = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const endDate = new Date(Date.now() + 60 * 1000).toISOString();
+  const { body } = await request(baseUrl, "GET", `/api/v1/tasks?startDate=${startDate}&endDate=${endDate}${query}`, {
+    accessToken,
+  });
+
+  return body.tasks.map(({ name }) => name);
+}
+
+// the task of the user as the clients read it
+async function readTask(baseUrl, accessToken, taskId) {
+  const { body } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken });
+
+  return body.changes.find(({ task }) => task._id === taskId).task;
+}
+
+describe("status and deletion of tasks", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("completes, archives and reopens a task", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken, "archived");
+    await createTask(baseUrl, accessToken, "open");
+    const path = `/api/v1/tasks/${task._id}`;
+
+    await request(baseUrl, "PATCH", path, { body: { status: "completed" }, accessToken });
+    const completed = await readTask(baseUrl, accessToken, task._id);
+    assert.equal(completed.status, "completed");
+    assert.ok(completed.completedAt);
+
+    await request(baseUrl, "PATCH", path, { body: { status: "archived" }, accessToken });
+    assert.deepEqual(await readTaskNames(baseUrl, accessToken), ["archived", "open"]);
+    assert.deepEqual(await readTaskNames(baseUrl, accessToken, "&excludeArchived=true"), ["open"]);
+
+    await request(baseUrl, "PATCH", path, { body: { status: "open" }, accessToken });
+    const reopened = await readTask(baseUrl, accessToken, task._id);
+    assert.equal(reopened.status, "open");
+    assert.equal(reopened.completedAt, null);
+  });
+
+  it("restores a deleted task within the undo window", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken, "deleted");
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/start`, { body: {}, accessToken });
+
+    const deleted = await request(baseUrl, "DELETE", `/api/v1/tasks/${task._id}`, { accessToken });
+    assert.equal(deleted.status, 200);
+    // the undo window is 10 minutes by default
+    const undoWindow = Date.parse(deleted.body.undoUntil) - Date.now();
+    assert.ok(undoWindow > 9 * 60 * 1000 && undoWindow <= 10 * 60 * 1000);
+    assert.deepEqual(await readTaskNames(baseUrl, accessToken), []);
+
+    const restored = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/restore`, { accessToken });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.name, "deleted");
+    assert.deepEqual(await readTaskNames(baseUrl, accessToken), ["deleted"]);
+
+    // a task that isn't deleted can't be restored
+    const again = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/restore`, { accessToken });
+    assert.equal(again.status, 404);
+    assert.equal(again.body.code, "TASK_NOT_FOUND");
+
+    // the timer is stopped by the deletion and stays stopped
+    const stopped = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/stop`, { body: {}, accessToken });
+    assert.equal(stopped.status, 409);
+  });
+
+  it("purges a deleted task after the undo window", async () => {
+    const { username, accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+
+    // deleted 11 minutes ago
+    await storage.tasks.softDeleteOwn(task._id, username, new Date(Date.now() - 11 * 60 * 1000));
+
+    const restored = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/restore`, { accessToken });
+    assert.equal(restored.status, 404);
+
+    assert.ok((await purgeJob.purge()) >= 1);
+    assert.equal(await storage.tasks.findDeletedOwn(task._id, username, new Date(0)), null);
+  });
+});
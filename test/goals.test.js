@@ -0,0 +1,72 @@
+// integration tests of the daily goals and their streaks
+// the users of the tests have no time zone on their profiles, so their local dates are the utc dates
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+const minute = 60 * 1000;
+
+// the utc midnight some days before today
+function daysAgo(days) {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+
+  return new Date(today.getTime() - days * 24 * 60 * minute);
+}
+
+describe("daily goals", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("reports the progress of the days and counts the streaks of the reached goals", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+
+    // minutes worked at noon of the days before today
+    for (const [days, minutes] of [
+      [4, 90],
+      [3, 30],
+      [2, 60],
+      [1, 70],
+    ]) {
+      const startTime = new Date(daysAgo(days).getTime() + 12 * 60 * minute);
+      await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/worked-time-spans`, {
+        body: { startTime, endTime: new Date(startTime.getTime() + minutes * minute) },
+        accessToken,
+      });
+    }
+
+    const updated = await request(baseUrl, "PUT", "/api/v1/goals/daily", { body: { minutes: 60 }, accessToken });
+    assert.deepEqual(updated.body, { minutes: 60, minutesByWeekday: [null, null, null, null, null, null, null] });
+
+    const path = `/api/v1/goals/progress?startDate=${daysAgo(4).toISOString()}&numberOfDays=4`;
+    const { body } = await request(baseUrl, "GET", path, { accessToken });
+    assert.deepEqual(
+      body.days.map(({ completedTime, goal, isReached }) => [completedTime / minute, goal / minute, isReached]),
+      [
+        [90, 60, true],
+        [30, 60, false],
+        [60, 60, true],
+        [70, 60, true],
+      ]
+    );
+    // today isn't over, so it doesn't break the current streak
+    assert.deepEqual(body.streak, { current: 2, longest: 2 });
+
+    // a day without a goal neither extends nor breaks a streak
+    const minutesByWeekday = [null, null, null, null, null, null, null];
+    minutesByWeekday[daysAgo(3).getUTCDay()] = 0;
+    await request(baseUrl, "PUT", "/api/v1/goals/daily", { body: { minutes: 60, minutesByWeekday }, accessToken });
+
+    const withoutGoal = await request(baseUrl, "GET", path, { accessToken });
+    assert.equal(withoutGoal.body.days[1].goal, 0);
+    assert.equal(withoutGoal.body.days[1].isReached, false);
+    assert.deepEqual(withoutGoal.body.streak, { current: 3, longest: 3 });
+  });
+});
@@ -0,0 +1,70 @@
+// helpers of the integration tests
+// the server runs with the in-memory storage on a random port, so the tests don't need a database
+// every test file runs in its own process (node --test), so it gets its own server and storage
+
+process.env.STORAGE = "memory";
+process.env.ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "secret-of-the-integration-tests";
+
+const { randomUUID } = require("crypto");
+
+// storage is used by the tests that need data from the past (ex: the days before a recurring task was created)
+// and the jobs of the server are run by the tests instead of their timers
+const { server, io, storage, watchdog, purgeJob, ready } = require("../index");
+
+// start the server on a random port, returns its base url
+async function startServer() {
+  await ready;
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  return `http://localhost:${server.address().port}`;
+}
+
+// stop the server and the socket.io server (the jobs of the server don't keep the process alive)
+async function stopServer() {
+  await new Promise((resolve) => io.close(resolve));
+}
+
+// send a request with a json body to the server
+// returns { status, headers, body } where body is the parsed json (null if the response isn't json)
+async function request(baseUrl, method, path, { body, accessToken, headers = {} } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const text = await response.text();
+  let parsedBody = null;
+  try {
+    parsedBody = JSON.parse(text);
+  } catch (error) {
+    // not a json response
+  }
+
+  return { status: response.status, headers: response.headers, body: parsedBody };
+}
+
+// sign up a new user with a unique username and log in
+// returns { username, password, accessToken, refreshToken }
+async function signUp(baseUrl) {
+  const username = `user_${randomUUID().slice(0, 8)}`;
+  const password = "password-of-the-tests";
+
+  await request(baseUrl, "POST", "/users", { body: { username, email: `${username}@example.com`, password } });
+  const { body } = await request(baseUrl, "POST", "/auth/login", { body: { username, password } });
+
+  return { username, password, ...body };
+}
+
+// create a task of the user, returns the created task
+async function createTask(baseUrl, accessToken, name = "task") {
+  const { body } = await request(baseUrl, "POST", "/api/v1/tasks", { body: { name }, accessToken });
+
+  return body;
+}
+
+module.exports = { storage, watchdog, purgeJob, startServer, stopServer, request, signUp, createTask };
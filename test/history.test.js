@@ -0,0 +1,104 @@
+// integration tests of the history of tasks and the restore of worked time spans
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// the history of a task, oldest change first
+async function readHistory(baseUrl, accessToken, taskId) {
+  const { body } = await request(baseUrl, "GET", `/api/v1/tasks/${taskId}/history`, { accessToken });
+
+  return body.taskHistory;
+}
+
+describe("history", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("records who changed a task, from where and what changed", async () => {
+    const { username, accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken, "draft");
+
+    await request(baseUrl, "PATCH", `/api/v1/tasks/${task._id}`, {
+      body: { name: "final" },
+      accessToken,
+      headers: { "X-Device": "laptop" },
+    });
+    // an unchanged name is not recorded
+    await request(baseUrl, "PATCH", `/api/v1/tasks/${task._id}`, { body: { name: "final" }, accessToken });
+
+    const taskHistory = await readHistory(baseUrl, accessToken, task._id);
+    assert.deepEqual(
+      taskHistory.map(({ action }) => action),
+      ["tasks:create", "taskName:update"]
+    );
+
+    const [, renaming] = taskHistory;
+    assert.equal(renaming.actor, username);
+    assert.equal(renaming.source, "rest");
+    assert.equal(renaming.device, "laptop");
+    assert.deepEqual(renaming.before, { name: "draft" });
+    assert.deepEqual(renaming.after, { name: "final" });
+  });
+
+  it("restores the worked time spans of a task from before a change", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const path = `/api/v1/tasks/${task._id}`;
+
+    const { body: added } = await request(baseUrl, "POST", `${path}/worked-time-spans`, {
+      body: { startTime: "2023-07-11T09:00:00.000Z", endTime: "2023-07-11T10:00:00.000Z" },
+      accessToken,
+    });
+    await request(baseUrl, "DELETE", `${path}/worked-time-spans/${added.workedTimeSpan._id}`, { accessToken });
+    await request(baseUrl, "PATCH", path, { body: { name: "renamed" }, accessToken });
+
+    const [, , deletion, renaming] = await readHistory(baseUrl, accessToken, task._id);
+    assert.equal(deletion.action, "workedTimeSpan:delete");
+
+    const restored = await request(baseUrl, "POST", `${path}/history/${deletion._id}/restore-worked-time-spans`, {
+      accessToken,
+    });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(
+      restored.body.workedTimeSpans.map(({ startTime, endTime }) => [startTime, endTime]),
+      [["2023-07-11T09:00:00.000Z", "2023-07-11T10:00:00.000Z"]]
+    );
+
+    // the restore is recorded too, so it can be undone the same way
+    const taskHistory = await readHistory(baseUrl, accessToken, task._id);
+    assert.equal(taskHistory[taskHistory.length - 1].action, "workedTimeSpans:restore");
+
+    // a change that didn't change the worked time spans can't be restored
+    const rejected = await request(baseUrl, "POST", `${path}/history/${renaming._id}/restore-worked-time-spans`, {
+      accessToken,
+    });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.code, "VALIDATION_FAILED");
+  });
+
+  it("doesn't restore the worked time spans of a task whose timer is running", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const path = `/api/v1/tasks/${task._id}`;
+
+    await request(baseUrl, "POST", `${path}/worked-time-spans`, {
+      body: { startTime: "2023-07-11T09:00:00.000Z", endTime: "2023-07-11T10:00:00.000Z" },
+      accessToken,
+    });
+    await request(baseUrl, "POST", `${path}/timer/start`, { body: {}, accessToken });
+
+    const [, addition] = await readHistory(baseUrl, accessToken, task._id);
+    const rejected = await request(baseUrl, "POST", `${path}/history/${addition._id}/restore-worked-time-spans`, {
+      accessToken,
+    });
+    assert.equal(rejected.status, 409);
+    assert.equal(rejected.body.code, "CONFLICT");
+  });
+});
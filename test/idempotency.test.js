@@ -0,0 +1,136 @@
+// tests of the idempotency keys of the REST APIs and the socket events
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { storage, startServer, stopServer, request, signUp } = require("./helpers");
+const { withAck } = require("../lib/acks");
+const { AppError, errorCodes } = require("../lib/errors");
+const { withIdempotency } = require("../lib/idempotency");
+const { createIdempotencyService } = require("../services/idempotency");
+
+// emit a socket event to a listener that is wrapped like the listeners of the server
+// returns the acknowledgement after the listener is finished
+async function emit(listener, ...args) {
+  let acknowledgement;
+  await listener(...args, (ack) => (acknowledgement = ack));
+
+  return acknowledgement;
+}
+
+describe("idempotency keys", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("replays the response of a request that is sent again with the same key", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const options = { body: { name: "created once" }, accessToken, headers: { "Idempotency-Key": "create-task-1" } };
+
+    const first = await request(baseUrl, "POST", "/api/v1/tasks", options);
+    const retried = await request(baseUrl, "POST", "/api/v1/tasks", options);
+
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get("Idempotent-Replayed"), null);
+    assert.equal(retried.status, 201);
+    assert.equal(retried.headers.get("Idempotent-Replayed"), "true");
+    assert.deepEqual(retried.body, first.body);
+
+    // the task is created once
+    const { body } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken });
+    assert.equal(body.changes.filter(({ task }) => task.name === "created once").length, 1);
+  });
+
+  it("replays an error response too", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const options = { accessToken, headers: { "Idempotency-Key": "delete-task-1" } };
+
+    const first = await request(baseUrl, "DELETE", "/api/v1/tasks/000000000000000000000000", options);
+    const retried = await request(baseUrl, "DELETE", "/api/v1/tasks/000000000000000000000000", options);
+
+    assert.equal(first.status, 404);
+    assert.equal(retried.status, 404);
+    assert.equal(retried.headers.get("Idempotent-Replayed"), "true");
+  });
+
+  it("rejects a key that is used for another request", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const headers = { "Idempotency-Key": "create-task-2" };
+
+    await request(baseUrl, "POST", "/api/v1/tasks", { body: { name: "first" }, accessToken, headers });
+    const reused = await request(baseUrl, "POST", "/api/v1/tasks", { body: { name: "second" }, accessToken, headers });
+
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.code, "IDEMPOTENCY_KEY_REUSED");
+  });
+
+  it("keeps the keys of every user apart", async () => {
+    const alice = await signUp(baseUrl);
+    const bob = await signUp(baseUrl);
+    const options = { body: { name: "same request" }, headers: { "Idempotency-Key": "create-task-3" } };
+
+    const ofAlice = await request(baseUrl, "POST", "/api/v1/tasks", { ...options, accessToken: alice.accessToken });
+    const ofBob = await request(baseUrl, "POST", "/api/v1/tasks", { ...options, accessToken: bob.accessToken });
+
+    assert.equal(ofBob.status, 201);
+    assert.equal(ofBob.headers.get("Idempotent-Replayed"), null);
+    assert.notEqual(ofBob.body._id, ofAlice.body._id);
+  });
+
+  it("rejects an invalid key", async () => {
+    const { accessToken } = await signUp(baseUrl);
+
+    const { status } = await request(baseUrl, "POST", "/api/v1/tasks", {
+      body: { name: "task" },
+      accessToken,
+      headers: { "Idempotency-Key": "short" },
+    });
+
+    assert.equal(status, 400);
+  });
+
+  it("remembers the acknowledgement of a socket event that fails after it's acknowledged", async () => {
+    const idempotencyService = createIdempotencyService({ storage, retentionInMs: 60 * 1000 });
+    let numberOfRuns = 0;
+    const listener = withAck(
+      "tasks:create",
+      "alice",
+      withIdempotency(idempotencyService, "tasks:create", "alice", 1, async (name, ack) => {
+        numberOfRuns++;
+        ack("Task created!", { name });
+        throw new Error("broadcast failed");
+      })
+    );
+
+    const first = await emit(listener, "task", { idempotencyKey: "socket-create-task-1" });
+    const retried = await emit(listener, "task", { idempotencyKey: "socket-create-task-1" });
+
+    assert.equal(numberOfRuns, 1);
+    assert.deepEqual(first, { status: "OK", code: "OK", message: "Task created!", data: { name: "task" } });
+    assert.deepEqual(retried, first);
+  });
+
+  it("remembers the error of a socket event that isn't acknowledged", async () => {
+    const idempotencyService = createIdempotencyService({ storage, retentionInMs: 60 * 1000 });
+    let numberOfRuns = 0;
+    const listener = withAck(
+      "tasks:delete",
+      "alice",
+      withIdempotency(idempotencyService, "tasks:delete", "alice", 1, async () => {
+        numberOfRuns++;
+        throw new AppError(errorCodes.NOT_FOUND, "Task not found!", { httpStatus: 404 });
+      })
+    );
+
+    const first = await emit(listener, "missing", { idempotencyKey: "socket-delete-task-1" });
+    const retried = await emit(listener, "missing", { idempotencyKey: "socket-delete-task-1" });
+
+    assert.equal(numberOfRuns, 1);
+    assert.equal(first.code, errorCodes.NOT_FOUND);
+    assert.deepEqual(retried, first);
+  });
+});
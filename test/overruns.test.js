@@ -0,0 +1,69 @@
+// integration tests of the estimates of tasks and the overrun alerts of running timers
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+
+const { storage, startServer, stopServer, request, signUp } = require("./helpers");
+
+// the task of the user as the clients read it
+async function readTask(baseUrl, accessToken, taskId) {
+  const { body } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken });
+
+  return body.changes.find(({ task }) => task._id === taskId).task;
+}
+
+describe("overruns", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("compares the worked time of a task with its estimate", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const { body: task } = await request(baseUrl, "POST", "/api/v1/tasks", {
+      body: { name: "estimated", estimatedDuration: 60 * 60 * 1000 },
+      accessToken,
+    });
+
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/worked-time-spans`, {
+      body: { startTime: "2023-07-11T09:00:00.000Z", endTime: "2023-07-11T11:00:00.000Z" },
+      accessToken,
+    });
+
+    const { estimatedDuration, actualDuration, isOverrun } = await readTask(baseUrl, accessToken, task._id);
+    assert.equal(estimatedDuration, 60 * 60 * 1000);
+    assert.equal(actualDuration, 2 * 60 * 60 * 1000);
+    assert.equal(isOverrun, true);
+  });
+
+  it("alerts once when the running timer gets longer than the estimate, again after the estimate changes", async () => {
+    const { username, accessToken } = await signUp(baseUrl);
+    const { body: task } = await request(baseUrl, "POST", "/api/v1/tasks", {
+      body: { name: "quick", estimatedDuration: 200 },
+      accessToken,
+    });
+
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/start`, { body: {}, accessToken });
+    assert.equal((await storage.tasks.findOwn(task._id, username)).overrunNotifiedAt, undefined);
+
+    // the alert is scheduled for when the estimate is over
+    await sleep(400);
+    const { overrunNotifiedAt } = await storage.tasks.findOwn(task._id, username);
+    assert.ok(overrunNotifiedAt instanceof Date);
+    assert.equal((await readTask(baseUrl, accessToken, task._id)).isOverrun, true);
+
+    // a new estimate can be alerted again
+    await request(baseUrl, "PATCH", `/api/v1/tasks/${task._id}`, {
+      body: { estimatedDuration: 60 * 60 * 1000 },
+      accessToken,
+    });
+    assert.equal((await storage.tasks.findOwn(task._id, username)).overrunNotifiedAt, null);
+    assert.equal((await readTask(baseUrl, accessToken, task._id)).isOverrun, false);
+
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/stop`, { body: {}, accessToken });
+  });
+});
@@ -0,0 +1,77 @@
+// integration tests of the pomodoro sessions
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+const minute = 60 * 1000;
+
+describe("pomodoro", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("starts a session with the user's settings and the options of the request", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+
+    await request(baseUrl, "PATCH", "/api/v1/settings", {
+      body: { pomodoro: { workMinutes: 50, shortBreakMinutes: 10, longBreakMinutes: 30, cycles: 2 } },
+      accessToken,
+    });
+    const started = await request(baseUrl, "POST", "/api/v1/pomodoro", {
+      body: { taskId: task._id, shortBreakMinutes: 5 },
+      accessToken,
+    });
+
+    assert.equal(started.status, 201);
+    const { pomodoro } = started.body;
+    assert.equal(pomodoro.phase, "work");
+    assert.equal(pomodoro.cycle, 1);
+    assert.equal(pomodoro.cycles, 2);
+    assert.equal(pomodoro.workDuration, 50 * minute);
+    assert.equal(pomodoro.shortBreakDuration, 5 * minute);
+    assert.equal(Date.parse(pomodoro.phaseEndTime) - Date.parse(pomodoro.phaseStartTime), 50 * minute);
+
+    const { body } = await request(baseUrl, "GET", "/api/v1/pomodoro", { accessToken });
+    assert.deepEqual(body.pomodoro, pomodoro);
+
+    // one session at a time
+    const again = await request(baseUrl, "POST", "/api/v1/pomodoro", { body: { taskId: task._id }, accessToken });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "CONFLICT");
+  });
+
+  it("stops the session and its timer", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    await request(baseUrl, "POST", "/api/v1/pomodoro", { body: { taskId: task._id }, accessToken });
+
+    assert.equal((await request(baseUrl, "DELETE", "/api/v1/pomodoro", { accessToken })).status, 200);
+    assert.equal((await request(baseUrl, "GET", "/api/v1/pomodoro", { accessToken })).body.pomodoro, null);
+
+    // the timer of the work phase is stopped
+    const stopped = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/stop`, { body: {}, accessToken });
+    assert.equal(stopped.status, 409);
+
+    assert.equal((await request(baseUrl, "DELETE", "/api/v1/pomodoro", { accessToken })).status, 404);
+  });
+
+  it("stops the session when the timer of its task is stopped", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    await request(baseUrl, "POST", "/api/v1/pomodoro", { body: { taskId: task._id }, accessToken });
+
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/stop`, { body: {}, accessToken });
+    // the session follows the changes of the tasks after the response
+    await sleep(100);
+
+    assert.equal((await request(baseUrl, "GET", "/api/v1/pomodoro", { accessToken })).body.pomodoro, null);
+  });
+});
@@ -0,0 +1,110 @@
+// integration tests of the recurring tasks and their occurrences
+// the users of the tests have no time zone on their profiles, so their local dates are the utc dates
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { storage, startServer, stopServer, request, signUp } = require("./helpers");
+
+// a utc date some days from today, ex: "2023-07-11"
+function localDateInDays(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// the occurrences of a recurring task that the user pulls, ordered by their local dates
+async function pullOccurrences(baseUrl, accessToken, recurringTaskId) {
+  const { body } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken });
+
+  return body.changes
+    .map(({ task }) => task)
+    .filter((task) => task.recurringTaskId === recurringTaskId)
+    .sort((a, b) => a.occurrenceLocalDate.localeCompare(b.occurrenceLocalDate));
+}
+
+describe("recurring tasks", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("creates today's occurrence once, like a new task of the user", async () => {
+    const { accessToken } = await signUp(baseUrl);
+
+    const created = await request(baseUrl, "POST", "/api/v1/recurring-tasks", {
+      body: { name: "standup", rule: { frequency: "daily" } },
+      accessToken,
+    });
+    assert.equal(created.status, 201);
+
+    await pullOccurrences(baseUrl, accessToken, created.body._id);
+    const occurrences = await pullOccurrences(baseUrl, accessToken, created.body._id);
+
+    assert.equal(occurrences.length, 1);
+    const [occurrence] = occurrences;
+    assert.equal(occurrence.name, "standup");
+    assert.equal(occurrence.occurrenceLocalDate, localDateInDays(0));
+    assert.equal(occurrence.status, "open");
+    assert.deepEqual(occurrence.checklistItems, []);
+    assert.equal(occurrence.estimatedDuration, null);
+    assert.equal(occurrence.completedAt, null);
+
+    const { body } = await request(baseUrl, "GET", `/api/v1/tasks/${occurrence._id}/history`, { accessToken });
+    assert.equal(body.taskHistory.length, 1);
+    assert.equal(body.taskHistory[0].action, "tasks:create");
+    assert.equal(body.taskHistory[0].source, "recurrence");
+
+    // a deleted occurrence is not created again
+    await request(baseUrl, "DELETE", `/api/v1/tasks/${occurrence._id}`, { accessToken });
+    assert.equal((await pullOccurrences(baseUrl, accessToken, created.body._id)).length, 0);
+  });
+
+  it("creates the missed occurrences of a custom rule every 2 weeks", async () => {
+    const { username, accessToken } = await signUp(baseUrl);
+
+    // the Monday 4 weeks before the Monday of this week
+    const daysSinceMonday = (new Date().getUTCDay() + 6) % 7;
+    const startLocalDate = localDateInDays(-daysSinceMonday - 28);
+
+    const { body: recurringTask } = await request(baseUrl, "POST", "/api/v1/recurring-tasks", {
+      body: { name: "review", rule: { frequency: "custom", weekdays: [3, 1], intervalInWeeks: 2 }, startLocalDate },
+      accessToken,
+    });
+    assert.deepEqual(recurringTask.rule.weekdays, [1, 3]);
+
+    // the occurrences of the days before today are missed, as if the user didn't read the tasks since the start
+    await storage.recurringTasks.update(recurringTask._id, username, {
+      materializedUntilLocalDate: localDateInDays(-daysSinceMonday - 29),
+    });
+
+    // the Mondays and Wednesdays of the weeks 0, 2 and 4 (this week) until today
+    const expected = [0, 2, 14, 16, 28, 30]
+      .filter((days) => days <= daysSinceMonday + 28)
+      .map((days) => localDateInDays(days - daysSinceMonday - 28));
+
+    const occurrences = await pullOccurrences(baseUrl, accessToken, recurringTask._id);
+    assert.deepEqual(
+      occurrences.map(({ occurrenceLocalDate }) => occurrenceLocalDate),
+      expected
+    );
+  });
+
+  it("rejects invalid rules and dates", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const create = (body) => request(baseUrl, "POST", "/api/v1/recurring-tasks", { body, accessToken });
+
+    const responses = await Promise.all([
+      create({ name: "no weekdays", rule: { frequency: "custom" } }),
+      create({ name: "no date", rule: { frequency: "daily" }, startLocalDate: "2023-02-30" }),
+      create({ name: "ended", rule: { frequency: "daily" }, startLocalDate: "2023-07-11", endLocalDate: "2023-07-10" }),
+    ]);
+
+    assert.deepEqual(
+      responses.map(({ status }) => status),
+      [400, 400, 400]
+    );
+    assert.ok(responses.every(({ body }) => body.code === "VALIDATION_FAILED"));
+  });
+});
@@ -0,0 +1,89 @@
+// integration tests of the reports of the completed time
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+const minute = 60 * 1000;
+
+// add the worked time spans to a task
+async function addWorkedTimeSpans(baseUrl, accessToken, taskId, workedTimeSpans) {
+  for (const [startTime, endTime] of workedTimeSpans) {
+    await request(baseUrl, "POST", `/api/v1/tasks/${taskId}/worked-time-spans`, {
+      body: { startTime, endTime },
+      accessToken,
+    });
+  }
+}
+
+describe("reports", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("buckets the completed time by the local dates and hours, also when the clocks go back", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken, "night shift");
+    const other = await createTask(baseUrl, accessToken, "other");
+
+    await addWorkedTimeSpans(baseUrl, accessToken, task._id, [
+      // 01:00 EDT to 01:00 EST on Sunday 2023-11-05, the local hour 1 happens twice
+      ["2023-11-05T05:00:00.000Z", "2023-11-05T07:00:00.000Z"],
+      // 23:30 on Sunday to 00:30 on Monday
+      ["2023-11-06T04:30:00.000Z", "2023-11-06T05:30:00.000Z"],
+    ]);
+    // the day before the report
+    await addWorkedTimeSpans(baseUrl, accessToken, other._id, [
+      ["2023-11-04T12:00:00.000Z", "2023-11-04T13:00:00.000Z"],
+    ]);
+
+    const query = "startDate=2023-11-05T12:00:00.000Z&endDate=2023-11-06T12:00:00.000Z&timeZone=America/New_York";
+    const { status, body } = await request(baseUrl, "GET", `/api/v1/reports?${query}`, { accessToken });
+
+    assert.equal(status, 200);
+    assert.equal(body.totalCompletedTime, 180 * minute);
+    assert.deepEqual(body.days, [
+      { localDate: "2023-11-05", completedTime: 150 * minute },
+      { localDate: "2023-11-06", completedTime: 30 * minute },
+    ]);
+
+    // Sunday is heatmap[0] and Monday is heatmap[1]
+    assert.equal(body.heatmap[0][1], 120 * minute);
+    assert.equal(body.heatmap[0][23], 30 * minute);
+    assert.equal(body.heatmap[1][0], 30 * minute);
+
+    // Sunday is the last day of an ISO week
+    assert.deepEqual(body.weeks, [
+      { week: "2023-W44", weekStartLocalDate: "2023-10-30", completedTime: 150 * minute },
+      { week: "2023-W45", weekStartLocalDate: "2023-11-06", completedTime: 30 * minute },
+    ]);
+    assert.deepEqual(body.months, [{ month: "2023-11", completedTime: 180 * minute }]);
+
+    assert.deepEqual(
+      body.tasks.map(({ name, completedTime, numberOfSessions }) => ({ name, completedTime, numberOfSessions })),
+      [{ name: "night shift", completedTime: 180 * minute, numberOfSessions: 2 }]
+    );
+    assert.equal(body.numberOfSessions, 2);
+    assert.equal(body.averageSessionLength, 90 * minute);
+    assert.deepEqual(body.longestStreak, {
+      numberOfDays: 2,
+      startLocalDate: "2023-11-05",
+      endLocalDate: "2023-11-06",
+    });
+  });
+
+  it("rejects a report that ends before it starts", async () => {
+    const { accessToken } = await signUp(baseUrl);
+
+    const query = "startDate=2023-11-06T12:00:00.000Z&endDate=2023-11-05T12:00:00.000Z";
+    const { status, body } = await request(baseUrl, "GET", `/api/v1/reports?${query}`, { accessToken });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "VALIDATION_FAILED");
+  });
+});
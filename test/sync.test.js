@@ -0,0 +1,114 @@
+// integration tests of the versioned delta sync of the tasks
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// pull the changes of the user's tasks since a cursor, returns { changes, cursor, hasMore }
+async function pull(baseUrl, accessToken, cursor) {
+  const { body } = await request(baseUrl, "GET", `/api/v1/sync?cursor=${cursor}`, { accessToken });
+
+  return body;
+}
+
+describe("sync", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("pulls only the changes after the cursor", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const first = await createTask(baseUrl, accessToken, "first");
+    await createTask(baseUrl, accessToken, "second");
+
+    const fullSync = await pull(baseUrl, accessToken, 0);
+    assert.deepEqual(
+      fullSync.changes.map(({ type, task }) => [type, task.name]),
+      [
+        ["task", "first"],
+        ["task", "second"],
+      ]
+    );
+    assert.equal(fullSync.cursor, fullSync.changes[1].version);
+    assert.equal(fullSync.hasMore, false);
+
+    // nothing changed after the cursor
+    assert.deepEqual(await pull(baseUrl, accessToken, fullSync.cursor), {
+      changes: [],
+      cursor: fullSync.cursor,
+      hasMore: false,
+    });
+
+    await request(baseUrl, "PATCH", `/api/v1/tasks/${first._id}`, { body: { name: "renamed" }, accessToken });
+
+    const delta = await pull(baseUrl, accessToken, fullSync.cursor);
+    assert.equal(delta.changes.length, 1);
+    assert.equal(delta.changes[0].task._id, first._id);
+    assert.equal(delta.changes[0].task.name, "renamed");
+    assert.ok(delta.changes[0].version > fullSync.cursor);
+  });
+
+  it("leaves a tombstone for a deleted task, but not for a full sync", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const { cursor } = await pull(baseUrl, accessToken, 0);
+
+    await request(baseUrl, "DELETE", `/api/v1/tasks/${task._id}`, { accessToken });
+
+    const delta = await pull(baseUrl, accessToken, cursor);
+    assert.equal(delta.changes.length, 1);
+    assert.equal(delta.changes[0].type, "tombstone");
+    assert.equal(delta.changes[0].taskId, task._id);
+    assert.deepEqual((await pull(baseUrl, accessToken, 0)).changes, []);
+
+    // a restored task comes back with a newer version
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/restore`, { body: {}, accessToken });
+    const restored = await pull(baseUrl, accessToken, delta.cursor);
+    assert.deepEqual(
+      restored.changes.map(({ type, task: { _id } }) => [type, _id]),
+      [["task", task._id]]
+    );
+  });
+
+  it("versions the tasks of a deleted project", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const { body: project } = await request(baseUrl, "POST", "/api/v1/projects", {
+      body: { name: "Client" },
+      accessToken,
+    });
+    const { body: task } = await request(baseUrl, "POST", "/api/v1/tasks", {
+      body: { name: "design", projectId: project._id },
+      accessToken,
+    });
+    const { cursor } = await pull(baseUrl, accessToken, 0);
+
+    await request(baseUrl, "DELETE", `/api/v1/projects/${project._id}`, { accessToken });
+
+    const { changes } = await pull(baseUrl, accessToken, cursor);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].task._id, task._id);
+    assert.equal(changes[0].task.projectId, null);
+  });
+
+  it("pulls many changes in pages", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    // one more task than a page
+    for (let index = 0; index < 501; index++) await createTask(baseUrl, accessToken, `task ${index}`);
+
+    const firstPage = await pull(baseUrl, accessToken, 0);
+    assert.equal(firstPage.changes.length, 500);
+    assert.equal(firstPage.hasMore, true);
+
+    const secondPage = await pull(baseUrl, accessToken, firstPage.cursor);
+    assert.deepEqual(
+      secondPage.changes.map(({ task }) => task.name),
+      ["task 500"]
+    );
+    assert.equal(secondPage.hasMore, false);
+  });
+});
@@ -0,0 +1,61 @@
+// tests of the local dates of time zones, the days of the completed times are built with them
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { localDatesFrom, splitAtLocalMidnights, startOfLocalDate, toLocalDateString } = require("../lib/time");
+
+const hour = 60 * 60 * 1000;
+
+describe("local dates", () => {
+  it("gets the local date of a time in a time zone", () => {
+    // 22:00 utc is 04:00 of the next day in Dhaka (utc+6) and 18:00 of the same day in New York (utc-4)
+    assert.equal(toLocalDateString(new Date("2023-07-11T22:00:00.000Z"), "Asia/Dhaka"), "2023-07-12");
+    assert.equal(toLocalDateString(new Date("2023-07-11T22:00:00.000Z"), "America/New_York"), "2023-07-11");
+    assert.deepEqual(localDatesFrom(new Date("2023-03-25T18:00:00.000Z"), 3, "Asia/Dhaka"), [
+      "2023-03-26",
+      "2023-03-27",
+      "2023-03-28",
+    ]);
+  });
+
+  it("starts the days at the local midnights, also on the days of daylight saving time changes", () => {
+    // the day the clocks go back is 25 hours long
+    const fallBackDay = startOfLocalDate("2023-11-05", "America/New_York");
+    assert.equal(fallBackDay.toISOString(), "2023-11-05T04:00:00.000Z");
+    assert.equal(startOfLocalDate("2023-11-06", "America/New_York") - fallBackDay, 25 * hour);
+
+    // the day the clocks go forward is 23 hours long
+    const springForwardDay = startOfLocalDate("2023-03-12", "America/New_York");
+    assert.equal(springForwardDay.toISOString(), "2023-03-12T05:00:00.000Z");
+    assert.equal(startOfLocalDate("2023-03-13", "America/New_York") - springForwardDay, 23 * hour);
+
+    // the clocks of Santiago jump from 00:00 to 01:00, so the day starts at 01:00
+    assert.equal(startOfLocalDate("2023-09-03", "America/Santiago").toISOString(), "2023-09-03T04:00:00.000Z");
+  });
+
+  it("splits a time span at the local midnights", () => {
+    // 23:00 to 01:00 in Dhaka
+    assert.deepEqual(
+      splitAtLocalMidnights(new Date("2023-07-11T17:00:00.000Z"), new Date("2023-07-11T19:00:00.000Z"), "Asia/Dhaka"),
+      [
+        { localDate: "2023-07-11", duration: hour },
+        { localDate: "2023-07-12", duration: hour },
+      ]
+    );
+
+    // 23:00 on the day before the clocks go back in New York to 01:00 on the day after
+    assert.deepEqual(
+      splitAtLocalMidnights(
+        new Date("2023-11-05T03:00:00.000Z"),
+        new Date("2023-11-06T06:00:00.000Z"),
+        "America/New_York"
+      ),
+      [
+        { localDate: "2023-11-04", duration: hour },
+        { localDate: "2023-11-05", duration: 25 * hour },
+        { localDate: "2023-11-06", duration: hour },
+      ]
+    );
+  });
+});
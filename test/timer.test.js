@@ -0,0 +1,123 @@
+// integration tests of the timers and the worked time spans of tasks
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// a date some minutes ago
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+describe("timers", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("rejects a second running timer with the reject setting", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const first = await createTask(baseUrl, accessToken, "first");
+    const second = await createTask(baseUrl, accessToken, "second");
+
+    await request(baseUrl, "PATCH", "/api/v1/settings", { body: { timerConflict: "reject" }, accessToken });
+
+    const started = await request(baseUrl, "POST", `/api/v1/tasks/${first._id}/timer/start`, { body: {}, accessToken });
+    assert.equal(started.status, 201);
+
+    const rejected = await request(baseUrl, "POST", `/api/v1/tasks/${second._id}/timer/start`, {
+      body: {},
+      accessToken,
+    });
+    assert.equal(rejected.status, 409);
+    assert.equal(rejected.body.code, "CONFLICT");
+    assert.equal(rejected.body.data.runningTaskId, first._id);
+  });
+
+  it("stops the running timer with the autoStop setting", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const first = await createTask(baseUrl, accessToken, "first");
+    const second = await createTask(baseUrl, accessToken, "second");
+
+    await request(baseUrl, "POST", `/api/v1/tasks/${first._id}/timer/start`, { body: {}, accessToken });
+    const started = await request(baseUrl, "POST", `/api/v1/tasks/${second._id}/timer/start`, {
+      body: {},
+      accessToken,
+    });
+
+    assert.equal(started.status, 201);
+    assert.equal(started.body.stoppedWorkedTimeSpans.length, 1);
+
+    // the timer of the first task is not running anymore
+    const stopped = await request(baseUrl, "POST", `/api/v1/tasks/${first._id}/timer/stop`, { body: {}, accessToken });
+    assert.equal(stopped.status, 409);
+  });
+
+  it("rejects a worked time span that overlaps another one", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const first = await createTask(baseUrl, accessToken, "first");
+    const second = await createTask(baseUrl, accessToken, "second");
+
+    const added = await request(baseUrl, "POST", `/api/v1/tasks/${first._id}/worked-time-spans`, {
+      body: { startTime: minutesAgo(60), endTime: minutesAgo(30) },
+      accessToken,
+    });
+    assert.equal(added.status, 201);
+
+    const overlapping = await request(baseUrl, "POST", `/api/v1/tasks/${second._id}/worked-time-spans`, {
+      body: { startTime: minutesAgo(45), endTime: minutesAgo(15) },
+      accessToken,
+    });
+    assert.equal(overlapping.status, 409);
+    assert.equal(overlapping.body.code, "TIME_SPAN_OVERLAP");
+    assert.equal(overlapping.body.data.overlappingWorkedTimeSpans.length, 1);
+
+    // a time span right after the other one doesn't overlap it
+    const adjacent = await request(baseUrl, "POST", `/api/v1/tasks/${second._id}/worked-time-spans`, {
+      body: { startTime: minutesAgo(30), endTime: minutesAgo(15) },
+      accessToken,
+    });
+    assert.equal(adjacent.status, 201);
+  });
+
+  it("rejects an edit that makes a worked time span overlap another one", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/worked-time-spans`, {
+      body: { startTime: minutesAgo(60), endTime: minutesAgo(50) },
+      accessToken,
+    });
+    const { body } = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/worked-time-spans`, {
+      body: { startTime: minutesAgo(40), endTime: minutesAgo(30) },
+      accessToken,
+    });
+
+    const path = `/api/v1/tasks/${task._id}/worked-time-spans/${body.workedTimeSpan._id}`;
+    const edited = await request(baseUrl, "PATCH", path, { body: { startTime: minutesAgo(55) }, accessToken });
+    assert.equal(edited.status, 409);
+    assert.equal(edited.body.code, "TIME_SPAN_OVERLAP");
+  });
+
+  it("rejects invalid and future worked time spans", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const task = await createTask(baseUrl, accessToken);
+    const path = `/api/v1/tasks/${task._id}/worked-time-spans`;
+
+    const reversed = await request(baseUrl, "POST", path, {
+      body: { startTime: minutesAgo(10), endTime: minutesAgo(20) },
+      accessToken,
+    });
+    const future = await request(baseUrl, "POST", path, {
+      body: { startTime: minutesAgo(10), endTime: minutesAgo(-60) },
+      accessToken,
+    });
+
+    assert.equal(reversed.body.code, "INVALID_TIME_SPAN");
+    assert.equal(future.body.code, "INVALID_TIME_SPAN");
+  });
+});
@@ -0,0 +1,118 @@
+// integration tests of the export and the import of tasks
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// the export of the tasks of the user created in the last day
+async function exportTasks(baseUrl, { username, accessToken }, format, timeZone = "America/New_York") {
+  const startDate = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const endDate = new Date(Date.now() + 60 * 1000).toISOString();
+  const query = `startDate=${startDate}&endDate=${endDate}&format=${format}&timeZone=${timeZone}`;
+
+  const response = await fetch(`${baseUrl}/users/${username}/export?${query}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  return { status: response.status, contentType: response.headers.get("Content-Type"), text: await response.text() };
+}
+
+describe("export and import", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("imports an exported json file into another account", async () => {
+    const exporter = await signUp(baseUrl);
+    const importer = await signUp(baseUrl);
+
+    const project = (
+      await request(baseUrl, "POST", "/api/v1/projects", {
+        body: { name: "Client" },
+        accessToken: exporter.accessToken,
+      })
+    ).body;
+    const task = (
+      await request(baseUrl, "POST", "/api/v1/tasks", {
+        body: { name: "design", projectId: project._id, tags: ["ui"] },
+        accessToken: exporter.accessToken,
+      })
+    ).body;
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/worked-time-spans`, {
+      body: { startTime: "2023-07-11T09:00:00.000Z", endTime: "2023-07-11T10:30:00.000Z" },
+      accessToken: exporter.accessToken,
+    });
+
+    const exported = await exportTasks(baseUrl, exporter, "json");
+    assert.equal(exported.status, 200);
+
+    const imported = await request(baseUrl, "POST", `/users/${importer.username}/import`, {
+      body: JSON.parse(exported.text),
+      accessToken: importer.accessToken,
+    });
+    assert.equal(imported.status, 201);
+    assert.deepEqual(imported.body, { importedTasks: 1, importedWorkedTimeSpans: 1, createdProjects: 1 });
+
+    // the imported task has a new _id and the same name, tags, project and worked time span
+    const [reexported] = JSON.parse((await exportTasks(baseUrl, importer, "json")).text).tasks;
+    assert.notEqual(reexported._id, task._id);
+    assert.equal(reexported.name, "design");
+    assert.deepEqual(reexported.tags, ["ui"]);
+    assert.equal(reexported.workedTimeSpans[0].startTime, "2023-07-11T09:00:00.000Z");
+    assert.equal(reexported.workedTimeSpans[0].endTime, "2023-07-11T10:30:00.000Z");
+
+    // the same file can't be imported twice
+    const again = await request(baseUrl, "POST", `/users/${importer.username}/import`, {
+      body: JSON.parse(exported.text),
+      accessToken: importer.accessToken,
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "TIME_SPAN_OVERLAP");
+  });
+
+  it("writes the events of iCalendar in utc, also in the repeated hour of a daylight saving time change", async () => {
+    const user = await signUp(baseUrl);
+    const task = await createTask(baseUrl, user.accessToken, "night shift");
+
+    // 01:00 EDT to 01:30 EST on 2023-11-05, the clocks of New York go back from 02:00 EDT to 01:00 EST
+    for (const [startTime, endTime] of [
+      ["2023-11-05T05:00:00.000Z", "2023-11-05T05:30:00.000Z"],
+      ["2023-11-05T05:30:00.000Z", "2023-11-05T06:30:00.000Z"],
+    ]) {
+      await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/worked-time-spans`, {
+        body: { startTime, endTime },
+        accessToken: user.accessToken,
+      });
+    }
+
+    const { status, contentType, text } = await exportTasks(baseUrl, user, "ics");
+    assert.equal(status, 200);
+    assert.match(contentType, /^text\/calendar/);
+    assert.doesNotMatch(text, /TZID/);
+
+    const starts = [...text.matchAll(/^DTSTART:(\S+)\r$/gm)].map((match) => match[1]);
+    const ends = [...text.matchAll(/^DTEND:(\S+)\r$/gm)].map((match) => match[1]);
+    assert.deepEqual(starts, ["20231105T050000Z", "20231105T053000Z"]);
+    assert.deepEqual(ends, ["20231105T053000Z", "20231105T063000Z"]);
+  });
+
+  it("writes the local times of the user's time zone in csv", async () => {
+    const user = await signUp(baseUrl);
+    const task = await createTask(baseUrl, user.accessToken, "report");
+    await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/worked-time-spans`, {
+      body: { startTime: "2023-07-11T22:00:00.000Z", endTime: "2023-07-11T23:00:00.000Z" },
+      accessToken: user.accessToken,
+    });
+
+    const { text } = await exportTasks(baseUrl, user, "csv", "Asia/Dhaka");
+    const [, row] = text.trim().split(/\r?\n/);
+
+    // 22:00 utc is 04:00 of the next day in Dhaka (utc+6)
+    assert.match(row, /,2023-07-12,2023-07-12 04:00:00,2023-07-12 05:00:00,3600,Asia\/Dhaka,/);
+  });
+});
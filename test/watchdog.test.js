@@ -0,0 +1,81 @@
+// integration tests of the watchdog that closes the timers of the users who don't come back after a disconnection
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { storage, watchdog, startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// a date some minutes ago
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000);
+}
+
+// start the timer of a new task that was started some minutes ago, returns the task and its running span
+async function startTimerMinutesAgo(baseUrl, { username, accessToken }, minutes) {
+  const task = await createTask(baseUrl, accessToken);
+  const { body } = await request(baseUrl, "POST", `/api/v1/tasks/${task._id}/timer/start`, { body: {}, accessToken });
+  await storage.tasks.updateWorkedTimeSpan(task._id, username, body.workedTimeSpan._id, {
+    startTime: minutesAgo(minutes),
+  });
+
+  return { task, workedTimeSpan: body.workedTimeSpan };
+}
+
+// the worked time spans of a task of the user
+async function readWorkedTimeSpans(baseUrl, accessToken, taskId) {
+  const { body } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", { accessToken });
+
+  return body.changes.find(({ task }) => task._id === taskId).task.workedTimeSpans;
+}
+
+describe("orphaned timer watchdog", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("closes the timer of a user who doesn't come back at the time of the disconnection", async () => {
+    const user = await signUp(baseUrl);
+    const { task } = await startTimerMinutesAgo(baseUrl, user, 120);
+    const lastSeenAt = minutesAgo(60);
+
+    await watchdog.userDisconnected(user.username, lastSeenAt);
+    await watchdog.check();
+
+    const [workedTimeSpan] = await readWorkedTimeSpans(baseUrl, user.accessToken, task._id);
+    assert.equal(workedTimeSpan.endTime, lastSeenAt.toISOString());
+    assert.equal(workedTimeSpan.isAutoClosed, true);
+
+    // the user is told about the closed timer on the next connection
+    const disconnectedUser = await storage.disconnectedUsers.find(user.username);
+    assert.equal(disconnectedUser.autoClosedWorkedTimeSpans.length, 1);
+  });
+
+  it("doesn't close the timer of a user who connects while the users are checked", async () => {
+    const user = await signUp(baseUrl);
+    const { task } = await startTimerMinutesAgo(baseUrl, user, 120);
+
+    await watchdog.userDisconnected(user.username, minutesAgo(60));
+    // the user connects after the watchdog reads the disconnected users
+    await Promise.all([watchdog.check(), watchdog.userConnected(user.username)]);
+
+    const [workedTimeSpan] = await readWorkedTimeSpans(baseUrl, user.accessToken, task._id);
+    // the timer is still running
+    assert.ok(!workedTimeSpan.endTime);
+  });
+
+  it("doesn't close the timer of a user who is disconnected shorter than the grace period", async () => {
+    const user = await signUp(baseUrl);
+    const { task } = await startTimerMinutesAgo(baseUrl, user, 120);
+
+    await watchdog.userDisconnected(user.username, minutesAgo(1));
+    await watchdog.check();
+
+    const [workedTimeSpan] = await readWorkedTimeSpans(baseUrl, user.accessToken, task._id);
+    // the timer is still running
+    assert.ok(!workedTimeSpan.endTime);
+  });
+});
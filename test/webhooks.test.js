@@ -0,0 +1,95 @@
+// tests of the signatures of the webhook deliveries and of the urls that webhooks can call
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { startServer, stopServer, request, signUp } = require("./helpers");
+const { webhookHeaders, checkPublicUrl } = require("../lib/webhooks");
+
+describe("webhooks", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("signs the timestamp and the body of a delivery like the readme tells receivers to verify it", () => {
+    const secret = "secret-of-the-webhook";
+    const body = JSON.stringify({ type: "task.created", data: { name: "task" } });
+    const headers = webhookHeaders({
+      secret,
+      type: "task.created",
+      deliveryId: "64b0f0c2a1b2c3d4e5f60718",
+      body,
+      attemptedAt: new Date("2023-07-11T09:00:00.500Z"),
+    });
+
+    assert.equal(headers["X-Zitbo-Event"], "task.created");
+    assert.equal(headers["X-Zitbo-Delivery"], "64b0f0c2a1b2c3d4e5f60718");
+    assert.equal(headers["X-Zitbo-Timestamp"], "1689066000");
+
+    // the receiver's side
+    const expected = `sha256=${crypto.createHmac("sha256", secret).update(`1689066000.${body}`).digest("hex")}`;
+    const signature = headers["X-Zitbo-Signature"];
+    assert.ok(crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)));
+
+    // another body has another signature
+    const tampered = webhookHeaders({
+      secret,
+      type: "task.created",
+      deliveryId: "64b0f0c2a1b2c3d4e5f60718",
+      body: body.replace("task", "other"),
+      attemptedAt: new Date("2023-07-11T09:00:00.500Z"),
+    });
+    assert.notEqual(tampered["X-Zitbo-Signature"], signature);
+  });
+
+  it("rejects the urls of the server itself and of the private networks", async () => {
+    const urls = [
+      "http://localhost:3000/hook",
+      "http://127.0.0.1/hook",
+      "http://0.0.0.0/hook",
+      "http://10.1.2.3/hook",
+      "http://172.16.0.1/hook",
+      "http://192.168.1.1/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hook",
+      "http://[::]/hook",
+      "http://[::127.0.0.1]/hook",
+      "http://[::ffff:127.0.0.1]/hook",
+      "http://[::ffff:a9fe:a9fe]/hook",
+      "http://[64:ff9b::a00:1]/hook",
+      "http://[fd00::1]/hook",
+      "http://[fe80::1]/hook",
+    ];
+
+    for (const url of urls) assert.equal(await checkPublicUrl(url), "Url must be a public address!", url);
+
+    assert.equal(await checkPublicUrl("https://8.8.8.8/hook"), null);
+    assert.equal(await checkPublicUrl("https://[2001:4860:4860::8888]/hook"), null);
+  });
+
+  it("registers a webhook with a public url only and sends its secret once", async () => {
+    const { accessToken } = await signUp(baseUrl);
+    const create = (url) =>
+      request(baseUrl, "POST", "/api/v1/webhooks", { body: { url, events: ["task.created"] }, accessToken });
+
+    const rejected = await Promise.all(["http://localhost/hook", "http://[::127.0.0.1]/hook"].map(create));
+    assert.deepEqual(
+      rejected.map(({ status }) => status),
+      [400, 400]
+    );
+    assert.ok(rejected.every(({ body }) => body.code === "VALIDATION_FAILED"));
+
+    const created = await create("https://8.8.8.8/hook");
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^[0-9a-f]{64}$/);
+
+    const { body } = await request(baseUrl, "GET", "/api/v1/webhooks", { accessToken });
+    assert.equal(body.webhooks.length, 1);
+    assert.equal(body.webhooks[0].secret, undefined);
+  });
+});
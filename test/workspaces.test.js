@@ -0,0 +1,229 @@
+// integration tests of the workspaces, their members, the assignment of tasks and the workspace report
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { startServer, stopServer, request, signUp, createTask } = require("./helpers");
+
+// create a workspace of the admin and make the other users its members, returns the workspace
+async function createWorkspace(baseUrl, admin, members = []) {
+  const { body: workspace } = await request(baseUrl, "POST", "/api/v1/workspaces", {
+    body: { name: "Team" },
+    accessToken: admin.accessToken,
+  });
+
+  for (const member of members) {
+    await request(baseUrl, "POST", `/api/v1/workspaces/${workspace._id}/invitations`, {
+      body: { username: member.username },
+      accessToken: admin.accessToken,
+    });
+    await request(baseUrl, "POST", `/api/v1/workspace-invitations/${workspace._id}/accept`, {
+      accessToken: member.accessToken,
+    });
+  }
+
+  return workspace;
+}
+
+// the start and end times of a worked time span
+const nineToTen = ["2023-07-11T09:00:00.000Z", "2023-07-11T10:00:00.000Z"];
+
+// add a worked time span to a task of the user
+async function addWorkedTimeSpan(baseUrl, accessToken, taskId, startTime, endTime) {
+  await request(baseUrl, "POST", `/api/v1/tasks/${taskId}/worked-time-spans`, {
+    body: { startTime, endTime },
+    accessToken,
+  });
+}
+
+describe("workspaces", () => {
+  let baseUrl;
+
+  before(async () => {
+    baseUrl = await startServer();
+  });
+
+  after(stopServer);
+
+  it("makes an invited user a member after accepting the invitation", async () => {
+    const admin = await signUp(baseUrl);
+    const invitee = await signUp(baseUrl);
+    const workspace = await createWorkspace(baseUrl, admin);
+
+    const invited = await request(baseUrl, "POST", `/api/v1/workspaces/${workspace._id}/invitations`, {
+      body: { username: invitee.username },
+      accessToken: admin.accessToken,
+    });
+    assert.equal(invited.status, 201);
+
+    const { body } = await request(baseUrl, "GET", "/api/v1/workspace-invitations", {
+      accessToken: invitee.accessToken,
+    });
+    assert.deepEqual(
+      body.invitations.map(({ workspaceId, role, invitedBy }) => [workspaceId, role, invitedBy]),
+      [[workspace._id, "member", admin.username]]
+    );
+
+    const accepted = await request(baseUrl, "POST", `/api/v1/workspace-invitations/${workspace._id}/accept`, {
+      accessToken: invitee.accessToken,
+    });
+    assert.equal(accepted.status, 200);
+    assert.deepEqual(
+      accepted.body.members.map(({ username, role }) => [username, role]),
+      [
+        [admin.username, "admin"],
+        [invitee.username, "member"],
+      ]
+    );
+    assert.deepEqual(accepted.body.invitations, []);
+
+    // an existing member can't be invited again
+    const again = await request(baseUrl, "POST", `/api/v1/workspaces/${workspace._id}/invitations`, {
+      body: { username: invitee.username },
+      accessToken: admin.accessToken,
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "CONFLICT");
+  });
+
+  it("lets only the admins invite and hides the workspace from the other users", async () => {
+    const admin = await signUp(baseUrl);
+    const member = await signUp(baseUrl);
+    const stranger = await signUp(baseUrl);
+    const workspace = await createWorkspace(baseUrl, admin, [member]);
+
+    const invitedByMember = await request(baseUrl, "POST", `/api/v1/workspaces/${workspace._id}/invitations`, {
+      body: { username: stranger.username },
+      accessToken: member.accessToken,
+    });
+    assert.equal(invitedByMember.status, 403);
+    assert.equal(invitedByMember.body.code, "FORBIDDEN");
+
+    const readByStranger = await request(baseUrl, "GET", `/api/v1/workspaces/${workspace._id}/presence`, {
+      accessToken: stranger.accessToken,
+    });
+    assert.equal(readByStranger.status, 404);
+    assert.equal(readByStranger.body.code, "NOT_FOUND");
+  });
+
+  it("keeps an admin in the workspace", async () => {
+    const admin = await signUp(baseUrl);
+    const member = await signUp(baseUrl);
+    const workspace = await createWorkspace(baseUrl, admin, [member]);
+    const path = `/api/v1/workspaces/${workspace._id}/members`;
+
+    const left = await request(baseUrl, "DELETE", `${path}/${admin.username}`, { accessToken: admin.accessToken });
+    assert.equal(left.status, 409);
+    assert.equal(left.body.code, "CONFLICT");
+
+    // the admin can leave once another member is an admin
+    await request(baseUrl, "PATCH", `${path}/${member.username}`, {
+      body: { role: "admin" },
+      accessToken: admin.accessToken,
+    });
+    const leftAfter = await request(baseUrl, "DELETE", `${path}/${admin.username}`, {
+      accessToken: admin.accessToken,
+    });
+    assert.equal(leftAfter.status, 200);
+
+    const { body } = await request(baseUrl, "GET", "/api/v1/workspaces", { accessToken: admin.accessToken });
+    assert.deepEqual(body.workspaces, []);
+  });
+
+  it("assigns a task with its worked time to a member", async () => {
+    const admin = await signUp(baseUrl);
+    const member = await signUp(baseUrl);
+    const workspace = await createWorkspace(baseUrl, admin, [member]);
+    const task = await createTask(baseUrl, admin.accessToken, "assigned");
+    await addWorkedTimeSpan(baseUrl, admin.accessToken, task._id, ...nineToTen);
+
+    const assigned = await request(baseUrl, "POST", `/api/v1/workspaces/${workspace._id}/tasks/${task._id}/assign`, {
+      body: { assignee: member.username },
+      accessToken: admin.accessToken,
+    });
+    assert.equal(assigned.status, 200);
+    assert.equal(assigned.body.doer, member.username);
+    assert.equal(assigned.body.assignedBy, admin.username);
+
+    // the task moves from the admin to the member
+    const { body: ofAdmin } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", {
+      accessToken: admin.accessToken,
+    });
+    assert.equal(ofAdmin.changes.length, 0);
+    const { body: ofMember } = await request(baseUrl, "GET", "/api/v1/sync?cursor=0", {
+      accessToken: member.accessToken,
+    });
+    assert.deepEqual(
+      ofMember.changes.map(({ task }) => [task._id, task.workedTimeSpans.length]),
+      [[task._id, 1]]
+    );
+  });
+
+  it("doesn't assign a task to a user who is not a member or whose time overlaps it", async () => {
+    const admin = await signUp(baseUrl);
+    const member = await signUp(baseUrl);
+    const stranger = await signUp(baseUrl);
+    const workspace = await createWorkspace(baseUrl, admin, [member]);
+    const task = await createTask(baseUrl, admin.accessToken);
+    await addWorkedTimeSpan(baseUrl, admin.accessToken, task._id, ...nineToTen);
+    const taskOfMember = await createTask(baseUrl, member.accessToken);
+    await addWorkedTimeSpan(
+      baseUrl,
+      member.accessToken,
+      taskOfMember._id,
+      "2023-07-11T09:30:00.000Z",
+      "2023-07-11T10:30:00.000Z"
+    );
+    const path = `/api/v1/workspaces/${workspace._id}/tasks/${task._id}/assign`;
+
+    const toStranger = await request(baseUrl, "POST", path, {
+      body: { assignee: stranger.username },
+      accessToken: admin.accessToken,
+    });
+    assert.equal(toStranger.status, 400);
+    assert.equal(toStranger.body.code, "VALIDATION_FAILED");
+
+    const overlapping = await request(baseUrl, "POST", path, {
+      body: { assignee: member.username },
+      accessToken: admin.accessToken,
+    });
+    assert.equal(overlapping.status, 409);
+    assert.equal(overlapping.body.code, "TIME_SPAN_OVERLAP");
+  });
+
+  it("reports the tracked time of the members", async () => {
+    const admin = await signUp(baseUrl);
+    const member = await signUp(baseUrl);
+    const workspace = await createWorkspace(baseUrl, admin, [member]);
+    const task = await createTask(baseUrl, admin.accessToken, "report");
+    // only the hour after midnight is in the report
+    await addWorkedTimeSpan(
+      baseUrl,
+      admin.accessToken,
+      task._id,
+      "2023-07-10T23:00:00.000Z",
+      "2023-07-11T01:00:00.000Z"
+    );
+    await request(baseUrl, "POST", `/api/v1/workspaces/${workspace._id}/tasks/${task._id}/assign`, {
+      body: { assignee: member.username },
+      accessToken: admin.accessToken,
+    });
+
+    const { status, body } = await request(
+      baseUrl,
+      "GET",
+      `/api/v1/workspaces/${workspace._id}/report?startDate=2023-07-11T00:00:00.000Z&endDate=2023-07-12T00:00:00.000Z`,
+      { accessToken: admin.accessToken }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.totalDuration, 60 * 60 * 1000);
+    assert.deepEqual(
+      body.members.map(({ username, totalDuration }) => [username, totalDuration]),
+      [
+        [member.username, 60 * 60 * 1000],
+        [admin.username, 0],
+      ]
+    );
+    assert.deepEqual(body.members[0].tasks, [{ _id: task._id, name: "report", duration: 60 * 60 * 1000 }]);
+  });
+});